@@ -1,15 +1,17 @@
 // Streamax N9M raw data collector with console hex output
-// Usage: node streamax.js
-// Listens on TCP/UDP 5556
+// Usage: node n9m.js capture
+// Listens on TCP/UDP capture.tcpPort / capture.udpPort (5556) from config.js
 
 const net = require('node:net');
 const dgram = require('node:dgram');
 const fs = require('node:fs');
 const path = require('node:path');
+const { getConfig } = require('./config');
 
-const PORT_TCP = 5556;
-const PORT_UDP = 5556;
-const LOG_DIR = path.join(__dirname, 'logs');
+const config = getConfig();
+const PORT_TCP = config.capture.tcpPort;
+const PORT_UDP = config.capture.udpPort;
+const LOG_DIR = config.paths.logs;
 fs.mkdirSync(LOG_DIR, { recursive: true });
 
 function ts() {
@@ -0,0 +1,401 @@
+// Audio for PT=12 payloads: G.711 A-law / u-law and G.726 -> 16-bit PCM,
+// plus FLAC framing so PCM can travel in fMP4 to MSE players
+// CommonJS (node >=16)
+//
+// Codec names: 'g711a', 'g711u', 'g726-16', 'g726-24', 'g726-32', 'g726-40'.
+// Devices don't say which one they use, so it comes from configuration.
+// All of them are 8 kHz mono.
+
+const SAMPLE_RATE = 8000;
+const CODECS = ['g711a', 'g711u', 'g726-16', 'g726-24', 'g726-32', 'g726-40'];
+
+// --- G.711 ---
+function alawToLinear(a) {
+  a ^= 0x55;
+  let t = (a & 0x0f) << 4;
+  const seg = (a & 0x70) >> 4;
+  if (seg === 0) t += 8;
+  else if (seg === 1) t += 0x108;
+  else t = (t + 0x108) << (seg - 1);
+  return a & 0x80 ? t : -t;
+}
+
+function ulawToLinear(u) {
+  u = ~u & 0xff;
+  let t = ((u & 0x0f) << 3) + 0x84;
+  t <<= (u & 0x70) >> 4;
+  return u & 0x80 ? 0x84 - t : t - 0x84;
+}
+
+const ALAW = Int16Array.from({ length: 256 }, (_, i) => alawToLinear(i));
+const ULAW = Int16Array.from({ length: 256 }, (_, i) => ulawToLinear(i));
+
+// --- G.726 (after the ITU/Sun reference decoder, g72x.c) ---
+const POWER2 = [1, 2, 4, 8, 0x10, 0x20, 0x40, 0x80, 0x100, 0x200, 0x400, 0x800, 0x1000, 0x2000, 0x4000];
+
+// dqln = log quantizer output, wi = scale factor multiplier (already <<5 where the
+// reference shifts it), fi = speed control
+const G726_TABLES = {
+  2: {
+    dqln: [116, 365, 365, 116],
+    wi: [-704, 14048, 14048, -704],
+    fi: [0x000, 0xe00, 0xe00, 0x000],
+  },
+  3: {
+    dqln: [-2048, 135, 273, 373, 373, 273, 135, -2048],
+    wi: [-128, 960, 4384, 18624, 18624, 4384, 960, -128],
+    fi: [0, 0x200, 0x400, 0xe00, 0xe00, 0x400, 0x200, 0],
+  },
+  4: {
+    dqln: [-2048, 4, 135, 213, 273, 323, 373, 425, 425, 373, 323, 273, 213, 135, 4, -2048],
+    wi: [-12, 18, 41, 64, 112, 198, 355, 1122, 1122, 355, 198, 112, 64, 41, 18, -12].map(w => w << 5),
+    fi: [0, 0, 0, 0x200, 0x200, 0x200, 0x600, 0xe00, 0xe00, 0x600, 0x200, 0x200, 0x200, 0, 0, 0],
+  },
+  5: {
+    dqln: [-2048, -66, 28, 104, 169, 224, 274, 318, 358, 395, 429, 459, 488, 514, 539, 566,
+      566, 539, 514, 488, 459, 429, 395, 358, 318, 274, 224, 169, 104, 28, -66, -2048],
+    wi: [448, 448, 768, 1248, 1280, 1312, 1856, 3200, 4512, 5728, 7008, 8960, 11456, 14080, 16928, 22272,
+      22272, 16928, 14080, 11456, 8960, 7008, 5728, 4512, 3200, 1856, 1312, 1280, 1248, 768, 448, 448],
+    fi: [0, 0, 0, 0, 0, 0x200, 0x200, 0x200, 0x200, 0x200, 0x400, 0x600, 0x800, 0xa00, 0xc00, 0xc00,
+      0xc00, 0xc00, 0xa00, 0x800, 0x600, 0x400, 0x200, 0x200, 0x200, 0x200, 0x200, 0, 0, 0, 0, 0],
+  },
+};
+
+function quan(val, table) {
+  let i = 0;
+  while (i < table.length && val >= table[i]) i++;
+  return i;
+}
+
+function fmult(an, srn) {
+  const anmag = an > 0 ? an : (-an) & 0x1fff;
+  const anexp = quan(anmag, POWER2) - 6;
+  const anmant = anmag === 0 ? 32 : anexp >= 0 ? anmag >> anexp : anmag << -anexp;
+  const wanexp = anexp + ((srn >> 6) & 0xf) - 13;
+  const wanmant = (anmant * (srn & 0o77) + 0x30) >> 4;
+  const retval = wanexp >= 0 ? (wanmant << wanexp) & 0x7fff : wanmant >> -wanexp;
+  return (an ^ srn) < 0 ? -retval : retval;
+}
+
+// Int16Array fields wrap like the reference's `short`s
+class G726Decoder {
+  constructor(bits = 4, { packing = 'le' } = {}) {
+    if (!G726_TABLES[bits]) throw new Error(`G.726: unsupported ${bits} bits per sample`);
+    this.bits = bits;
+    this.table = G726_TABLES[bits];
+    this.packing = packing; // 'le' = RFC 3551 (first code in the low bits), 'be' = AAL2
+    this.yl = 34816;
+    this.yu = 544;
+    this.dms = 0;
+    this.dml = 0;
+    this.ap = 0;
+    this.a = new Int16Array(2);
+    this.pk = [0, 0];
+    this.sr = Int16Array.from([32, 32]);
+    this.b = new Int16Array(6);
+    this.dq = Int16Array.from([32, 32, 32, 32, 32, 32]);
+    this.td = 0;
+  }
+
+  stepSize() {
+    if (this.ap >= 256) return this.yu;
+    let y = this.yl >> 6;
+    const dif = this.yu - y;
+    const al = this.ap >> 2;
+    if (dif > 0) y += (dif * al) >> 6;
+    else if (dif < 0) y += (dif * al + 0x3f) >> 6;
+    return y;
+  }
+
+  static reconstruct(sign, dqln, y) {
+    const dql = dqln + (y >> 2);
+    if (dql < 0) return sign ? -0x8000 : 0;
+    const dex = (dql >> 7) & 15;
+    const dqt = 128 + (dql & 127);
+    const dq = (dqt << 7) >> (14 - dex);
+    return sign ? dq - 0x8000 : dq;
+  }
+
+  update(y, wi, fi, dq, sr, dqsez) {
+    const pk0 = dqsez < 0 ? 1 : 0;
+    let mag = dq & 0x7fff;
+
+    const ylint = this.yl >> 15;
+    const ylfrac = (this.yl >> 10) & 0x1f;
+    const thr1 = (32 + ylfrac) << ylint;
+    const thr2 = ylint > 9 ? 31 << 10 : thr1;
+    const dqthr = (thr2 + (thr2 >> 1)) >> 1;
+    const tr = this.td !== 0 && mag > dqthr ? 1 : 0;
+
+    this.yu = Math.min(5120, Math.max(544, y + ((wi - y) >> 5)));
+    this.yl += this.yu + ((-this.yl) >> 6);
+
+    let a2p = 0;
+    if (tr) {
+      this.a.fill(0);
+      this.b.fill(0);
+    } else {
+      const pks1 = pk0 ^ this.pk[0];
+      a2p = this.a[1] - (this.a[1] >> 7);
+      if (dqsez !== 0) {
+        const fa1 = pks1 ? this.a[0] : -this.a[0];
+        if (fa1 < -8191) a2p -= 0x100;
+        else if (fa1 > 8191) a2p += 0xff;
+        else a2p += fa1 >> 5;
+        if (pk0 ^ this.pk[1]) {
+          if (a2p <= -12160) a2p = -12288;
+          else if (a2p >= 12416) a2p = 12288;
+          else a2p -= 0x80;
+        } else if (a2p <= -12416) a2p = -12288;
+        else if (a2p >= 12160) a2p = 12288;
+        else a2p += 0x80;
+      }
+      this.a[1] = a2p;
+
+      this.a[0] -= this.a[0] >> 8;
+      if (dqsez !== 0) this.a[0] += pks1 === 0 ? 192 : -192;
+      const a1ul = 15360 - a2p;
+      if (this.a[0] < -a1ul) this.a[0] = -a1ul;
+      else if (this.a[0] > a1ul) this.a[0] = a1ul;
+
+      for (let i = 0; i < 6; i++) {
+        this.b[i] -= this.b[i] >> (this.bits === 5 ? 9 : 8);
+        if (dq & 0x7fff) this.b[i] += (dq ^ this.dq[i]) >= 0 ? 128 : -128;
+      }
+    }
+
+    for (let i = 5; i > 0; i--) this.dq[i] = this.dq[i - 1];
+    if (mag === 0) {
+      this.dq[0] = dq >= 0 ? 0x20 : 0xfc20;
+    } else {
+      const exp = quan(mag, POWER2);
+      this.dq[0] = dq >= 0 ? (exp << 6) + ((mag << 6) >> exp) : (exp << 6) + ((mag << 6) >> exp) - 0x400;
+    }
+
+    this.sr[1] = this.sr[0];
+    if (sr === 0) {
+      this.sr[0] = 0x20;
+    } else if (sr > 0) {
+      const exp = quan(sr, POWER2);
+      this.sr[0] = (exp << 6) + ((sr << 6) >> exp);
+    } else if (sr > -32768) {
+      mag = -sr;
+      const exp = quan(mag, POWER2);
+      this.sr[0] = (exp << 6) + ((mag << 6) >> exp) - 0x400;
+    } else {
+      this.sr[0] = 0xfc20;
+    }
+
+    this.pk[1] = this.pk[0];
+    this.pk[0] = pk0;
+
+    if (tr) this.td = 0;
+    else this.td = a2p < -11776 ? 1 : 0;
+
+    this.dms += (fi - this.dms) >> 5;
+    this.dml += ((fi << 2) - this.dml) >> 7;
+
+    if (tr) this.ap = 256;
+    else if (y < 1536 || this.td === 1 || Math.abs((this.dms << 2) - this.dml) >= (this.dml >> 3)) this.ap += (0x200 - this.ap) >> 4;
+    else this.ap += (-this.ap) >> 4;
+  }
+
+  decodeCode(code) {
+    const { dqln, wi, fi } = this.table;
+    let sezi = 0;
+    for (let i = 0; i < 6; i++) sezi += fmult(this.b[i] >> 2, this.dq[i]);
+    const sez = sezi >> 1;
+    const sei = sezi + fmult(this.a[1] >> 2, this.sr[1]) + fmult(this.a[0] >> 2, this.sr[0]);
+    const se = sei >> 1;
+    const y = this.stepSize();
+    const dq = (G726Decoder.reconstruct(code & (1 << (this.bits - 1)), dqln[code], y) << 16) >> 16;
+    const sr = ((dq < 0 ? se - (dq & 0x3fff) : se + dq) << 16) >> 16;
+    const dqsez = sr - se + sez;
+    this.update(y, wi[code], fi[code], dq, sr, dqsez);
+    return Math.max(-32768, Math.min(32767, sr << 2));
+  }
+
+  decode(buf) {
+    const out = new Int16Array(Math.floor((buf.length * 8) / this.bits));
+    const mask = (1 << this.bits) - 1;
+    let acc = 0;
+    let accBits = 0;
+    let n = 0;
+    for (const byte of buf) {
+      if (this.packing === 'le') {
+        acc |= byte << accBits;
+        accBits += 8;
+        while (accBits >= this.bits) {
+          out[n++] = this.decodeCode(acc & mask);
+          acc >>= this.bits;
+          accBits -= this.bits;
+        }
+      } else {
+        acc = ((acc << 8) | byte) & 0xffff;
+        accBits += 8;
+        while (accBits >= this.bits) {
+          out[n++] = this.decodeCode((acc >> (accBits - this.bits)) & mask);
+          accBits -= this.bits;
+        }
+      }
+    }
+    return out.subarray(0, n);
+  }
+}
+
+// --- Per-stream decoder ---
+// HiSilicon-based MDVRs prefix each frame with 00 01 <len in 16-bit words, LE>
+function stripFrameHeader(buf) {
+  if (buf.length > 4 && buf[0] === 0 && buf[1] === 1 && (buf[2] | (buf[3] << 8)) * 2 === buf.length - 4) {
+    return buf.subarray(4);
+  }
+  return buf;
+}
+
+class AudioDecoder {
+  constructor(codec = 'g711a', opts = {}) {
+    this.codec = codec;
+    this.sampleRate = SAMPLE_RATE;
+    this.channels = 1;
+    this.frames = 0;
+    this.samples = 0;
+    this.bytes = 0;
+    this.lastFrameAt = null;
+    const m = /^g726-(16|24|32|40)$/.exec(codec);
+    if (m) this.g726 = new G726Decoder(Number(m[1]) / 8, opts);
+    else if (codec !== 'g711a' && codec !== 'g711u') throw new Error(`Unknown audio codec "${codec}"`);
+  }
+
+  // PT=12 payload -> Int16Array of PCM samples
+  decode(payload) {
+    const data = stripFrameHeader(payload);
+    let pcm;
+    if (this.g726) {
+      pcm = this.g726.decode(data);
+    } else {
+      const table = this.codec === 'g711u' ? ULAW : ALAW;
+      pcm = new Int16Array(data.length);
+      for (let i = 0; i < data.length; i++) pcm[i] = table[data[i]];
+    }
+    this.frames++;
+    this.samples += pcm.length;
+    this.bytes += payload.length;
+    this.lastFrameAt = Date.now();
+    return pcm;
+  }
+
+  stats() {
+    return {
+      codec: this.codec,
+      sampleRate: this.sampleRate,
+      frames: this.frames,
+      bytes: this.bytes,
+      seconds: Math.round((this.samples / this.sampleRate) * 10) / 10,
+      lastFrameAt: this.lastFrameAt ? new Date(this.lastFrameAt).toISOString() : null,
+    };
+  }
+}
+
+// Little-endian s16 bytes (for ffmpeg -f s16le and WAV)
+function pcmToBuffer(pcm) {
+  const buf = Buffer.alloc(pcm.length * 2);
+  for (let i = 0; i < pcm.length; i++) buf.writeInt16LE(pcm[i], i * 2);
+  return buf;
+}
+
+function wavHeader(dataBytes, sampleRate = SAMPLE_RATE, channels = 1) {
+  const h = Buffer.alloc(44);
+  h.write('RIFF', 0);
+  h.writeUInt32LE(36 + dataBytes, 4);
+  h.write('WAVEfmt ', 8);
+  h.writeUInt32LE(16, 16);
+  h.writeUInt16LE(1, 20); // PCM
+  h.writeUInt16LE(channels, 22);
+  h.writeUInt32LE(sampleRate, 24);
+  h.writeUInt32LE(sampleRate * channels * 2, 28);
+  h.writeUInt16LE(channels * 2, 32);
+  h.writeUInt16LE(16, 34);
+  h.write('data', 36);
+  h.writeUInt32LE(dataBytes, 40);
+  return h;
+}
+
+// --- FLAC (verbatim subframes: no compression, but MSE can play it from fMP4) ---
+const FLAC_RATE_CODES = { 8000: 0b0100, 16000: 0b0101, 22050: 0b0110, 24000: 0b0111, 32000: 0b1000, 44100: 0b1001, 48000: 0b1010 };
+
+function crc8(buf) {
+  let crc = 0;
+  for (const b of buf) {
+    crc ^= b;
+    for (let i = 0; i < 8; i++) crc = crc & 0x80 ? ((crc << 1) ^ 0x07) & 0xff : (crc << 1) & 0xff;
+  }
+  return crc;
+}
+
+function crc16(buf) {
+  let crc = 0;
+  for (const b of buf) {
+    crc ^= b << 8;
+    for (let i = 0; i < 8; i++) crc = crc & 0x8000 ? ((crc << 1) ^ 0x8005) & 0xffff : (crc << 1) & 0xffff;
+  }
+  return crc;
+}
+
+// FLAC's UTF-8-like coding of the frame's first sample number (up to 36 bits)
+function codedNumber(n) {
+  if (n < 0x80) return [n];
+  let len = 2;
+  while (n >= 2 ** (5 * len + 1)) len++; // a len-byte code holds 5 * len + 1 bits
+  const bytes = [];
+  for (let i = 1; i < len; i++) {
+    bytes.unshift(0x80 | (n % 64));
+    n = Math.floor(n / 64);
+  }
+  bytes.unshift(((0xff << (8 - len)) & 0xff) | n);
+  return bytes;
+}
+
+// One mono 16-bit FLAC frame; variable block size, numbered by first sample
+function flacFrame(pcm, firstSample, sampleRate = SAMPLE_RATE) {
+  const n = pcm.length;
+  const big = n > 256;
+  const header = [
+    0xff, 0xf9, // sync + variable blocksize
+    ((big ? 0b0111 : 0b0110) << 4) | (FLAC_RATE_CODES[sampleRate] ?? 0),
+    0b1000,     // mono, 16 bits per sample
+    ...codedNumber(firstSample),
+    ...(big ? [((n - 1) >> 8) & 0xff, (n - 1) & 0xff] : [n - 1]),
+  ];
+  header.push(crc8(Buffer.from(header)));
+
+  const frame = Buffer.alloc(header.length + 1 + n * 2 + 2);
+  Buffer.from(header).copy(frame);
+  let o = header.length;
+  frame[o++] = 0x02; // subframe: VERBATIM, no wasted bits
+  for (let i = 0; i < n; i++, o += 2) frame.writeInt16BE(pcm[i], o);
+  frame.writeUInt16BE(crc16(frame.subarray(0, o)), o);
+  return frame;
+}
+
+// STREAMINFO metadata block (marked last), as carried in the MP4 'dfLa' box
+function flacStreamInfo(sampleRate = SAMPLE_RATE, channels = 1) {
+  const b = Buffer.alloc(4 + 34);
+  b[0] = 0x80; // last metadata block, type 0
+  b.writeUIntBE(34, 1, 3);
+  b.writeUInt16BE(16, 4);     // min block size
+  b.writeUInt16BE(65535, 6);  // max block size
+  // min/max frame size unknown (0), then 20 bits rate, 3 bits channels-1, 5 bits bps-1, 36 bits total samples
+  b.writeUInt32BE(((sampleRate << 12) | ((channels - 1) << 9) | (15 << 4)) >>> 0, 14);
+  return b;
+}
+
+module.exports = {
+  SAMPLE_RATE,
+  CODECS,
+  AudioDecoder,
+  G726Decoder,
+  pcmToBuffer,
+  wavHeader,
+  flacFrame,
+  flacStreamInfo,
+};
@@ -0,0 +1,286 @@
+// Configuration: defaults <- config file <- environment, validated at startup
+// CommonJS (node >=16)
+//
+// File: n9m.config.json next to the scripts, or the path in N9M_CONFIG
+// (n9m.js --config <file>). No file = defaults. Every key is optional:
+//   {
+//     "publicHost": "203.0.113.10",   // address devices reach this server on
+//     "signaling": { "tcpPort": 5556, "udpPort": 6111, "httpPort": 8088, "httpHost": "127.0.0.1",
+//                    "keepaliveMs": 30000, "audioCodec": "g711a", "mediaAddress": null },
+//     "media":     { "tcpPort": 5556, "udpPort": 6111, "registerUdpPort": 6222,
+//                    "metricsPort": 9464, "protoVersion": "1.0.6" },
+//     "capture":   { "tcpPort": 5556, "udpPort": 5556 },
+//     "live":      { "streamType": 1, "frameCount": 10 },
+//     "paths":     { "hls": "hls", "logs": "logs", "tracks": "tracks", "recordings": "recordings",
+//                    "auth": "device_auth.json", "webhooks": "webhooks.json", "webhookQueue": "webhook_queue.json",
+//                    "templates": "config_templates" },
+//     "log":       { "level": "info", "modules": { "CERTIFICATE.KEEPALIVE": "warn" } },
+//     "devices":   { "<DSNO>": { "streamType": 0, "channels": [1, 2], "mediaAddress": "10.8.0.1:5556" } }
+//   }
+// Relative paths are resolved against the config file's directory (without a
+// file, against this one). Unknown keys are errors, so a typo can't silently
+// fall back to a default. n9m.config.example.json is the original deployment.
+//
+// The media address (IPANDPORT in REQUESTALIVEVIDEO / REQUESTREMOTEPLAYBACK) is
+//   devices.<DSNO>.mediaAddress, else signaling.mediaAddress,
+//   else <publicHost>:<signaling.tcpPort>
+// and publicHost defaults to the first external IPv4 address of this host.
+//
+// The HTTP API has no authentication and can disconnect devices, send them raw
+// commands and rewrite their configuration, so signaling.httpHost defaults to
+// loopback. Put a proxy with auth in front, or set it to 0.0.0.0 knowingly.
+//
+// Environment overrides (win over the file):
+//   N9M_PUBLIC_HOST  N9M_MEDIA_ADDRESS  N9M_TCP_PORT  N9M_UDP_PORT  N9M_HTTP_PORT  N9M_HTTP_HOST
+//   N9M_MEDIA_TCP_PORT  N9M_METRICS_PORT  N9M_KEEPALIVE_MS  N9M_AUDIO_CODEC
+//   N9M_HLS_DIR  N9M_LOG_DIR  N9M_LOG_LEVEL
+//
+// Scripts call getConfig() at the top; n9m.js loads the file once and hands
+// it over with setConfig() before it requires the server.
+
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { CODECS } = require('./audio_codec');
+const { LEVELS } = require('./packet_log');
+
+const DEFAULT_FILE = path.join(__dirname, 'n9m.config.json');
+
+// Leaf types: [kind, default]. Objects nest; 'map' is a free-form key -> spec map.
+const port = d => ['port', d];
+const SCHEMA = {
+  publicHost: ['host', null],
+  signaling: {
+    tcpPort: port(5556),
+    udpPort: port(6111),
+    httpPort: port(8088),
+    httpHost: ['host', '127.0.0.1'],
+    keepaliveMs: ['ms', 30_000],
+    audioCodec: [['enum', CODECS], 'g711a'],
+    mediaAddress: ['address', null],
+  },
+  media: {
+    tcpPort: port(5556),
+    udpPort: port(6111),
+    registerUdpPort: port(6222),
+    metricsPort: port(9464),
+    protoVersion: ['string', '1.0.6'],
+  },
+  capture: {
+    tcpPort: port(5556),
+    udpPort: port(5556),
+  },
+  live: {
+    streamType: ['streamType', 1],
+    frameCount: ['int', 10],
+  },
+  paths: {
+    hls: ['path', 'hls'],
+    logs: ['path', 'logs'],
+    tracks: ['path', 'tracks'],
+    recordings: ['path', 'recordings'],
+    auth: ['path', 'device_auth.json'],
+    webhooks: ['path', 'webhooks.json'],
+    webhookQueue: ['path', 'webhook_queue.json'],
+    templates: ['path', 'config_templates'],
+  },
+  log: {
+    level: [['enum', Object.keys(LEVELS)], 'info'],
+    modules: ['map', {}, [['enum', Object.keys(LEVELS)]]],
+  },
+  devices: ['map', {}, {
+    streamType: ['streamType', null],
+    channels: ['channels', null],
+    mediaAddress: ['address', null],
+  }],
+};
+
+const ENV = {
+  N9M_PUBLIC_HOST: 'publicHost',
+  N9M_MEDIA_ADDRESS: 'signaling.mediaAddress',
+  N9M_TCP_PORT: 'signaling.tcpPort',
+  N9M_UDP_PORT: 'signaling.udpPort',
+  N9M_HTTP_PORT: 'signaling.httpPort',
+  N9M_HTTP_HOST: 'signaling.httpHost',
+  N9M_MEDIA_TCP_PORT: 'media.tcpPort',
+  N9M_METRICS_PORT: 'media.metricsPort',
+  N9M_KEEPALIVE_MS: 'signaling.keepaliveMs',
+  N9M_AUDIO_CODEC: 'signaling.audioCodec',
+  N9M_HLS_DIR: 'paths.hls',
+  N9M_LOG_DIR: 'paths.logs',
+  N9M_LOG_LEVEL: 'log.level',
+};
+
+function configError(errors, file) {
+  const err = new Error(`Invalid configuration${file ? ` (${file})` : ''}:\n  ${errors.join('\n  ')}`);
+  err.code = 'N9M_CONFIG';
+  err.errors = errors;
+  return err;
+}
+
+// --- validation ---
+const ADDRESS = /^[A-Za-z0-9.-]+:(\d{1,5})$/;
+const HOST = /^[A-Za-z0-9.-]+$/;
+
+// Returns the value to keep, or pushes an error. `fromEnv` values are strings.
+function checkLeaf(kind, value, where, errors, { base, fromEnv }) {
+  if (value === null) return null;
+  const num = fromEnv && typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  const fail = (what) => {
+    errors.push(`${where}: ${what} (got ${JSON.stringify(value)})`);
+    return undefined;
+  };
+  if (Array.isArray(kind)) {
+    return kind[1].includes(value) ? value : fail(`must be one of ${kind[1].join(', ')}`);
+  }
+  switch (kind) {
+    case 'port':
+      return Number.isInteger(num) && num >= 1 && num <= 65535 ? num : fail('must be a port number 1-65535');
+    case 'int':
+      return Number.isInteger(num) && num >= 0 ? num : fail('must be a non-negative integer');
+    case 'ms':
+      return Number.isInteger(num) && num >= 1000 ? num : fail('must be milliseconds, at least 1000');
+    case 'streamType':
+      return [0, 1, 2].includes(num) ? num : fail('must be 0 (sub), 1 (main) or 2 (mobile)');
+    case 'string':
+      return typeof value === 'string' && value ? value : fail('must be a non-empty string');
+    case 'host':
+      return typeof value === 'string' && HOST.test(value) ? value : fail('must be a host name or IPv4 address');
+    case 'address': {
+      const m = typeof value === 'string' && ADDRESS.exec(value);
+      return m && Number(m[1]) >= 1 && Number(m[1]) <= 65535 ? value : fail('must be "host:port"');
+    }
+    case 'path':
+      return typeof value === 'string' && value ? path.resolve(base, value) : fail('must be a path');
+    case 'channels': {
+      const list = fromEnv && typeof value === 'string' ? value.split(',').map(Number) : value;
+      const ok = Array.isArray(list) && list.length && list.every(ch => Number.isInteger(ch) && ch >= 1 && ch <= 32);
+      return ok ? [...new Set(list)].sort((a, b) => a - b) : fail('must be a list of channel numbers 1-32');
+    }
+    default:
+      throw new Error(`config schema: unknown kind ${kind}`);
+  }
+}
+
+// Defaults merged with `input`, validated against `schema`
+function build(schema, input, where, errors, ctx) {
+  const out = {};
+  if (input !== undefined && (input === null || typeof input !== 'object' || Array.isArray(input))) {
+    errors.push(`${where || 'config'}: must be an object`);
+    input = {};
+  }
+  input = input || {};
+  for (const key of Object.keys(input)) {
+    if (!(key in schema)) errors.push(`${where ? `${where}.` : ''}${key}: unknown setting`);
+  }
+  for (const [key, spec] of Object.entries(schema)) {
+    const at = where ? `${where}.${key}` : key;
+    const value = input[key];
+    if (!Array.isArray(spec)) {
+      out[key] = build(spec, value, at, errors, ctx);
+    } else if (spec[0] === 'map') {
+      out[key] = {};
+      if (value === undefined) continue;
+      if (value === null || typeof value !== 'object' || Array.isArray(value)) {
+        errors.push(`${at}: must be an object`);
+        continue;
+      }
+      for (const [k, v] of Object.entries(value)) {
+        out[key][k] = Array.isArray(spec[2])
+          ? checkLeaf(spec[2][0], v, `${at}.${k}`, errors, ctx)
+          : build(spec[2], v, `${at}.${k}`, errors, ctx);
+      }
+    } else {
+      const [kind, fallback] = spec;
+      out[key] = value === undefined
+        ? (kind === 'path' && fallback ? path.resolve(ctx.base, fallback) : fallback)
+        : checkLeaf(kind, value, at, errors, ctx);
+    }
+  }
+  return out;
+}
+
+function setPath(obj, dotted, value) {
+  const keys = dotted.split('.');
+  let o = obj;
+  for (const k of keys.slice(0, -1)) o = o[k];
+  o[keys[keys.length - 1]] = value;
+}
+
+function detectHost() {
+  for (const list of Object.values(os.networkInterfaces())) {
+    const addr = (list || []).find(a => a.family === 'IPv4' && !a.internal);
+    if (addr) return addr.address;
+  }
+  return '127.0.0.1';
+}
+
+// --- loading ---
+function loadConfig({ file = process.env.N9M_CONFIG || null, env = process.env } = {}) {
+  const errors = [];
+  let input = {};
+  const explicit = !!file;
+  const source = file ? path.resolve(file) : DEFAULT_FILE;
+  if (fs.existsSync(source)) {
+    try {
+      input = JSON.parse(fs.readFileSync(source, 'utf8'));
+    } catch (err) {
+      throw configError([`not valid JSON: ${err.message}`], source);
+    }
+  } else if (explicit) {
+    throw configError(['file not found'], source);
+  }
+
+  const base = fs.existsSync(source) ? path.dirname(source) : __dirname;
+  const config = build(SCHEMA, input, '', errors, { base, fromEnv: false });
+  for (const [name, dotted] of Object.entries(ENV)) {
+    if (env[name] === undefined || env[name] === '') continue;
+    const spec = dotted.split('.').reduce((s, k) => s[k], SCHEMA);
+    const value = checkLeaf(spec[0], env[name], name, errors, { base: process.cwd(), fromEnv: true });
+    if (value !== undefined) setPath(config, dotted, value);
+  }
+  if (errors.length) throw configError(errors, fs.existsSync(source) ? source : null);
+
+  if (!config.publicHost) {
+    config.publicHost = detectHost();
+    if (!config.signaling.mediaAddress) {
+      console.warn(`[CONFIG] publicHost not set; telling devices to stream to ${config.publicHost}:${config.signaling.tcpPort}`);
+    }
+  }
+  config.file = fs.existsSync(source) ? source : null;
+  return config;
+}
+
+let current = null;
+
+function getConfig() {
+  if (!current) current = loadConfig();
+  return current;
+}
+
+function setConfig(config) {
+  current = config;
+}
+
+// --- per device ---
+function deviceConfig(config, dsno) {
+  const own = (dsno && config.devices[dsno]) || {};
+  return {
+    streamType: own.streamType ?? config.live.streamType,
+    channels: own.channels ?? null, // null = whatever the device reported
+    mediaAddress: own.mediaAddress || config.signaling.mediaAddress || `${config.publicHost}:${config.signaling.tcpPort}`,
+  };
+}
+
+function mediaAddress(config, dsno) {
+  return deviceConfig(config, dsno).mediaAddress;
+}
+
+module.exports = {
+  loadConfig,
+  getConfig,
+  setConfig,
+  deviceConfig,
+  mediaAddress,
+  ENV,
+};
@@ -0,0 +1,243 @@
+// Admission control for the CERTIFICATE handshake
+// CommonJS (node >=16)
+//
+// Policy file (JSON, re-read when it changes on disk):
+//   {
+//     "mode": "allowlist",                 // "open" = anyone may register (no file = open)
+//     "devices": {
+//       "<DSNO>": { "password": "...", "user": "admin", "enabled": true }
+//     }
+//   }
+//
+// CONNECT from a DSNO that isn't listed (or is disabled) is refused with a
+// non-zero ERRORCODE. A device with a password must then prove it before it
+// counts as online, with either
+//   VERIFY  PARAMETER.VERIFYCODE = md5(SO + password), hex; SO = nonce from our CONNECT reply
+//   LOGIN   PARAMETER.USERNAME + PARAMETER.PASSWORD (plain, or md5(password) hex)
+// No proof within verifyTimeoutMs -> rejected as well.
+//
+// Rejections are appended to logFile (one JSON object per line) and the
+// latest are kept in memory.
+//
+// State is kept per connection (`conn`, normally the socket), not per SESSION:
+// the SESSION is whatever the device puts in its messages, so another client
+// could send a verified one, or reset it with a CONNECT of its own. session(conn)
+// is the SESSION a connection was admitted (or challenged) for; callers use it
+// instead of the one in later messages. A media socket carries no CONNECT: it
+// opens with CREATESTREAM/MEDIATASKSTART under the SESSION of its signaling
+// socket, and attach() admits it while that signaling socket is admitted.
+//
+// Emits:
+//   'reject'   (record)                  { at, reason, code, cause, dsno, session, remote, operation }
+//   'verified' (session, dsno, conn)
+//   'expired'  (session, record, conn)   challenge not answered in time; drop the connection
+
+const { EventEmitter } = require('node:events');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+
+// ERRORCODE / ERRORCAUSE sent back to the device
+const REJECT = {
+  MISSING_DSNO: { code: 10, cause: 'MISSING DSNO' },
+  NOT_ALLOWED: { code: 11, cause: 'DEVICE NOT ALLOWED' },
+  DISABLED: { code: 12, cause: 'DEVICE DISABLED' },
+  BAD_CREDENTIALS: { code: 13, cause: 'AUTHENTICATION FAILED' },
+  NOT_VERIFIED: { code: 14, cause: 'NOT AUTHENTICATED' },
+};
+
+const RECENT_LIMIT = 500;
+
+function md5Hex(s) {
+  return crypto.createHash('md5').update(s).digest('hex');
+}
+
+function sameText(a, b) {
+  const x = Buffer.from(String(a ?? ''));
+  const y = Buffer.from(String(b ?? ''));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+class DeviceAuth extends EventEmitter {
+  constructor({ file = null, logFile = null, verifyTimeoutMs = 15_000 } = {}) {
+    super();
+    this.file = file;
+    this.logFile = logFile;
+    this.verifyTimeoutMs = verifyTimeoutMs;
+    this.policy = { mode: 'open', devices: {} };
+    this.mtime = null;
+    this.challenges = new Map();   // conn -> { session, dsno, so, remote, expiresAt }
+    this.verified = new WeakMap(); // conn -> SESSION it was admitted for
+    this.owners = new Map();       // SESSION -> signaling conn that was admitted for it
+    this.recent = [];            // latest rejections, oldest first
+    if (logFile) fs.mkdirSync(path.dirname(logFile), { recursive: true });
+    this.reload();
+
+    this.timer = setInterval(() => this.expire(), 1_000);
+    this.timer.unref();
+  }
+
+  // --- policy ---
+  reload() {
+    if (!this.file) return;
+    let st;
+    try {
+      st = fs.statSync(this.file);
+    } catch {
+      if (this.mtime !== 0) console.warn(`[AUTH] ${this.file} not found; any device may register`);
+      this.mtime = 0;
+      this.policy = { mode: 'open', devices: {} };
+      return;
+    }
+    if (st.mtimeMs === this.mtime) return;
+    try {
+      const policy = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      const mode = policy.mode === 'open' ? 'open' : 'allowlist';
+      this.policy = { mode, devices: policy.devices || {} };
+      this.mtime = st.mtimeMs;
+      console.log(`[AUTH] policy loaded: ${mode}, ${Object.keys(this.policy.devices).length} device(s)`);
+    } catch (err) {
+      // keep the previous policy rather than opening up on a typo
+      console.error(`[AUTH] ${this.file} unreadable, keeping previous policy:`, err.message);
+    }
+  }
+
+  get open() {
+    return this.policy.mode === 'open';
+  }
+
+  // Whether a connection may do anything beyond the handshake
+  admitted(conn) {
+    return this.open || (!!conn && this.verified.has(conn));
+  }
+
+  // SESSION the connection was admitted for, or is being challenged for; null if neither
+  session(conn) {
+    return this.verified.get(conn) ?? this.challenges.get(conn)?.session ?? null;
+  }
+
+  // Media socket announcing itself for `session`; true once it is admitted
+  attach(conn, session) {
+    const owner = this.owners.get(session);
+    if (owner && owner !== conn && this.verified.get(owner) === session) this.verified.set(conn, session);
+    return this.admitted(conn);
+  }
+
+  admit(conn, session) {
+    this.verified.set(conn, session);
+    if (session) this.owners.set(session, conn);
+  }
+
+  // --- handshake ---
+  // Returns { ok: true, challenge } (challenge = must VERIFY/LOGIN next) or { ok: false, code, cause }
+  connect(conn, session, params = {}, { so = '', remote = null } = {}) {
+    this.reload();
+    const dsno = params.DSNO ? String(params.DSNO) : '';
+    const ctx = { dsno, session, remote, operation: 'CONNECT' };
+    if (this.open) {
+      this.admit(conn, session);
+      return { ok: true, challenge: false };
+    }
+    if (!dsno) return this.reject('MISSING_DSNO', ctx);
+    const device = this.policy.devices[dsno];
+    if (!device) return this.reject('NOT_ALLOWED', ctx);
+    if (device.enabled === false) return this.reject('DISABLED', ctx);
+
+    if (!device.password) {
+      this.admit(conn, session);
+      return { ok: true, challenge: false };
+    }
+    this.verified.delete(conn);
+    this.challenges.set(conn, { session, dsno, so, remote, expiresAt: Date.now() + this.verifyTimeoutMs });
+    return { ok: true, challenge: true };
+  }
+
+  // VERIFY or LOGIN answer to the CONNECT challenge on the same connection
+  prove(conn, operation, params = {}, { remote = null } = {}) {
+    const pending = this.challenges.get(conn);
+    const session = this.session(conn) ?? '';
+    const ctx = { dsno: pending?.dsno || String(params.DSNO || ''), session, remote, operation };
+    if (this.verified.has(conn)) return { ok: true };
+    if (!pending) return this.reject('NOT_VERIFIED', ctx);
+
+    const device = this.policy.devices[pending.dsno] || {};
+    let ok = false;
+    if (operation === 'VERIFY') {
+      ok = sameText(String(params.VERIFYCODE || '').toLowerCase(), md5Hex(pending.so + device.password));
+    } else if (operation === 'LOGIN') {
+      const password = String(params.PASSWORD || '');
+      ok = (!device.user || sameText(params.USERNAME, device.user))
+        && (sameText(password, device.password) || sameText(password.toLowerCase(), md5Hex(device.password)));
+    }
+    if (!ok) {
+      this.challenges.delete(conn);
+      return this.reject('BAD_CREDENTIALS', ctx);
+    }
+    this.challenges.delete(conn);
+    this.admit(conn, session);
+    console.log(`[AUTH] ${pending.dsno} authenticated (${operation})`);
+    this.emit('verified', session, pending.dsno, conn);
+    return { ok: true };
+  }
+
+  // Challenges nobody answered
+  expire(now = Date.now()) {
+    for (const [conn, c] of this.challenges) {
+      if (c.expiresAt > now) continue;
+      this.challenges.delete(conn);
+      const record = this.reject('NOT_VERIFIED', { dsno: c.dsno, session: c.session, remote: c.remote, operation: 'CONNECT' });
+      this.emit('expired', c.session, record, conn);
+    }
+  }
+
+  forget(conn) {
+    const session = this.verified.get(conn);
+    if (this.owners.get(session) === conn) this.owners.delete(session);
+    this.challenges.delete(conn);
+    this.verified.delete(conn);
+  }
+
+  // --- rejections ---
+  reject(reason, { dsno = '', session = '', remote = null, operation = null } = {}) {
+    const { code, cause } = REJECT[reason];
+    const record = { at: new Date().toISOString(), reason, code, cause, dsno, session, remote, operation };
+    this.recent.push(record);
+    if (this.recent.length > RECENT_LIMIT) this.recent.shift();
+    console.log(`🚫 [AUTH] rejected ${dsno || '?'} from ${remote || '?'}: ${cause}`);
+    if (this.logFile) {
+      fs.appendFile(this.logFile, JSON.stringify(record) + '\n', (err) => {
+        if (err) console.error('[AUTH] rejection log write failed:', err.message);
+      });
+    }
+    this.emit('reject', record);
+    return { ok: false, ...record };
+  }
+
+  rejections({ dsno = null, limit = 100 } = {}) {
+    return this.recent.filter(r => !dsno || r.dsno === dsno).slice(-limit).reverse();
+  }
+
+  describe() {
+    return {
+      mode: this.policy.mode,
+      file: this.file,
+      devices: Object.entries(this.policy.devices).map(([dsno, d]) => ({
+        dsno,
+        enabled: d.enabled !== false,
+        password: !!d.password,
+      })),
+      pending: this.challenges.size,
+      rejections: this.recent.length,
+    };
+  }
+
+  close() {
+    clearInterval(this.timer);
+  }
+}
+
+module.exports = {
+  DeviceAuth,
+  REJECT,
+  md5Hex,
+};
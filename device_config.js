@@ -0,0 +1,390 @@
+// Remote device configuration: read, validate, diff and write MDVR settings
+// CommonJS (node >=16)
+//
+// Settings use friendly names; every key is optional when writing:
+//   {
+//     "servers":  [{ "host": "203.0.113.10", "port": 5556, "enabled": true }],   // slots 1..4, in order
+//     "encoding": { "*": { "main": { "resolution": "720P", "bitrate": 1024, "fps": 15 } },
+//                   "2": { "sub":  { "resolution": "CIF", "bitrate": 256, "fps": 10 } } },
+//     "alarms":   { "storageAbnormal": true, "videoShield": false },
+//     "timezone": "+03:00"
+//   }
+// Encoding is per channel; "*" means every channel the device has, and a
+// numbered entry wins over it. bitrate is kbit/s. "servers" replaces the whole
+// list: slots it leaves out are disabled. read() returns the same shape; a RES
+// code outside RESOLUTIONS reads as "RES_<code>" and is written back as is.
+//
+// write() reads the device first, merges, and sends only the sections that
+// change; the result lists the changes as { path, from, to }. With dryRun
+// nothing is sent. push() does the same for a list of DSNOs, a few at a time.
+// Templates are JSON files in templatesDir, used by name.
+//
+// Commands go through call(dsno, json, opts) (n9m_rpc.js):
+//   CONFIGMODEL/GET  PARAMETER { MDVR: { CMS: {}, ENC: {}, ALARM: {}, TIME: {} } }
+//                    RESPONSE  { ERRORCODE, MDVR: { ...those sections } }
+//   CONFIGMODEL/SET  PARAMETER { MDVR: { ...changed sections } }
+// Section layouts are in fromDevice() / toDevice(), with RESOLUTIONS and
+// ALARM_FLAGS (built from ALARM_TYPES in n9m_alarms.js); firmware builds differ,
+// so those are the places to adjust.
+//
+// Emits:
+//   'applied' ({ dsno, changes })   after a device accepted a SET
+
+const { EventEmitter } = require('node:events');
+const fs = require('node:fs');
+const path = require('node:path');
+const { ALARM_TYPES } = require('./n9m_alarms');
+const { rpcError } = require('./n9m_rpc');
+
+// ENC RES codes
+const RESOLUTIONS = ['CIF', 'HD1', 'D1', 'QCIF', 'QVGA', 'VGA', '720P', '1080P', '960H'];
+
+// friendly name -> ALARMTYPE (the key under MDVR.ALARM), for the types
+// n9m_alarms.js knows: 'Video Shield' (1) -> videoShield
+const ALARM_FLAGS = Object.fromEntries(Object.entries(ALARM_TYPES).map(([type, name]) => [
+  name.toLowerCase().replace(/ (\w)/g, (_, c) => c.toUpperCase()),
+  Number(type),
+]));
+
+const STREAMS = { main: 'MAIN', sub: 'SUB' };
+const MAX_SERVERS = 4;
+const MAX_CHANNELS = 32;
+
+const DEFAULTS = {
+  templatesDir: null,
+  timeoutMs: 15_000,  // per CONFIGMODEL attempt
+  concurrency: 4,     // devices configured at once by push()
+};
+
+function badSettings(errors) {
+  return rpcError('N9M_BAD_ARG', `Invalid settings:\n  ${errors.join('\n  ')}`, { errors });
+}
+
+const isObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+// A numeric field as the device reported it; null when missing or not a number
+function numberOrNull(v) {
+  if (v === undefined || v === null || v === '') return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+// --- time zone ---
+// "+03:00" <-> minutes east of UTC
+function parseTimezone(tz) {
+  if (tz === 'UTC' || tz === 'Z') return 0;
+  const m = /^([+-])(\d{2}):(\d{2})$/.exec(String(tz));
+  if (!m) return null;
+  const minutes = (m[1] === '-' ? -1 : 1) * (Number(m[2]) * 60 + Number(m[3]));
+  return minutes >= -12 * 60 && minutes <= 14 * 60 && minutes % 15 === 0 ? minutes : null;
+}
+
+function formatTimezone(minutes) {
+  const abs = Math.abs(minutes);
+  return `${minutes < 0 ? '-' : '+'}${String(Math.floor(abs / 60)).padStart(2, '0')}:${String(abs % 60).padStart(2, '0')}`;
+}
+
+// --- resolution ---
+// ENC RES code <-> name; codes we have no name for survive a read/write round trip
+function resolutionName(code) {
+  if (code === undefined || code === null) return null;
+  return RESOLUTIONS[Number(code)] ?? `RES_${code}`;
+}
+
+function resolutionCode(name) {
+  if (name === null || name === undefined) return undefined;
+  const index = RESOLUTIONS.indexOf(name);
+  if (index >= 0) return index;
+  const raw = String(name).slice('RES_'.length);
+  return Number.isFinite(Number(raw)) ? Number(raw) : raw;
+}
+
+// --- validation ---
+const HOST = /^[A-Za-z0-9.-]+$/;
+
+function validateStream(enc, where, errors) {
+  if (!isObject(enc)) return errors.push(`${where}: must be an object`);
+  for (const [key, value] of Object.entries(enc)) {
+    const at = `${where}.${key}`;
+    if (key === 'resolution') {
+      if (!RESOLUTIONS.includes(value)) errors.push(`${at}: must be one of ${RESOLUTIONS.join(', ')} (got ${JSON.stringify(value)})`);
+    } else if (key === 'bitrate') {
+      if (!Number.isInteger(value) || value < 32 || value > 8192) errors.push(`${at}: must be 32-8192 kbit/s (got ${JSON.stringify(value)})`);
+    } else if (key === 'fps') {
+      if (!Number.isInteger(value) || value < 1 || value > 30) errors.push(`${at}: must be 1-30 (got ${JSON.stringify(value)})`);
+    } else {
+      errors.push(`${at}: unknown setting`);
+    }
+  }
+  return null;
+}
+
+// Returns a list of problems; empty = fine
+function validate(settings) {
+  const errors = [];
+  if (!isObject(settings)) return ['settings: must be an object'];
+  for (const [key, value] of Object.entries(settings)) {
+    switch (key) {
+      case 'servers':
+        if (!Array.isArray(value) || value.length > MAX_SERVERS) {
+          errors.push(`servers: must be a list of at most ${MAX_SERVERS} servers`);
+          break;
+        }
+        // with none enabled the device could never reach a server again
+        if (!value.some(s => isObject(s) && s.enabled !== false)) errors.push('servers: at least one server must be enabled');
+        value.forEach((s, i) => {
+          const at = `servers.${i + 1}`;
+          if (!isObject(s)) return errors.push(`${at}: must be an object`);
+          for (const k of Object.keys(s)) {
+            if (!['host', 'port', 'enabled'].includes(k)) errors.push(`${at}.${k}: unknown setting`);
+          }
+          if (typeof s.host !== 'string' || !HOST.test(s.host)) errors.push(`${at}.host: must be a host name or IPv4 address (got ${JSON.stringify(s.host)})`);
+          if (!Number.isInteger(s.port) || s.port < 1 || s.port > 65535) errors.push(`${at}.port: must be a port number 1-65535 (got ${JSON.stringify(s.port)})`);
+          if (s.enabled !== undefined && typeof s.enabled !== 'boolean') errors.push(`${at}.enabled: must be true or false`);
+          return null;
+        });
+        break;
+      case 'encoding':
+        if (!isObject(value)) {
+          errors.push('encoding: must be an object');
+          break;
+        }
+        for (const [ch, streams] of Object.entries(value)) {
+          const at = `encoding.${ch}`;
+          if (ch !== '*' && !(/^\d+$/.test(ch) && Number(ch) >= 1 && Number(ch) <= MAX_CHANNELS)) {
+            errors.push(`${at}: channel must be 1-${MAX_CHANNELS} or "*"`);
+            continue;
+          }
+          if (!isObject(streams)) {
+            errors.push(`${at}: must be an object`);
+            continue;
+          }
+          for (const [stream, enc] of Object.entries(streams)) {
+            if (!(stream in STREAMS)) errors.push(`${at}.${stream}: must be main or sub`);
+            else validateStream(enc, `${at}.${stream}`, errors);
+          }
+        }
+        break;
+      case 'alarms':
+        if (!isObject(value)) {
+          errors.push('alarms: must be an object');
+          break;
+        }
+        for (const [name, on] of Object.entries(value)) {
+          if (!(name in ALARM_FLAGS)) errors.push(`alarms.${name}: unknown alarm (${Object.keys(ALARM_FLAGS).join(', ')})`);
+          else if (typeof on !== 'boolean') errors.push(`alarms.${name}: must be true or false`);
+        }
+        break;
+      case 'timezone':
+        if (parseTimezone(value) === null) errors.push(`timezone: must be "+HH:MM" between -12:00 and +14:00 in 15 minute steps (got ${JSON.stringify(value)})`);
+        break;
+      default:
+        errors.push(`${key}: unknown setting`);
+    }
+  }
+  return errors;
+}
+
+// --- device layout ---
+// MDVR sections -> friendly settings
+function fromDevice(mdvr = {}) {
+  const out = { servers: [], encoding: {}, alarms: {}, timezone: null };
+  for (const s of Array.isArray(mdvr.CMS) ? mdvr.CMS : []) {
+    if (s?.IP) out.servers.push({ host: String(s.IP), port: numberOrNull(s.PORT), enabled: Number(s.EN) === 1 });
+  }
+  for (const [stream, key] of Object.entries(STREAMS)) {
+    const list = Array.isArray(mdvr.ENC?.[key]) ? mdvr.ENC[key] : [];
+    list.forEach((e, i) => {
+      const ch = String(i + 1);
+      out.encoding[ch] = out.encoding[ch] || {};
+      out.encoding[ch][stream] = { resolution: resolutionName(e.RES), bitrate: numberOrNull(e.BR), fps: numberOrNull(e.FR) };
+    });
+  }
+  for (const [name, type] of Object.entries(ALARM_FLAGS)) {
+    const flag = mdvr.ALARM?.[type];
+    if (flag) out.alarms[name] = Number(flag.EN) === 1;
+  }
+  const tz = numberOrNull(mdvr.TIME?.TZ);
+  if (tz !== null) out.timezone = formatTimezone(tz);
+  return out;
+}
+
+// Friendly settings -> the named MDVR sections
+function toDevice(settings, sections = ['CMS', 'ENC', 'ALARM', 'TIME']) {
+  const mdvr = {};
+  if (sections.includes('CMS')) {
+    mdvr.CMS = settings.servers.map(s => ({ EN: s.enabled === false ? 0 : 1, IP: s.host, PORT: s.port }));
+  }
+  if (sections.includes('ENC')) {
+    const channels = Object.keys(settings.encoding).map(Number).sort((a, b) => a - b);
+    mdvr.ENC = {};
+    for (const [stream, key] of Object.entries(STREAMS)) {
+      if (!channels.some(ch => settings.encoding[ch][stream])) continue; // device has no such stream
+      mdvr.ENC[key] = channels.map((ch) => {
+        const e = settings.encoding[ch][stream] || {};
+        return { RES: resolutionCode(e.resolution), BR: e.bitrate, FR: e.fps };
+      });
+    }
+  }
+  if (sections.includes('ALARM')) {
+    mdvr.ALARM = {};
+    for (const [name, on] of Object.entries(settings.alarms)) mdvr.ALARM[ALARM_FLAGS[name]] = { EN: on ? 1 : 0 };
+  }
+  if (sections.includes('TIME')) {
+    mdvr.TIME = { TZ: parseTimezone(settings.timezone) };
+  }
+  return mdvr;
+}
+
+// --- merge / diff ---
+// current (as read) + validated changes -> desired; throws for channels the device lacks
+function merge(current, settings) {
+  const desired = JSON.parse(JSON.stringify(current));
+  if (settings.servers) {
+    desired.servers = settings.servers.map(s => ({ host: s.host, port: s.port, enabled: s.enabled !== false }));
+    // slots left out stay on the device, disabled
+    for (const old of current.servers.slice(settings.servers.length)) desired.servers.push({ ...old, enabled: false });
+  }
+  if (settings.encoding) {
+    const missing = [];
+    const apply = (ch, streams) => {
+      if (!desired.encoding[ch]) return missing.push(ch);
+      for (const [stream, enc] of Object.entries(streams)) {
+        desired.encoding[ch][stream] = { ...desired.encoding[ch][stream], ...enc };
+      }
+      return null;
+    };
+    if (settings.encoding['*']) Object.keys(desired.encoding).forEach(ch => apply(ch, settings.encoding['*']));
+    for (const [ch, streams] of Object.entries(settings.encoding)) {
+      if (ch !== '*') apply(String(Number(ch)), streams);
+    }
+    if (missing.length) throw badSettings(missing.map(ch => `encoding.${ch}: device has no channel ${ch}`));
+  }
+  if (settings.alarms) Object.assign(desired.alarms, settings.alarms);
+  // "UTC", "Z" and "+00:00" are one zone; compare them in the form read() returns
+  if (settings.timezone !== undefined) desired.timezone = formatTimezone(parseTimezone(settings.timezone));
+  return desired;
+}
+
+function flatten(value, prefix, out = {}) {
+  if (Array.isArray(value)) value.forEach((v, i) => flatten(v, `${prefix}.${i + 1}`, out));
+  else if (isObject(value)) Object.entries(value).forEach(([k, v]) => flatten(v, prefix ? `${prefix}.${k}` : k, out));
+  else out[prefix] = value;
+  return out;
+}
+
+// -> [{ path, from, to }], e.g. { path: 'encoding.2.main.bitrate', from: 512, to: 1024 }
+function diff(current, desired) {
+  const a = flatten(current, '');
+  const b = flatten(desired, '');
+  const changes = [];
+  for (const key of new Set([...Object.keys(a), ...Object.keys(b)])) {
+    if (a[key] !== b[key]) changes.push({ path: key, from: a[key] ?? null, to: b[key] ?? null });
+  }
+  return changes;
+}
+
+const SECTION_OF = { servers: 'CMS', encoding: 'ENC', alarms: 'ALARM', timezone: 'TIME' };
+
+class DeviceConfig extends EventEmitter {
+  // call(dsno, json, opts) sends a command to the device -> Promise<RESPONSE>
+  constructor({ call, ...opts } = {}) {
+    super();
+    this.call = call;
+    this.opts = { ...DEFAULTS, ...opts };
+  }
+
+  async read(dsno) {
+    const response = await this.call(dsno, {
+      MODULE: 'CONFIGMODEL',
+      OPERATION: 'GET',
+      PARAMETER: { MDVR: { CMS: {}, ENC: {}, ALARM: {}, TIME: {} } },
+    }, { timeoutMs: this.opts.timeoutMs });
+    return fromDevice(response.MDVR);
+  }
+
+  // -> { dsno, changes, applied }
+  async write(dsno, settings, { dryRun = false } = {}) {
+    const errors = validate(settings);
+    if (errors.length) throw badSettings(errors);
+
+    const current = await this.read(dsno);
+    const desired = merge(current, settings);
+    const changes = diff(current, desired);
+    if (dryRun || !changes.length) return { dsno, changes, applied: false };
+
+    const sections = [...new Set(changes.map(c => SECTION_OF[c.path.split('.')[0]]))];
+    await this.call(dsno, {
+      MODULE: 'CONFIGMODEL',
+      OPERATION: 'SET',
+      PARAMETER: { MDVR: toDevice(desired, sections) },
+    }, { timeoutMs: this.opts.timeoutMs });
+    this.emit('applied', { dsno, changes });
+    return { dsno, changes, applied: true };
+  }
+
+  // Same settings to many devices; one result per DSNO, failures included
+  async push(dsnos, settings, { dryRun = false } = {}) {
+    const errors = validate(settings);
+    if (errors.length) throw badSettings(errors);
+
+    const queue = [...new Set(dsnos)];
+    const results = [];
+    const worker = async () => {
+      while (queue.length) {
+        const dsno = queue.shift();
+        try {
+          const { changes, applied } = await this.write(dsno, settings, { dryRun });
+          results.push({ dsno, ok: true, changes, applied });
+        } catch (err) {
+          results.push({ dsno, ok: false, code: err.code || null, error: err.message, changes: [], applied: false });
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(this.opts.concurrency, queue.length) }, worker));
+    return results.sort((a, b) => (a.dsno < b.dsno ? -1 : a.dsno > b.dsno ? 1 : 0));
+  }
+
+  // --- templates ---
+  templates() {
+    if (!this.opts.templatesDir) return [];
+    let names;
+    try {
+      names = fs.readdirSync(this.opts.templatesDir).filter(f => f.endsWith('.json')).map(f => f.slice(0, -5)).sort();
+    } catch {
+      return [];
+    }
+    return names.map((name) => {
+      try {
+        return { name, settings: this.template(name) };
+      } catch (err) {
+        return { name, error: err.message };
+      }
+    });
+  }
+
+  template(name) {
+    if (!this.opts.templatesDir || !/^[\w.-]+$/.test(name)) throw rpcError('N9M_NOT_FOUND', `No template "${name}"`);
+    const file = path.join(this.opts.templatesDir, `${name}.json`);
+    let settings;
+    try {
+      settings = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') throw rpcError('N9M_NOT_FOUND', `No template "${name}"`);
+      throw rpcError('N9M_BAD_ARG', `Template ${name}: ${err.message}`);
+    }
+    const errors = validate(settings);
+    if (errors.length) throw badSettings(errors.map(e => `template ${name}: ${e}`));
+    return settings;
+  }
+}
+
+module.exports = {
+  DeviceConfig,
+  RESOLUTIONS,
+  ALARM_FLAGS,
+  validate,
+  diff,
+  fromDevice,
+  toDevice,
+};
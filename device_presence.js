@@ -0,0 +1,218 @@
+// Device presence: who is online, since when, and how often they drop
+// CommonJS (node >=16)
+//
+// One record per DSNO (unlike DeviceRegistry, which is per SESSION and
+// forgets a session when its socket closes). A device is online from an
+// admitted CONNECT until its signaling socket closes or nothing arrived for
+// missedKeepalives x keepaliveMs (MDVRs send CERTIFICATE/KEEPALIVE about
+// every 30 s). A CONNECT from a device that is still online replaces the
+// old session; the caller closes the old socket. That includes a CONNECT on a
+// new socket that reuses the SESSION, which MDVRs do on reconnect.
+//
+// A device that (re)connects flapThreshold times within flapWindowMs is
+// flapping; 'flap' is emitted once per episode, when it starts.
+//
+// Emits:
+//   'connect'    (record, { reconnect, replaced, offlineMs })
+//   'disconnect' (record, { reason, onlineMs })
+//   'flap'       (record, { connects, windowMs })
+
+const { EventEmitter } = require('node:events');
+
+const DEFAULTS = {
+  keepaliveMs: 30_000,
+  missedKeepalives: 3,
+  flapWindowMs: 10 * 60_000,
+  flapThreshold: 5,
+};
+
+const HISTORY_LIMIT = 50; // connect/disconnect entries kept per device
+
+class DevicePresence extends EventEmitter {
+  constructor(opts = {}) {
+    super();
+    this.opts = { ...DEFAULTS, ...opts };
+    this.devices = new Map(); // dsno -> record
+
+    this.timer = setInterval(() => this.sweep(), Math.min(5_000, this.opts.keepaliveMs));
+    this.timer.unref();
+  }
+
+  get timeoutMs() {
+    return this.opts.keepaliveMs * this.opts.missedKeepalives;
+  }
+
+  get(dsno) {
+    return this.devices.get(dsno);
+  }
+
+  isOnline(dsno) {
+    return this.devices.get(dsno)?.state === 'online';
+  }
+
+  record(dsno) {
+    let rec = this.devices.get(dsno);
+    if (!rec) {
+      rec = {
+        dsno,
+        carnum: null,
+        state: 'offline',
+        session: null,
+        socket: null,
+        remote: null,
+        lastSeen: null,
+        lastKeepalive: null,
+        onlineSince: null,
+        offlineSince: null,
+        lastReason: null,
+        connects: 0,
+        reconnects: 0,     // connects after the first one
+        replaced: 0,       // CONNECTs that took over a session still marked online
+        timeouts: 0,
+        flaps: 0,
+        flapping: false,
+        recentConnects: [], // timestamps inside flapWindowMs
+        onlineMsTotal: 0,
+        offlineMsTotal: 0,
+        history: [],        // { at, event, reason?, session? }
+      };
+      this.devices.set(dsno, rec);
+    }
+    return rec;
+  }
+
+  // --- transitions ---
+  // Admitted CONNECT. Returns the session it replaced (its socket is the caller's to close), or null.
+  connect(dsno, { session, socket = null, carnum = null } = {}) {
+    const now = Date.now();
+    const rec = this.record(dsno);
+    const wasOnline = rec.state === 'online';
+    const takeover = rec.session !== session || rec.socket !== socket;
+    const previous = wasOnline && takeover ? { session: rec.session, socket: rec.socket } : null;
+    if (wasOnline && !previous) return null; // CONNECT again on the same connection
+
+    const offlineMs = rec.offlineSince ? now - rec.offlineSince : null;
+    if (wasOnline) {
+      rec.onlineMsTotal += now - rec.onlineSince;
+      rec.replaced++;
+      this.log(rec, now, 'replaced', { session: rec.session });
+    } else if (offlineMs !== null) {
+      rec.offlineMsTotal += offlineMs;
+    }
+
+    const reconnect = rec.connects > 0;
+    rec.connects++;
+    if (reconnect) rec.reconnects++;
+    Object.assign(rec, {
+      state: 'online',
+      session,
+      socket,
+      remote: socket ? `${socket.remoteAddress}:${socket.remotePort}` : null,
+      carnum: carnum || rec.carnum,
+      lastSeen: now,
+      onlineSince: now,
+      offlineSince: null,
+    });
+    this.log(rec, now, 'connect', { session });
+
+    rec.recentConnects = rec.recentConnects.filter(t => now - t < this.opts.flapWindowMs);
+    rec.recentConnects.push(now);
+    const flapStarted = rec.recentConnects.length >= this.opts.flapThreshold && !rec.flapping;
+    if (flapStarted) {
+      rec.flapping = true;
+      rec.flaps++;
+    }
+
+    this.emit('connect', rec, { reconnect, replaced: !!previous, offlineMs: wasOnline ? 0 : offlineMs });
+    if (flapStarted) this.emit('flap', rec, { connects: rec.recentConnects.length, windowMs: this.opts.flapWindowMs });
+    return previous;
+  }
+
+  // Any traffic from the session; KEEPALIVE also stamps lastKeepalive
+  seen(dsno, session, keepalive = false) {
+    const rec = this.devices.get(dsno);
+    if (!rec || rec.state !== 'online' || rec.session !== session) return;
+    rec.lastSeen = Date.now();
+    if (keepalive) rec.lastKeepalive = rec.lastSeen;
+  }
+
+  // Signaling socket of a session closed; stale sessions (already replaced) are ignored
+  disconnect(dsno, session, reason = 'connection closed') {
+    const rec = this.devices.get(dsno);
+    if (!rec || rec.state !== 'online' || rec.session !== session) return false;
+    this.goOffline(rec, reason);
+    return true;
+  }
+
+  goOffline(rec, reason, now = Date.now()) {
+    const onlineMs = now - rec.onlineSince;
+    rec.onlineMsTotal += onlineMs;
+    Object.assign(rec, { state: 'offline', socket: null, offlineSince: now, onlineSince: null, lastReason: reason });
+    this.log(rec, now, 'disconnect', { reason, session: rec.session });
+    this.emit('disconnect', rec, { reason, onlineMs });
+  }
+
+  // Keepalive timeouts, and the end of flapping episodes
+  sweep(now = Date.now()) {
+    for (const rec of this.devices.values()) {
+      if (rec.state === 'online' && now - rec.lastSeen > this.timeoutMs) {
+        rec.timeouts++;
+        const socket = rec.socket;
+        this.goOffline(rec, `no keepalive for ${Math.round((now - rec.lastSeen) / 1000)}s`, now);
+        socket?.destroy();
+      }
+      if (rec.flapping && !rec.recentConnects.some(t => now - t < this.opts.flapWindowMs)) {
+        rec.flapping = false;
+        rec.recentConnects = [];
+      }
+    }
+  }
+
+  log(rec, now, event, extra) {
+    rec.history.push({ at: new Date(now).toISOString(), event, ...extra });
+    if (rec.history.length > HISTORY_LIMIT) rec.history.shift();
+  }
+
+  // --- reporting ---
+  describe(rec, now = Date.now()) {
+    const iso = t => (t ? new Date(t).toISOString() : null);
+    const onlineMs = rec.onlineMsTotal + (rec.state === 'online' ? now - rec.onlineSince : 0);
+    const offlineMs = rec.offlineMsTotal + (rec.offlineSince ? now - rec.offlineSince : 0);
+    return {
+      dsno: rec.dsno,
+      carnum: rec.carnum,
+      state: rec.state,
+      session: rec.session,
+      remote: rec.remote,
+      lastSeen: iso(rec.lastSeen),
+      lastKeepalive: iso(rec.lastKeepalive),
+      onlineSince: iso(rec.onlineSince),
+      offlineSince: iso(rec.offlineSince),
+      lastReason: rec.lastReason,
+      flapping: rec.flapping,
+      stats: {
+        connects: rec.connects,
+        reconnects: rec.reconnects,
+        replaced: rec.replaced,
+        timeouts: rec.timeouts,
+        flaps: rec.flaps,
+        connectsInWindow: rec.recentConnects.filter(t => now - t < this.opts.flapWindowMs).length,
+        // share of tracked time the device was reachable
+        availability: onlineMs + offlineMs ? Math.round((onlineMs / (onlineMs + offlineMs)) * 1000) / 1000 : null,
+        avgSessionSec: rec.connects ? Math.round(onlineMs / rec.connects / 1000) : null,
+      },
+    };
+  }
+
+  list({ state = null } = {}) {
+    return [...this.devices.values()].filter(r => !state || r.state === state).map(r => this.describe(r));
+  }
+
+  close() {
+    clearInterval(this.timer);
+  }
+}
+
+module.exports = {
+  DevicePresence,
+};
@@ -0,0 +1,219 @@
+// In-memory registry of device sessions and their media tasks
+// CommonJS (node >=16)
+//
+// One entry per SESSION (from CERTIFICATE/CONNECT). The signaling socket is
+// the one CONNECT arrived on; media sockets announce themselves with
+// CREATESTREAM/MEDIATASKSTART under the same SESSION.
+
+const { H264Stream } = require('./h264_analyzer');
+const { AudioDecoder } = require('./audio_codec');
+const { getDialect } = require('./n9m_dialect');
+
+// CONNECT reports CHANNEL as a count; channels are numbered from 1
+function channelList(count) {
+  const n = Number(count);
+  return n > 0 ? Array.from({ length: n }, (_, i) => i + 1) : [];
+}
+
+class DeviceRegistry {
+  constructor() {
+    this.sessions = new Map(); // session -> entry
+  }
+
+  connect(session, params = {}, socket = null, { layout = 'n9m', dialect = getDialect() } = {}) {
+    const now = Date.now();
+    const entry = {
+      session,
+      dsno: params.DSNO,
+      carnum: params.CARNUM,
+      channel: params.CHANNEL,
+      devname: params.DEVNAME,
+      devclass: params.DEVCLASS,
+      devtype: params.DEVTYPE,
+      net: params.NET,
+      pro: params.PRO,
+      params,
+      socket,
+      layout,               // header dialect of the signaling socket
+      dialect,              // SIGNAL JSON dialect (n9m_dialect) chosen on CONNECT
+      remote: socket ? `${socket.remoteAddress}:${socket.remotePort}` : null,
+      connectedAt: now,
+      lastKeepalive: null,
+      lastSeen: now,
+      mediaTasks: new Map(), // streamname -> task
+    };
+    this.sessions.set(session, entry);
+    return entry;
+  }
+
+  get(session) {
+    return this.sessions.get(session);
+  }
+
+  byDsno(dsno) {
+    return [...this.sessions.values()].filter(e => e.dsno === dsno);
+  }
+
+  // Newest session of a device whose signaling socket is still open
+  signaling(dsno) {
+    const entries = this.byDsno(dsno).filter(e => e.socket && !e.socket.destroyed);
+    return entries.length ? entries.reduce((a, b) => (b.connectedAt >= a.connectedAt ? b : a)) : null;
+  }
+
+  touch(session, keepalive = false) {
+    const entry = this.sessions.get(session);
+    if (!entry) return;
+    entry.lastSeen = Date.now();
+    if (keepalive) entry.lastKeepalive = entry.lastSeen;
+  }
+
+  startMediaTask(session, params = {}, socket = null) {
+    const entry = this.sessions.get(session);
+    if (!entry) return null;
+    const streamname = String(params.STREAMNAME ?? '');
+    const task = {
+      streamname,
+      ssrc: params.SSRC,
+      csrc: params.CSRC,
+      pt: params.PT,
+      channels: null,       // live channels carried, filled in by the caller
+      socket,
+      startedAt: Date.now(),
+      frames: 0,
+      bytes: 0,
+      lastFrameAt: null,
+      video: new Map(),     // channel -> H264Stream
+      audio: new Map(),     // channel -> AudioDecoder
+    };
+    entry.mediaTasks.set(streamname, task);
+    return task;
+  }
+
+  stopMediaTask(session, streamname) {
+    const entry = this.sessions.get(session);
+    if (!entry) return null;
+    const key = String(streamname ?? '');
+    const task = entry.mediaTasks.get(key);
+    entry.mediaTasks.delete(key);
+    return task || null;
+  }
+
+  countMedia(session, socket, bytes) {
+    const entry = this.sessions.get(session);
+    if (!entry) return null;
+    for (const task of entry.mediaTasks.values()) {
+      if (task.socket === socket) {
+        task.frames++;
+        task.bytes += bytes;
+        task.lastFrameAt = Date.now();
+        return task;
+      }
+    }
+    return null;
+  }
+
+  // Parse one PT=2 payload of a task's channel; returns { stream, info }
+  analyzeVideo(task, channel, payload) {
+    let stream = task.video.get(channel);
+    if (!stream) {
+      stream = new H264Stream();
+      task.video.set(channel, stream);
+    }
+    return { stream, info: stream.push(payload) };
+  }
+
+  // Decode one PT=12 payload of a task's channel to PCM (Int16Array).
+  // Decoders are stateful (G.726), so there is one per channel.
+  decodeAudio(task, channel, payload, codec) {
+    let decoder = task.audio.get(channel);
+    if (!decoder) {
+      decoder = new AudioDecoder(codec);
+      task.audio.set(channel, decoder);
+    }
+    return decoder.decode(payload);
+  }
+
+  // A socket closed: drop its media tasks, and the session if it was signaling
+  dropSocket(socket) {
+    const dropped = [];
+    for (const [session, entry] of this.sessions) {
+      for (const [name, task] of entry.mediaTasks) {
+        if (task.socket === socket) entry.mediaTasks.delete(name);
+      }
+      if (entry.socket === socket) {
+        this.sessions.delete(session);
+        dropped.push(entry);
+      }
+    }
+    return dropped;
+  }
+
+  // Force-disconnect every session of a device; returns how many were closed
+  disconnect(dsno) {
+    const entries = this.byDsno(dsno);
+    for (const entry of entries) {
+      for (const task of entry.mediaTasks.values()) task.socket?.destroy();
+      entry.socket?.destroy();
+      this.sessions.delete(entry.session);
+    }
+    return entries.length;
+  }
+
+  describe(entry, now = Date.now()) {
+    return {
+      dsno: entry.dsno,
+      carnum: entry.carnum,
+      channel: entry.channel,
+      channels: channelList(entry.channel),
+      devname: entry.devname,
+      devtype: entry.devtype,
+      net: entry.net,
+      pro: entry.pro,
+      dialect: entry.dialect.name,
+      session: entry.session,
+      remote: entry.remote,
+      connectedAt: new Date(entry.connectedAt).toISOString(),
+      uptimeSec: Math.round((now - entry.connectedAt) / 1000),
+      lastKeepalive: entry.lastKeepalive ? new Date(entry.lastKeepalive).toISOString() : null,
+      lastSeen: new Date(entry.lastSeen).toISOString(),
+      mediaTasks: entry.mediaTasks.size,
+    };
+  }
+
+  describeTask(entry, task, now = Date.now()) {
+    return {
+      dsno: entry.dsno,
+      carnum: entry.carnum,
+      session: entry.session,
+      streamname: task.streamname,
+      channels: task.channels || [],
+      ssrc: task.ssrc,
+      pt: task.pt,
+      remote: task.socket ? `${task.socket.remoteAddress}:${task.socket.remotePort}` : null,
+      startedAt: new Date(task.startedAt).toISOString(),
+      durationSec: Math.round((now - task.startedAt) / 1000),
+      frames: task.frames,
+      bytes: task.bytes,
+      lastFrameAt: task.lastFrameAt ? new Date(task.lastFrameAt).toISOString() : null,
+      video: Object.fromEntries([...task.video].map(([ch, stream]) => [ch, stream.stats(now)])),
+      audio: Object.fromEntries([...task.audio].map(([ch, decoder]) => [ch, decoder.stats()])),
+    };
+  }
+
+  list() {
+    return [...this.sessions.values()].map(e => this.describe(e));
+  }
+
+  listMediaTasks() {
+    const out = [];
+    for (const entry of this.sessions.values()) {
+      for (const task of entry.mediaTasks.values()) out.push(this.describeTask(entry, task));
+    }
+    return out;
+  }
+}
+
+module.exports = {
+  DeviceRegistry,
+  channelList,
+};
@@ -0,0 +1,313 @@
+// In-process fragmented MP4 (ISO BMFF) muxer for H.264 (+ audio), for MSE players
+// CommonJS (node >=16)
+//
+// Fmp4Muxer turns one channel's Annex-B payloads (analyzed by H264Stream)
+// into an init segment (ftyp+moov, built from SPS/PPS) and media fragments
+// (moof+mdat), one per GOP so every fragment starts with an IDR. Devices send
+// no timestamps, so sample durations come from arrival times.
+//
+// Decoded PT=12 audio goes in a second track as FLAC (8 kHz mono). Both tracks
+// count from the arrival of the first video sample; audio runs on its sample
+// count and is re-anchored to the wall clock when it drifts past MAX_AV_DRIFT.
+//
+// Fmp4Rooms serves it over a WsHub: clients joining with
+//   ws://<host>:<port>/?room=n9m:<DSNO>:ch1&format=fmp4
+// get a text {"type":"init","mime":...} frame and the current init segment,
+// then fragments. The same pair is sent again whenever the init changes.
+
+const { SAMPLE_RATE, flacFrame, flacStreamInfo } = require('./audio_codec');
+
+const TIMESCALE = 90_000;           // ticks per second
+const DEFAULT_DURATION = 3_600;     // 40 ms, when arrival times don't tell
+const MAX_PENDING = 1_000;          // samples; flush even without a keyframe
+const MAX_AV_DRIFT = 0.5;           // seconds
+const TRACK_ID = 1;
+const AUDIO_TRACK_ID = 2;
+
+const MATRIX = [0x00010000, 0, 0, 0, 0x00010000, 0, 0, 0, 0x40000000];
+
+// --- Box helpers ---
+function u8(n) {
+  return Buffer.from([n & 0xff]);
+}
+
+function u16(n) {
+  const b = Buffer.alloc(2);
+  b.writeUInt16BE(n & 0xffff);
+  return b;
+}
+
+function u32(n) {
+  const b = Buffer.alloc(4);
+  b.writeUInt32BE(n >>> 0);
+  return b;
+}
+
+function u64(n) {
+  const b = Buffer.alloc(8);
+  b.writeBigUInt64BE(BigInt(Math.floor(n)));
+  return b;
+}
+
+function box(type, ...parts) {
+  const size = 8 + parts.reduce((n, p) => n + p.length, 0);
+  const head = Buffer.alloc(8);
+  head.writeUInt32BE(size);
+  head.write(type, 4, 'ascii');
+  return Buffer.concat([head, ...parts]);
+}
+
+function fullBox(type, version, flags, ...parts) {
+  return box(type, u32((version << 24) | flags), ...parts);
+}
+
+// --- Init segment ---
+function avcC(sps, pps) {
+  return box('avcC',
+    u8(1),                    // configurationVersion
+    u8(sps[1]), u8(sps[2]), u8(sps[3]), // profile, compatibility, level
+    u8(0xfc | 3),             // 4-byte NAL lengths
+    u8(0xe0 | 1), u16(sps.length), sps,
+    u8(1), u16(pps.length), pps,
+  );
+}
+
+function avc1(sps, pps, width, height) {
+  return box('avc1',
+    Buffer.alloc(6), u16(1),  // reserved, data_reference_index
+    Buffer.alloc(16),         // pre_defined / reserved
+    u16(width), u16(height),
+    u32(0x00480000), u32(0x00480000), // 72 dpi
+    u32(0), u16(1),           // reserved, frame_count
+    Buffer.alloc(32),         // compressorname
+    u16(0x18), u16(0xffff),   // depth, pre_defined = -1
+    avcC(sps, pps),
+  );
+}
+
+function fLaC(sampleRate, channels) {
+  return box('fLaC',
+    Buffer.alloc(6), u16(1),  // reserved, data_reference_index
+    Buffer.alloc(8),          // reserved
+    u16(channels), u16(16),   // channelcount, samplesize
+    u16(0), u16(0),           // pre_defined, reserved
+    u32(sampleRate << 16),
+    fullBox('dfLa', 0, 0, flacStreamInfo(sampleRate, channels)),
+  );
+}
+
+const dinfBox = () => box('dinf', fullBox('dref', 0, 0, u32(1), fullBox('url ', 0, 1)));
+
+// stsd + empty sample tables; fragments carry the samples
+const stblBox = (entry) => box('stbl',
+  fullBox('stsd', 0, 0, u32(1), entry),
+  fullBox('stts', 0, 0, u32(0)),
+  fullBox('stsc', 0, 0, u32(0)),
+  fullBox('stsz', 0, 0, u32(0), u32(0)),
+  fullBox('stco', 0, 0, u32(0)),
+);
+
+function audioTrak({ sampleRate, channels }) {
+  const tkhd = fullBox('tkhd', 0, 3,
+    u32(0), u32(0), u32(AUDIO_TRACK_ID), u32(0), u32(0),
+    Buffer.alloc(8), u16(0), u16(1), u16(0x0100), u16(0), // layer, alternate_group, volume
+    ...MATRIX.map(u32), u32(0), u32(0),
+  );
+  const mdhd = fullBox('mdhd', 0, 0, u32(0), u32(0), u32(sampleRate), u32(0), u16(0x55c4), u16(0));
+  const hdlr = fullBox('hdlr', 0, 0, u32(0), Buffer.from('soun'), Buffer.alloc(12), Buffer.from('SoundHandler\0'));
+  const smhd = fullBox('smhd', 0, 0, u16(0), u16(0));
+  return box('trak', tkhd, box('mdia', mdhd, hdlr, box('minf', smhd, dinfBox(), stblBox(fLaC(sampleRate, channels)))));
+}
+
+// audio = { sampleRate, channels } adds a FLAC track
+function initSegment({ sps, pps, width, height, audio = null }) {
+  const ftyp = box('ftyp', Buffer.from('isom'), u32(0x200), Buffer.from('isomiso6avc1mp41'));
+
+  const mvhd = fullBox('mvhd', 0, 0,
+    u32(0), u32(0), u32(1000), u32(0), // times, timescale, duration
+    u32(0x00010000), u16(0x0100), Buffer.alloc(10), // rate, volume, reserved
+    ...MATRIX.map(u32), Buffer.alloc(24), u32(AUDIO_TRACK_ID + 1),
+  );
+
+  const tkhd = fullBox('tkhd', 0, 3, // enabled, in movie
+    u32(0), u32(0), u32(TRACK_ID), u32(0), u32(0),
+    Buffer.alloc(8), u16(0), u16(0), u16(0), u16(0),
+    ...MATRIX.map(u32), u32(width << 16), u32(height << 16),
+  );
+
+  const mdhd = fullBox('mdhd', 0, 0, u32(0), u32(0), u32(TIMESCALE), u32(0), u16(0x55c4), u16(0)); // 'und'
+  const hdlr = fullBox('hdlr', 0, 0, u32(0), Buffer.from('vide'), Buffer.alloc(12), Buffer.from('VideoHandler\0'));
+  const vmhd = fullBox('vmhd', 0, 1, Buffer.alloc(8));
+  const trak = box('trak', tkhd, box('mdia', mdhd, hdlr, box('minf', vmhd, dinfBox(), stblBox(avc1(sps, pps, width, height)))));
+  const trex = (id) => fullBox('trex', 0, 0, u32(id), u32(1), u32(0), u32(0), u32(0));
+
+  if (!audio) return Buffer.concat([ftyp, box('moov', mvhd, trak, box('mvex', trex(TRACK_ID)))]);
+  return Buffer.concat([ftyp, box('moov', mvhd, trak, audioTrak(audio), box('mvex', trex(TRACK_ID), trex(AUDIO_TRACK_ID)))]);
+}
+
+// --- Media fragments ---
+const SAMPLE_SYNC = 0x02000000;     // sample_depends_on = 2 (I-frame)
+const SAMPLE_NON_SYNC = 0x01010000; // depends on others, non-sync
+
+function mediaSegment(sequence, baseDecodeTime, samples, trackId = TRACK_ID) {
+  const trunFlags = 0x000001 | 0x000100 | 0x000200 | 0x000400; // offset, duration, size, flags
+  const build = (dataOffset) => box('moof',
+    fullBox('mfhd', 0, 0, u32(sequence)),
+    box('traf',
+      fullBox('tfhd', 0, 0x020000, u32(trackId)), // default-base-is-moof
+      fullBox('tfdt', 1, 0, u64(baseDecodeTime)),
+      fullBox('trun', 0, trunFlags, u32(samples.length), u32(dataOffset),
+        ...samples.flatMap(s => [u32(s.duration), u32(s.data.length), u32(s.keyframe ? SAMPLE_SYNC : SAMPLE_NON_SYNC)])),
+    ),
+  );
+  const moof = build(0);
+  return Buffer.concat([build(moof.length + 8), box('mdat', ...samples.map(s => s.data))]);
+}
+
+// Annex-B -> 4-byte length-prefixed NAL units; parameter sets / AUDs live in avcC
+function toAvcc(nals) {
+  const parts = [];
+  for (const nal of nals) {
+    const type = nal[0] & 0x1f;
+    if (type === 7 || type === 8 || type === 9) continue;
+    parts.push(u32(nal.length), nal);
+  }
+  return Buffer.concat(parts);
+}
+
+class Fmp4Muxer {
+  // audio = { sampleRate, channels } when the channel is known to carry audio;
+  // otherwise the track is added (with a new init) once pushAudio() is called
+  constructor({ audio = null } = {}) {
+    this.init = null;      // current init segment
+    this.spsNal = null;    // SPS the init segment was built from
+    this.codec = null;     // avc1.xxxxxx of that SPS
+    this.audio = audio;
+    this.initAudio = false; // whether this.init has the audio track
+    this.pending = [];     // samples of the GOP being collected
+    this.sequence = 0;
+    this.decodeTime = 0;   // in TIMESCALE ticks
+    this.origin = null;    // arrival of the first video sample = time 0 of both tracks
+    this.audioRuns = [];   // [{ start, samples }] waiting for the next flush
+    this.audioTime = null; // next audio sample number
+  }
+
+  get mime() {
+    return `video/mp4; codecs="${[this.codec, this.initAudio && 'flac'].filter(Boolean).join(',')}"`;
+  }
+
+  // video = { stream: H264Stream, info: result of stream.push(payload) }
+  // Returns { fragment, init }; send the fragment first, it belongs to the previous init
+  push({ stream, info }, now = Date.now()) {
+    const out = {};
+    if (info.keyframe || this.pending.length >= MAX_PENDING) {
+      if (this.pending.length) out.fragment = this.flush(now, stream);
+    }
+    const audioAdded = !!this.audio && !this.initAudio;
+    if (info.keyframe && stream.spsNal && stream.ppsNal && (stream.spsNal !== this.spsNal || audioAdded)) {
+      this.spsNal = stream.spsNal;
+      this.codec = stream.sps.codec;
+      this.initAudio = !!this.audio;
+      this.init = initSegment({ sps: stream.spsNal, pps: stream.ppsNal, width: stream.sps.width, height: stream.sps.height, audio: this.audio });
+      out.init = this.init;
+    }
+    if (!this.init || !info.pictures) return out; // wait for the first keyframe with SPS/PPS
+
+    const data = toAvcc(info.units);
+    if (data.length) {
+      if (this.origin == null) this.origin = now;
+      this.pending.push({ data, time: now, keyframe: info.keyframe, duration: 0 });
+    }
+    return out;
+  }
+
+  // pcm = Int16Array from AudioDecoder.decode(); goes out with the next video fragment
+  pushAudio(pcm, now = Date.now()) {
+    if (!this.audio) this.audio = { sampleRate: SAMPLE_RATE, channels: 1 };
+    if (!this.initAudio || this.origin == null || !pcm.length) return;
+
+    const rate = this.audio.sampleRate;
+    const expected = Math.round(((now - this.origin) * rate) / 1000) - pcm.length; // chunk ends on arrival
+    if (expected < 0) return;
+    if (this.audioTime == null || Math.abs(this.audioTime - expected) > rate * MAX_AV_DRIFT) {
+      this.audioTime = expected;
+      this.audioRuns.push({ start: expected, samples: [] });
+    } else if (!this.audioRuns.length) {
+      this.audioRuns.push({ start: this.audioTime, samples: [] });
+    }
+    this.audioRuns[this.audioRuns.length - 1].samples.push({
+      data: flacFrame(pcm, this.audioTime, rate),
+      duration: pcm.length,
+      keyframe: true,
+    });
+    this.audioTime += pcm.length;
+  }
+
+  flush(now, stream) {
+    const parts = [];
+    const samples = this.pending;
+    this.pending = [];
+    if (samples.length) {
+      const fallback = stream?.sps?.fps ? Math.round(TIMESCALE / stream.sps.fps) : DEFAULT_DURATION;
+      for (let i = 0; i < samples.length; i++) {
+        const next = i + 1 < samples.length ? samples[i + 1].time : now;
+        const ticks = Math.round(((next - samples[i].time) * TIMESCALE) / 1000);
+        samples[i].duration = ticks > 0 ? ticks : fallback;
+      }
+      parts.push(mediaSegment(++this.sequence, this.decodeTime, samples));
+      this.decodeTime += samples.reduce((n, s) => n + s.duration, 0);
+    }
+    for (const run of this.audioRuns) parts.push(mediaSegment(++this.sequence, run.start, run.samples, AUDIO_TRACK_ID));
+    this.audioRuns = [];
+    return Buffer.concat(parts);
+  }
+}
+
+// --- WS delivery ---
+class Fmp4Rooms {
+  constructor(hub) {
+    this.hub = hub;
+    this.muxers = new Map(); // room -> Fmp4Muxer, only while fMP4 clients are present
+
+    hub.on('join', (room, ws) => {
+      if (hub.format(ws) !== 'fmp4') return;
+      if (!this.muxers.has(room)) this.muxers.set(room, new Fmp4Muxer());
+      const muxer = this.muxers.get(room);
+      if (muxer.init) {
+        hub.send(ws, this.initMessage(muxer));
+        hub.send(ws, muxer.init);
+      }
+    });
+    hub.on('leave', (room) => {
+      if (!hub.viewers(room, 'fmp4')) this.muxers.delete(room);
+    });
+  }
+
+  initMessage(muxer) {
+    return JSON.stringify({ type: 'init', mime: muxer.mime });
+  }
+
+  // video = { stream, info } from H264Stream.push()
+  push(room, video) {
+    const muxer = this.muxers.get(room);
+    if (!muxer) return;
+    const { fragment, init } = muxer.push(video);
+    if (fragment) this.hub.broadcast(room, fragment, { format: 'fmp4' });
+    if (init) {
+      this.hub.broadcast(room, this.initMessage(muxer), { format: 'fmp4' });
+      this.hub.broadcast(room, init, { format: 'fmp4' });
+    }
+  }
+
+  // pcm = decoded PT=12 samples of the room's channel
+  pushAudio(room, pcm) {
+    this.muxers.get(room)?.pushAudio(pcm);
+  }
+}
+
+module.exports = {
+  Fmp4Muxer,
+  Fmp4Rooms,
+  initSegment,
+  mediaSegment,
+};
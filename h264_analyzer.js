@@ -0,0 +1,316 @@
+// Annex-B H.264 bitstream analysis for PT=2 payloads
+// CommonJS (node >=16)
+//
+// splitNalUnits() cuts a payload at its start codes, parseSps() reads
+// resolution / profile / VUI frame rate, and H264Stream keeps the state of one
+// channel: current SPS/PPS, keyframes, and bitrate/fps over a sliding window.
+
+const NAL = {
+  SLICE: 1,
+  IDR: 5,
+  SEI: 6,
+  SPS: 7,
+  PPS: 8,
+  AUD: 9,
+};
+
+const PROFILES = {
+  66: 'Baseline',
+  77: 'Main',
+  88: 'Extended',
+  100: 'High',
+  110: 'High 10',
+  122: 'High 4:2:2',
+  244: 'High 4:4:4',
+};
+
+// Profiles whose SPS carries chroma format / bit depth / scaling lists
+const HIGH_PROFILES = new Set([100, 110, 122, 244, 44, 83, 86, 118, 128, 138, 139, 134, 135]);
+
+const START_CODE = Buffer.from([0, 0, 0, 1]);
+
+// --- NAL units ---
+// Returns the NAL units without their start codes; [] when there is none
+function splitNalUnits(buf) {
+  const starts = []; // [start code offset, payload offset]
+  for (let i = 0; i + 2 < buf.length; i++) {
+    if (buf[i] === 0 && buf[i + 1] === 0 && buf[i + 2] === 1) {
+      starts.push([i > 0 && buf[i - 1] === 0 ? i - 1 : i, i + 3]);
+      i += 2;
+    }
+  }
+  return starts.map(([, from], n) => buf.subarray(from, n + 1 < starts.length ? starts[n + 1][0] : buf.length))
+    .filter(nal => nal.length);
+}
+
+function nalType(nal) {
+  return nal[0] & 0x1f;
+}
+
+// Drop emulation prevention bytes (00 00 03 -> 00 00)
+function toRbsp(nal) {
+  const out = Buffer.alloc(nal.length);
+  let len = 0;
+  let zeros = 0;
+  for (const b of nal) {
+    if (zeros >= 2 && b === 3) {
+      zeros = 0;
+      continue;
+    }
+    out[len++] = b;
+    zeros = b === 0 ? zeros + 1 : 0;
+  }
+  return out.subarray(0, len);
+}
+
+class BitReader {
+  constructor(buf) {
+    this.buf = buf;
+    this.pos = 0; // in bits
+  }
+
+  bit() {
+    if (this.pos >= this.buf.length * 8) throw new Error('H.264: read past end of NAL unit');
+    const b = (this.buf[this.pos >> 3] >> (7 - (this.pos & 7))) & 1;
+    this.pos++;
+    return b;
+  }
+
+  bits(n) {
+    let v = 0;
+    for (let i = 0; i < n; i++) v = v * 2 + this.bit();
+    return v;
+  }
+
+  // Exp-Golomb
+  ue() {
+    let zeros = 0;
+    while (this.bit() === 0) {
+      if (++zeros > 31) throw new Error('H.264: bad Exp-Golomb code');
+    }
+    return 2 ** zeros - 1 + this.bits(zeros);
+  }
+
+  se() {
+    const k = this.ue();
+    return k & 1 ? (k + 1) / 2 : -(k / 2);
+  }
+}
+
+// --- SPS / PPS ---
+function skipScalingList(r, size) {
+  let last = 8;
+  let next = 8;
+  for (let j = 0; j < size; j++) {
+    if (next !== 0) next = (last + r.se() + 256) % 256;
+    last = next === 0 ? last : next;
+  }
+}
+
+function parseSps(nal) {
+  const r = new BitReader(toRbsp(nal.subarray(1)));
+  const profileIdc = r.bits(8);
+  const constraints = r.bits(8);
+  const levelIdc = r.bits(8);
+  const spsId = r.ue();
+
+  let chromaFormatIdc = 1;
+  let bitDepth = 8;
+  if (HIGH_PROFILES.has(profileIdc)) {
+    chromaFormatIdc = r.ue();
+    if (chromaFormatIdc === 3) r.bit(); // separate_colour_plane_flag
+    bitDepth = r.ue() + 8;
+    r.ue();  // bit_depth_chroma_minus8
+    r.bit(); // qpprime_y_zero_transform_bypass_flag
+    if (r.bit()) {
+      for (let i = 0; i < (chromaFormatIdc !== 3 ? 8 : 12); i++) {
+        if (r.bit()) skipScalingList(r, i < 6 ? 16 : 64);
+      }
+    }
+  }
+
+  r.ue(); // log2_max_frame_num_minus4
+  const pocType = r.ue();
+  if (pocType === 0) {
+    r.ue();
+  } else if (pocType === 1) {
+    r.bit();
+    r.se();
+    r.se();
+    const cycle = r.ue();
+    for (let i = 0; i < cycle; i++) r.se();
+  }
+  r.ue();  // max_num_ref_frames
+  r.bit(); // gaps_in_frame_num_value_allowed_flag
+
+  const widthMbs = r.ue() + 1;
+  const heightMapUnits = r.ue() + 1;
+  const frameMbsOnly = r.bit();
+  if (!frameMbsOnly) r.bit(); // mb_adaptive_frame_field_flag
+  r.bit(); // direct_8x8_inference_flag
+
+  let crop = [0, 0, 0, 0]; // left, right, top, bottom
+  if (r.bit()) crop = [r.ue(), r.ue(), r.ue(), r.ue()];
+  const cropX = chromaFormatIdc === 1 || chromaFormatIdc === 2 ? 2 : 1;
+  const cropY = (chromaFormatIdc === 1 ? 2 : 1) * (2 - frameMbsOnly);
+
+  let fps = null;
+  if (r.bit()) fps = parseVuiFps(r);
+
+  return {
+    spsId,
+    profileIdc,
+    profile: PROFILES[profileIdc] || `profile ${profileIdc}`,
+    constraints,
+    levelIdc,
+    level: levelIdc / 10,
+    chromaFormatIdc,
+    bitDepth,
+    width: widthMbs * 16 - cropX * (crop[0] + crop[1]),
+    height: (2 - frameMbsOnly) * heightMapUnits * 16 - cropY * (crop[2] + crop[3]),
+    interlaced: !frameMbsOnly,
+    fps,
+    codec: 'avc1.' + [profileIdc, constraints, levelIdc].map(v => v.toString(16).padStart(2, '0')).join(''),
+  };
+}
+
+// VUI up to timing_info; null when the encoder doesn't signal a frame rate
+function parseVuiFps(r) {
+  if (r.bit()) {                       // aspect_ratio_info_present_flag
+    if (r.bits(8) === 255) r.bits(32); // Extended_SAR: sar_width, sar_height
+  }
+  if (r.bit()) r.bit();                // overscan_info_present_flag
+  if (r.bit()) {                       // video_signal_type_present_flag
+    r.bits(4);
+    if (r.bit()) r.bits(24);           // colour_description_present_flag
+  }
+  if (r.bit()) {                       // chroma_loc_info_present_flag
+    r.ue();
+    r.ue();
+  }
+  if (!r.bit()) return null;           // timing_info_present_flag
+  const unitsInTick = r.bits(32);
+  const timeScale = r.bits(32);
+  return unitsInTick ? Math.round((timeScale / (2 * unitsInTick)) * 100) / 100 : null;
+}
+
+function parsePps(nal) {
+  const r = new BitReader(toRbsp(nal.subarray(1)));
+  return { ppsId: r.ue(), spsId: r.ue() };
+}
+
+// first_mb_in_slice == 0 marks the first slice of a new picture
+function startsPicture(nal) {
+  try {
+    return new BitReader(nal.subarray(1, 6)).ue() === 0;
+  } catch {
+    return false;
+  }
+}
+
+// --- Per-channel stream state ---
+class H264Stream {
+  constructor({ windowMs = 5_000 } = {}) {
+    this.windowMs = windowMs;
+    this.sps = null;     // parsed SPS
+    this.spsNal = null;  // raw NAL units, kept for late joiners / fMP4 init
+    this.ppsNal = null;
+    this.frames = 0;
+    this.keyframes = 0;
+    this.bytes = 0;
+    this.errors = 0;
+    this.lastKeyframeAt = null;
+    this.gop = null;      // pictures between the last two IDRs
+    this.sinceKeyframe = 0;
+    this.samples = [];    // [time, bytes, pictures] inside the window
+  }
+
+  // Returns { nals (types), units (NAL buffers), keyframe, pictures, hasParameterSets, spsChanged }
+  push(payload, now = Date.now()) {
+    const nals = splitNalUnits(payload);
+    const info = { nals: nals.map(nalType), units: nals, keyframe: false, pictures: 0, hasParameterSets: false, spsChanged: false };
+
+    for (const nal of nals) {
+      const type = nalType(nal);
+      if (type === NAL.SPS) {
+        info.hasParameterSets = true;
+        if (!this.spsNal || !this.spsNal.equals(nal)) {
+          try {
+            this.sps = parseSps(nal);
+            this.spsNal = Buffer.from(nal);
+            info.spsChanged = true;
+          } catch {
+            this.errors++;
+          }
+        }
+      } else if (type === NAL.PPS) {
+        if (!this.ppsNal || !this.ppsNal.equals(nal)) this.ppsNal = Buffer.from(nal);
+      } else if (type === NAL.IDR || type === NAL.SLICE) {
+        if (type === NAL.IDR) info.keyframe = true;
+        if (startsPicture(nal)) info.pictures++;
+      }
+    }
+
+    if (info.keyframe) {
+      if (this.keyframes) this.gop = this.sinceKeyframe;
+      this.keyframes++;
+      this.sinceKeyframe = 0;
+      this.lastKeyframeAt = now;
+    }
+    this.sinceKeyframe += info.pictures;
+    this.frames += info.pictures;
+    this.bytes += payload.length;
+
+    this.samples.push([now, payload.length, info.pictures]);
+    while (this.samples.length && now - this.samples[0][0] > this.windowMs) this.samples.shift();
+    return info;
+  }
+
+  // Annex-B SPS+PPS, for starting a decoder mid-stream
+  parameterSets() {
+    if (!this.spsNal || !this.ppsNal) return null;
+    return Buffer.concat([START_CODE, this.spsNal, START_CODE, this.ppsNal]);
+  }
+
+  // Prefix a keyframe with SPS/PPS when the device sent them separately
+  withParameterSets(payload, info) {
+    const ps = !info.hasParameterSets && this.parameterSets();
+    return ps ? Buffer.concat([ps, payload]) : payload;
+  }
+
+  stats(now = Date.now()) {
+    const first = this.samples[0];
+    const spanSec = first ? Math.max(1_000, Math.min(this.windowMs, now - first[0])) / 1000 : 1;
+    let bytes = 0;
+    let pictures = 0;
+    for (const [, b, p] of this.samples) {
+      bytes += b;
+      pictures += p;
+    }
+    return {
+      codec: this.sps?.codec || null,
+      profile: this.sps?.profile || null,
+      level: this.sps?.level || null,
+      width: this.sps?.width || null,
+      height: this.sps?.height || null,
+      fps: this.sps?.fps || null,             // as signalled in the SPS
+      measuredFps: Math.round((pictures / spanSec) * 10) / 10,
+      bitrate: Math.round((bytes * 8) / spanSec), // bits/s
+      frames: this.frames,
+      keyframes: this.keyframes,
+      gop: this.gop,
+      bytes: this.bytes,
+      lastKeyframeAt: this.lastKeyframeAt ? new Date(this.lastKeyframeAt).toISOString() : null,
+      parseErrors: this.errors,
+    };
+  }
+}
+
+module.exports = {
+  NAL,
+  H264Stream,
+  splitNalUnits,
+  nalType,
+  parseSps,
+  parsePps,
+};
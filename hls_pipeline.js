@@ -0,0 +1,221 @@
+// Per-device, per-channel HLS pipelines
+// CommonJS (node >=16)
+//
+// One ffmpeg per (DSNO, channel), fed demuxed Annex-B H.264 on stdin and
+// writing <root>/<dsno>/<ch>/index.m3u8. A pipeline is torn down when its
+// stream stops (stop()/stopOwner()) or when no frame arrived for idleMs.
+//
+// Audio (decoded PCM, feedAudio()) goes in on a second pipe (fd 3) and is
+// encoded to AAC. Both inputs are stamped with the wall clock, which keeps
+// them in sync. A pipeline that started without audio is respawned with it.
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { spawn } = require('node:child_process');
+const { SAMPLE_RATE } = require('./audio_codec');
+
+const DEFAULTS = {
+  idleMs: 15_000,         // no frames for this long -> tear down
+  restartDelayMs: 2_000,  // wait before respawning a crashed ffmpeg
+  hlsTime: 2,
+  hlsListSize: 6,
+};
+
+function safeName(s) {
+  return String(s).replace(/[^A-Za-z0-9_-]/g, '_');
+}
+
+class HlsPipelines {
+  constructor({ root, ffmpeg = 'ffmpeg', ...opts } = {}) {
+    this.root = root;
+    this.ffmpeg = ffmpeg;
+    this.opts = { ...DEFAULTS, ...opts };
+    this.pipelines = new Map(); // "<dsno>/<ch>" -> pipeline
+    this.restarts = 0;          // total ffmpeg respawns after unexpected exits
+    this.disabled = false;      // set when the ffmpeg binary is missing
+    this.withAudio = new Set(); // keys that got audio before their first video frame
+
+    this.idleTimer = setInterval(() => this.reapIdle(), 5_000);
+    this.idleTimer.unref();
+  }
+
+  key(dsno, channel) {
+    return `${safeName(dsno)}/${Number(channel)}`;
+  }
+
+  playlistPath(dsno, channel) {
+    return path.join(this.root, this.key(dsno, channel), 'index.m3u8');
+  }
+
+  // Called for every PT=2 payload; owner is the media socket that carried it.
+  // ffmpeg is only fed from a keyframe on, after (re)start or dropped frames.
+  feed(dsno, channel, frame, owner = null, { keyframe = true } = {}) {
+    if (this.disabled || !dsno) return;
+    const key = this.key(dsno, channel);
+    let p = this.pipelines.get(key);
+    if (!p) {
+      p = { key, dsno, channel, owner, proc: null, dir: path.join(this.root, key), lastFrame: 0, writable: true, frames: 0, bytes: 0, audio: this.withAudio.has(key), audioBytes: 0, startedAt: Date.now(), stopping: false };
+      this.withAudio.delete(key);
+      this.pipelines.set(key, p);
+      fs.mkdirSync(p.dir, { recursive: true });
+      this.spawn(p);
+    }
+    p.owner = owner || p.owner;
+    p.lastFrame = Date.now();
+    if (!p.proc || !p.writable) {
+      p.waitKeyframe = true; // drop while restarting or backpressured (live)
+      return;
+    }
+    if (p.waitKeyframe && !keyframe) return;
+    p.waitKeyframe = false;
+
+    p.frames++;
+    p.bytes += frame.length;
+    p.writable = p.proc.stdin.write(frame);
+    if (!p.writable) p.proc.stdin.once('drain', () => { p.writable = true; });
+  }
+
+  // pcm = s16le mono samples (audio_codec.pcmToBuffer); dropped until video flows
+  feedAudio(dsno, channel, pcm) {
+    if (this.disabled || !dsno) return;
+    const key = this.key(dsno, channel);
+    const p = this.pipelines.get(key);
+    if (!p) return void this.withAudio.add(key);
+    if (!p.audio) {
+      p.audio = true;
+      this.respawn(p, 'audio started');
+      return;
+    }
+    if (!p.proc || p.waitKeyframe) return;
+    p.audioBytes += pcm.length;
+    p.proc.stdio[3].write(pcm);
+  }
+
+  spawn(p) {
+    const audioIn = p.audio ? [
+      '-fflags', 'nobuffer',
+      '-use_wallclock_as_timestamps', '1',
+      '-f', 's16le', '-ar', String(SAMPLE_RATE), '-ac', '1',
+      '-i', 'pipe:3',
+      '-map', '0:v', '-map', '1:a',
+      '-c:a', 'aac', '-b:a', '32k',
+    ] : ['-an'];
+    const args = [
+      '-hide_banner', '-loglevel', 'warning',
+      '-fflags', 'nobuffer',
+      '-use_wallclock_as_timestamps', '1',
+      '-f', 'h264',
+      '-i', 'pipe:0',
+      ...audioIn,
+      '-c:v', 'copy',
+      '-f', 'hls',
+      '-hls_time', String(this.opts.hlsTime),
+      '-hls_list_size', String(this.opts.hlsListSize),
+      '-hls_flags', 'delete_segments+append_list',
+      '-hls_segment_filename', path.join(p.dir, 'seg_%05d.ts'),
+      path.join(p.dir, 'index.m3u8'),
+    ];
+    const proc = spawn(this.ffmpeg, args, { stdio: ['pipe', 'ignore', 'pipe', ...(p.audio ? ['pipe'] : [])] });
+    p.proc = proc;
+    p.writable = true;
+    p.waitKeyframe = true;
+
+    proc.stderr.on('data', d => process.stdout.write(`[ffmpeg ${p.key}] ${d}`));
+    proc.stdin.on('error', () => { /* EPIPE when ffmpeg dies; handled on exit */ });
+    proc.stdio[3]?.on('error', () => { /* same */ });
+    proc.on('error', (err) => {
+      if (err.code === 'ENOENT') {
+        console.error(`[HLS] ffmpeg not found (${this.ffmpeg}); HLS output disabled`);
+        this.disabled = true;
+        this.pipelines.delete(p.key);
+      } else {
+        console.error(`[HLS] ${p.key} ffmpeg error: ${err.message}`);
+      }
+    });
+    proc.on('exit', (code, signal) => {
+      if (p.proc !== proc) return;
+      p.proc = null;
+      if (p.stopping || this.disabled) return;
+      console.log(`[HLS] ${p.key} ffmpeg exited (${signal || code}), restarting`);
+      this.restarts++;
+      setTimeout(() => {
+        if (this.pipelines.get(p.key) === p && !p.stopping) this.spawn(p);
+      }, this.opts.restartDelayMs).unref();
+    });
+
+    console.log(`[HLS] ${p.key} started${p.audio ? ' with audio' : ''} -> ${path.join(p.dir, 'index.m3u8')}`);
+  }
+
+  // Replace the running ffmpeg (new inputs); not counted as a restart
+  respawn(p, reason) {
+    const proc = p.proc;
+    p.proc = null; // its exit is no longer ours
+    if (proc) this.end(proc);
+    console.log(`[HLS] ${p.key} respawning (${reason})`);
+    this.spawn(p);
+  }
+
+  end(proc) {
+    proc.stdin.end();
+    proc.stdio[3]?.end();
+    const kill = setTimeout(() => proc.kill('SIGKILL'), 5_000);
+    kill.unref();
+    proc.once('exit', () => clearTimeout(kill));
+  }
+
+  stop(dsno, channel, reason = 'stream stopped') {
+    const p = this.pipelines.get(this.key(dsno, channel));
+    if (p) this.teardown(p, reason);
+  }
+
+  // All channels of one device
+  stopDevice(dsno, reason = 'device stream stopped') {
+    for (const p of [...this.pipelines.values()]) {
+      if (p.dsno === dsno) this.teardown(p, reason);
+    }
+  }
+
+  // Everything fed by a media socket that just closed
+  stopOwner(owner, reason = 'media connection closed') {
+    for (const p of [...this.pipelines.values()]) {
+      if (p.owner === owner) this.teardown(p, reason);
+    }
+  }
+
+  teardown(p, reason) {
+    p.stopping = true;
+    this.pipelines.delete(p.key);
+    if (p.proc) this.end(p.proc);
+    console.log(`[HLS] ${p.key} stopped (${reason})`);
+  }
+
+  reapIdle() {
+    const now = Date.now();
+    for (const p of [...this.pipelines.values()]) {
+      if (now - p.lastFrame > this.opts.idleMs) this.teardown(p, 'idle');
+    }
+  }
+
+  list() {
+    return [...this.pipelines.values()].map(p => ({
+      dsno: p.dsno,
+      channel: p.channel,
+      playlist: `/hls/${p.key}/index.m3u8`,
+      running: !!p.proc,
+      frames: p.frames,
+      bytes: p.bytes,
+      audio: p.audio,
+      audioBytes: p.audioBytes,
+      startedAt: new Date(p.startedAt).toISOString(),
+    }));
+  }
+
+  close() {
+    clearInterval(this.idleTimer);
+    for (const p of [...this.pipelines.values()]) this.teardown(p, 'shutdown');
+  }
+}
+
+module.exports = {
+  HlsPipelines,
+};
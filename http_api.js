@@ -0,0 +1,174 @@
+// Minimal HTTP router for the management/export endpoints
+// CommonJS (node >=16)
+//
+//   const api = createApi();
+//   api.get('/api/devices/:dsno', (req, res, { params, query }) => ({ ... }));
+//   api.listen(8088);
+//
+// Handlers may return a value (sent as JSON), or write to `res` themselves.
+// Throw httpError(status, message) to answer with an error body.
+
+const fs = require('node:fs');
+const http = require('node:http');
+const path = require('node:path');
+
+const CONTENT_TYPES = {
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.ts': 'video/mp2t',
+  '.mp4': 'video/mp4',
+  '.m4s': 'video/iso.segment',
+  '.h264': 'video/h264',
+  '.wav': 'audio/wav',
+  '.json': 'application/json',
+  '.html': 'text/html; charset=utf-8',
+};
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+function sendJson(res, status, body) {
+  const text = JSON.stringify(body, null, 2);
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Content-Length': Buffer.byteLength(text) });
+  res.end(text);
+}
+
+function send(res, status, body, contentType = 'text/plain; charset=utf-8', headers = {}) {
+  res.writeHead(status, { 'Content-Type': contentType, 'Content-Length': Buffer.byteLength(body), ...headers });
+  res.end(body);
+}
+
+// Stream a file below `root`; refuses paths that escape it
+async function sendFile(res, root, relPath, headers = {}) {
+  const base = path.resolve(root);
+  const file = path.resolve(base, '.' + path.sep + relPath);
+  if (file !== base && !file.startsWith(base + path.sep)) throw httpError(403, 'Forbidden');
+
+  let stat;
+  try {
+    stat = await fs.promises.stat(file);
+  } catch {
+    throw httpError(404, 'Not found');
+  }
+  if (!stat.isFile()) throw httpError(404, 'Not found');
+
+  res.writeHead(200, {
+    'Content-Type': CONTENT_TYPES[path.extname(file)] || 'application/octet-stream',
+    'Content-Length': stat.size,
+    ...headers,
+  });
+  await new Promise((resolve, reject) => {
+    fs.createReadStream(file).on('error', reject).on('end', resolve).pipe(res);
+  });
+}
+
+function readJsonBody(req, limit = 1024 * 1024) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (c) => {
+      size += c.length;
+      if (size > limit) {
+        reject(httpError(413, 'Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(c);
+    });
+    req.on('end', () => {
+      if (!size) return resolve({});
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch {
+        reject(httpError(400, 'Body is not valid JSON'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// '/api/devices/:dsno' -> RegExp + param names
+function compile(pattern) {
+  const names = [];
+  const source = pattern
+    .split('/')
+    .map(part => {
+      if (part.startsWith(':')) {
+        names.push(part.slice(1));
+        return '([^/]+)';
+      }
+      if (part === '*') {
+        names.push('rest');
+        return '(.*)';
+      }
+      return part.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('/');
+  return { regex: new RegExp(`^${source}/?$`), names };
+}
+
+function createApi() {
+  const routes = [];
+
+  const server = http.createServer(async (req, res) => {
+    // a bad request-target or escape must not reject this handler: nothing awaits it
+    let url, pathname;
+    try {
+      url = new URL(req.url, 'http://localhost');
+      pathname = decodeURIComponent(url.pathname);
+    } catch {
+      sendJson(res, 400, { error: 'Bad request URL' });
+      return;
+    }
+    const query = Object.fromEntries(url.searchParams);
+
+    let pathMatched = false;
+    for (const route of routes) {
+      const m = route.regex.exec(pathname);
+      if (!m) continue;
+      pathMatched = true;
+      if (route.method !== req.method && !(route.method === 'GET' && req.method === 'HEAD')) continue;
+
+      const params = {};
+      route.names.forEach((n, i) => { params[n] = m[i + 1]; });
+      try {
+        const result = await route.handler(req, res, { params, query, url });
+        if (!res.headersSent && result !== undefined) sendJson(res, 200, result);
+      } catch (err) {
+        const status = err.status || 500;
+        if (status >= 500) console.error(`[HTTP] ${req.method} ${pathname} failed:`, err);
+        if (!res.headersSent) sendJson(res, status, { error: err.message });
+        else res.end();
+      }
+      return;
+    }
+
+    sendJson(res, pathMatched ? 405 : 404, { error: pathMatched ? 'Method not allowed' : 'Not found' });
+  });
+
+  const add = (method) => (pattern, handler) => {
+    routes.push({ method, handler, ...compile(pattern) });
+  };
+
+  return {
+    server,
+    get: add('GET'),
+    post: add('POST'),
+    put: add('PUT'),
+    delete: add('DELETE'),
+    listen(port, host = '0.0.0.0', cb) {
+      return server.listen(port, host, cb);
+    },
+  };
+}
+
+module.exports = {
+  createApi,
+  httpError,
+  readJsonBody,
+  send,
+  sendFile,
+  sendJson,
+};
@@ -0,0 +1,290 @@
+// On-demand live video: viewer reference counting per (DSNO, channel)
+// CommonJS (node >=16)
+//
+// Nothing is requested from a device until somebody watches. Viewers are
+// WS room members, HLS playlist fetchers or explicit HTTP leases; leases
+// carry an expiry and fall away unless renewed. When the last viewer is gone
+// the stream is stopped after a grace period.
+//
+// Channels of one device requested in the same tick are batched into a
+// single REQUESTALIVEVIDEO (channel bitmask) and share one STREAMNAME, e.g.
+// "1-2-4". Such a group is started and stopped as a unit: a channel whose
+// viewers left keeps streaming until the whole group is unwatched.
+//
+// Viewers may ask for audio; a channel is requested with audio (AUDIOVALID)
+// while any of its viewers wants it. An active stream without audio is
+// restarted when such a viewer arrives.
+//
+// State per stream:
+//   idle -> requested -> active -> stopping -> idle
+//   requested -> failed    (device answered ERRORCODE != 0, or timed out)
+//   requested -> offline   (no signaling session; retried on reconnect)
+//
+// Emits (the server turns these into N9M commands):
+//   'start' (group)    send REQUESTALIVEVIDEO; group = { dsno, streamname, channels, audioChannels, streams }
+//   'stop'  (group)    send CONTROLSTREAM cmd 3
+//   'state' (stream)   after every state change
+
+const { EventEmitter } = require('node:events');
+
+const DEFAULTS = {
+  graceMs: 30_000,           // keep streaming this long after the last viewer leaves
+  requestTimeoutMs: 20_000,  // REQUESTALIVEVIDEO -> MEDIATASKSTART
+  stopTimeoutMs: 10_000,     // CONTROLSTREAM stop -> MEDIATASKSTOP
+  retryMs: 5_000,            // re-request when a watched stream drops
+};
+
+class LiveStreams extends EventEmitter {
+  constructor(opts = {}) {
+    super();
+    this.opts = { ...DEFAULTS, ...opts };
+    this.streams = new Map(); // "<dsno>/<ch>" -> stream
+    this.pending = new Map(); // dsno -> Set(stream) waiting for the next batched request
+
+    this.sweepTimer = setInterval(() => this.sweep(), 1_000);
+    this.sweepTimer.unref();
+  }
+
+  key(dsno, channel) {
+    return `${dsno}/${Number(channel)}`;
+  }
+
+  get(dsno, channel) {
+    return this.streams.get(this.key(dsno, channel));
+  }
+
+  ensure(dsno, channel) {
+    const key = this.key(dsno, channel);
+    let s = this.streams.get(key);
+    if (!s) {
+      s = {
+        key,
+        dsno,
+        channel: Number(channel),
+        streamname: String(channel),
+        state: 'idle',
+        viewers: new Map(), // id -> expiresAt (null = until released)
+        audioViewers: new Set(),
+        audio: false,      // the current/last request included audio
+        since: Date.now(),
+        lastError: null,
+        timer: null,       // state timeout (request / stop)
+        graceTimer: null,  // pending stop after the last viewer left
+      };
+      this.streams.set(key, s);
+    }
+    return s;
+  }
+
+  // Streams sharing one STREAMNAME (one device media task)
+  group(dsno, streamname) {
+    return [...this.streams.values()].filter(s => s.dsno === dsno && s.streamname === String(streamname));
+  }
+
+  channels(dsno) {
+    return [...this.streams.values()].filter(s => s.dsno === dsno).sort((a, b) => a.channel - b.channel);
+  }
+
+  setState(s, state, error = null) {
+    clearTimeout(s.timer);
+    s.timer = null;
+    s.state = state;
+    s.since = Date.now();
+    if (error) s.lastError = error;
+    this.emit('state', s);
+  }
+
+  // --- viewers ---
+  acquire(dsno, channel, viewer, ttlMs = null, { audio = false } = {}) {
+    const s = this.ensure(dsno, channel);
+    const isNew = !s.viewers.has(viewer);
+    s.viewers.set(viewer, ttlMs ? Date.now() + ttlMs : null);
+    if (audio) s.audioViewers.add(viewer);
+    if (isNew) console.log(`[LIVE] ${s.key} viewer joined (${s.viewers.size} watching${audio ? ', with audio' : ''})`);
+
+    // last viewer left recently; keep the stream
+    clearTimeout(s.graceTimer);
+    s.graceTimer = null;
+
+    if (s.state === 'idle' || s.state === 'failed' || s.state === 'offline') this.request(s);
+    else if (s.state === 'active') this.restartForAudio(s);
+    return s;
+  }
+
+  // Audio is part of the device request; re-request the group to add it
+  restartForAudio(s) {
+    if (s.audio || !s.audioViewers.size) return;
+    console.log(`[LIVE] ${s.key} audio wanted, restarting its stream`);
+    this.stop(this.group(s.dsno, s.streamname).filter(g => g.state === 'active'));
+  }
+
+  release(dsno, channel, viewer) {
+    const s = this.get(dsno, channel);
+    if (!s || !s.viewers.delete(viewer)) return;
+    s.audioViewers.delete(viewer);
+    console.log(`[LIVE] ${s.key} viewer left (${s.viewers.size} watching)`);
+    if (!s.viewers.size) this.scheduleStop(s);
+  }
+
+  scheduleStop(s) {
+    if (s.state !== 'active' && s.state !== 'requested') {
+      if (s.state !== 'stopping') this.setState(s, 'idle');
+      return;
+    }
+    clearTimeout(s.graceTimer);
+    s.graceTimer = setTimeout(() => {
+      s.graceTimer = null;
+      if (s.viewers.size || (s.state !== 'active' && s.state !== 'requested')) return;
+      const group = this.group(s.dsno, s.streamname).filter(g => g.state === s.state);
+      if (group.some(g => g.viewers.size)) return; // siblings still watched; stopped with them
+      this.stop(group);
+    }, this.opts.graceMs);
+    s.graceTimer.unref();
+  }
+
+  // --- commands ---
+  request(s) {
+    this.setState(s, 'requested');
+    let batch = this.pending.get(s.dsno);
+    if (!batch) {
+      batch = new Set();
+      this.pending.set(s.dsno, batch);
+      setImmediate(() => this.flush(s.dsno));
+    }
+    batch.add(s);
+  }
+
+  // Send one request for every channel of a device requested this tick
+  flush(dsno) {
+    const batch = this.pending.get(dsno);
+    this.pending.delete(dsno);
+    const streams = [...(batch || [])].filter(s => s.state === 'requested').sort((a, b) => a.channel - b.channel);
+    if (!streams.length) return;
+
+    const channels = streams.map(s => s.channel);
+    const streamname = channels.join('-');
+    for (const s of streams) {
+      s.streamname = streamname;
+      s.audio = s.audioViewers.size > 0;
+    }
+    const audioChannels = streams.filter(s => s.audio).map(s => s.channel);
+
+    this.emit('start', { dsno, streamname, channels, audioChannels, streams });
+    for (const s of streams) {
+      if (s.state !== 'requested') continue; // listener already marked it offline/failed
+      s.timer = setTimeout(() => {
+        if (s.state === 'requested') this.setState(s, 'failed', 'no MEDIATASKSTART from device');
+      }, this.opts.requestTimeoutMs);
+      s.timer.unref();
+    }
+  }
+
+  stop(streams) {
+    const [first] = streams;
+    for (const s of streams) {
+      clearTimeout(s.graceTimer);
+      s.graceTimer = null;
+      this.setState(s, 'stopping');
+    }
+    this.emit('stop', { dsno: first.dsno, streamname: first.streamname, channels: streams.map(s => s.channel), streams });
+    for (const s of streams) {
+      s.timer = setTimeout(() => {
+        if (s.state !== 'stopping') return;
+        this.setState(s, 'idle');
+        if (s.viewers.size) this.request(s);
+      }, this.opts.stopTimeoutMs);
+      s.timer.unref();
+    }
+  }
+
+  // --- device feedback ---
+  offline(s, reason = 'device offline') {
+    this.setState(s, 'offline', reason);
+  }
+
+  requestFailed(dsno, streamname, cause) {
+    for (const s of this.group(dsno, streamname)) {
+      if (s.state === 'requested') this.setState(s, 'failed', cause);
+    }
+  }
+
+  // Returns the streams carried by the media task
+  taskStarted(dsno, streamname) {
+    const streams = this.group(dsno, streamname);
+    for (const s of streams) {
+      s.lastError = null;
+      this.setState(s, 'active');
+      if (!s.viewers.size) this.scheduleStop(s); // nobody is watching any more
+    }
+    const wantsAudio = streams.find(s => !s.audio && s.audioViewers.size);
+    if (wantsAudio) this.restartForAudio(wantsAudio); // asked for while the request was in flight
+    return streams;
+  }
+
+  taskStopped(dsno, streamname) {
+    const streams = this.group(dsno, streamname);
+    for (const s of streams) {
+      this.setState(s, 'idle');
+      if (!s.viewers.size) continue;
+      // device dropped a watched stream, or a viewer came back while stopping
+      s.timer = setTimeout(() => {
+        if (s.state === 'idle' && s.viewers.size) this.request(s);
+      }, this.opts.retryMs);
+      s.timer.unref();
+    }
+    return streams;
+  }
+
+  // Signaling session (re)established: resume whatever is being watched
+  deviceOnline(dsno) {
+    for (const s of this.streams.values()) {
+      if (s.dsno !== dsno || !s.viewers.size) continue;
+      if (s.state !== 'requested' && s.state !== 'active') this.request(s);
+    }
+  }
+
+  deviceOffline(dsno) {
+    for (const s of this.streams.values()) {
+      if (s.dsno === dsno && s.state !== 'idle') this.setState(s, s.viewers.size ? 'offline' : 'idle', 'device disconnected');
+    }
+  }
+
+  // Expire HLS/HTTP leases that were not renewed
+  sweep() {
+    const now = Date.now();
+    for (const s of this.streams.values()) {
+      for (const [viewer, expiresAt] of s.viewers) {
+        if (expiresAt && expiresAt < now) this.release(s.dsno, s.channel, viewer);
+      }
+    }
+  }
+
+  describe(s) {
+    return {
+      dsno: s.dsno,
+      channel: s.channel,
+      streamname: s.streamname,
+      state: s.state,
+      since: new Date(s.since).toISOString(),
+      viewers: s.viewers.size,
+      audio: s.audio,
+      lastError: s.lastError,
+    };
+  }
+
+  list() {
+    return [...this.streams.values()].map(s => this.describe(s));
+  }
+
+  close() {
+    clearInterval(this.sweepTimer);
+    for (const s of this.streams.values()) {
+      clearTimeout(s.timer);
+      clearTimeout(s.graceTimer);
+    }
+  }
+}
+
+module.exports = {
+  LiveStreams,
+};
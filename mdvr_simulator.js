@@ -0,0 +1,483 @@
+// Simulated MDVRs for end-to-end and load testing
+// CommonJS (node >=16)
+//
+// Each simulated unit behaves like the X3/X5 boxes in logs/:
+//   - opens a signaling socket, sends CERTIFICATE/CONNECT (DSNO, CARNUM, CHANNEL, PRO/EV/MTYPE)
+//     and answers the SO challenge with VERIFY when it has a password
+//   - sends CERTIFICATE/KEEPALIVE every keepaliveMs
+//   - sends EVEM/SENDALARMINFO every alarmMs, with a P block that drives along a route
+//   - on REQUESTALIVEVIDEO / REQUESTREMOTEPLAYBACK opens a media socket to the IPANDPORT
+//     port on the signaling host (or mediaHost / the IPANDPORT host), sends CREATESTREAM + MEDIATASKSTART and streams PT=2 access
+//     units from an Annex-B .h264 file, SSRC = channel - 1, looping at fps; PT=12
+//     G.711a silence for the channels in AUDIOVALID
+//   - answers CONTROLSTREAM / CONTROLREMOTEPLAYBACK and stops on their stop CMD (MEDIATASKSTOP), answers
+//     QUERYFILELIST with one file per hour, CONFIGMODEL GET/SET from an in-memory
+//     settings tree, and reconnects when dropped
+//
+// Usage:
+//   node mdvr_simulator.js --host 127.0.0.1 --port 5556 --count 20 --file sample.h264
+//     [--dsno SIM] [--carnum SIM] [--channels 4] [--fps 25] [--keepalive 30] [--alarm 60]
+//     [--media-host 127.0.0.1 | --follow-ipandport] [--layout n9m|compact|ssrc32] [--dialect plain|typed|camel]
+//     [--password pw] [--ramp 200] [--lat 25.2048 --lon 55.2708]
+// Devices are numbered: DSNO SIM0001, SIM0002, ... (a single device keeps --dsno as is).
+//
+// Emits (per SimulatedMdvr):
+//   'online'  ()               CONNECT accepted
+//   'offline' (reason)
+//   'stream'  (stream)         media task started
+//   'alarm'   (parameter)      SENDALARMINFO sent
+
+const net = require('node:net');
+const fs = require('node:fs');
+const crypto = require('node:crypto');
+const { EventEmitter } = require('node:events');
+const { parseArgs } = require('node:util');
+const { N9MDecoder, PT, encodeFrame, encodeSignal, decodeSignal, maskToChannels } = require('./n9m_codec');
+const { splitNalUnits, nalType, NAL } = require('./h264_analyzer');
+const { formatDeviceTime, parseDeviceTime } = require('./n9m_gps');
+const { render, normalize } = require('./n9m_dialect');
+
+const DEFAULTS = {
+  host: '127.0.0.1',
+  port: 5556,
+  mediaHost: null,          // null = the signaling host (the IPANDPORT host is usually the public address)
+  followIpAndPort: false,   // true = connect to the IPANDPORT host like a real unit
+  layout: 'n9m',
+  dialect: 'plain',
+  channels: 4,
+  fps: 25,
+  keepaliveMs: 30_000,
+  alarmMs: 60_000,
+  reconnectMs: 5_000,
+  password: null,
+  lat: 25.2048,
+  lon: 55.2708,
+};
+
+const ALARMS = [
+  { ALARMTYPE: 1, ALARMNAME: 'Video Shield' },
+  { ALARMTYPE: 3 },                          // storage abnormal, sent without a name
+  { ALARMTYPE: 2, ALARMNAME: 'Video Lost' },
+  { ALARMTYPE: 8, ALARMNAME: 'Overspeed' },
+];
+
+const AUDIO_FRAME = Buffer.concat([Buffer.from([0, 1, 80, 0]), Buffer.alloc(160, 0xd5)]); // 20 ms G.711a silence
+const AUDIO_FRAME_MS = 20;
+const START_CODE = Buffer.from([0, 0, 0, 1]);
+
+// --- H.264 source ---
+const fileCache = new Map(); // path -> [access unit]; shared by every simulated device
+
+function isVcl(type) {
+  return type === NAL.SLICE || type === NAL.IDR;
+}
+
+// Annex-B file -> access units (Annex-B buffers, SPS/PPS kept in front of their IDR)
+function loadH264File(file) {
+  if (fileCache.has(file)) return fileCache.get(file);
+  const units = [];
+  let current = [];
+  let hasVcl = false;
+  for (const nal of splitNalUnits(fs.readFileSync(file))) {
+    const type = nalType(nal);
+    // first_mb_in_slice == 0 (ue "1") starts a picture; non-VCL NALs after a picture start the next one
+    const newPicture = hasVcl && (!isVcl(type) || (nal[1] & 0x80) !== 0);
+    if (newPicture) {
+      units.push(Buffer.concat(current));
+      current = [];
+      hasVcl = false;
+    }
+    current.push(START_CODE, nal);
+    if (isVcl(type)) hasVcl = true;
+  }
+  if (hasVcl) units.push(Buffer.concat(current));
+  if (!units.length) throw new Error(`${file}: no H.264 pictures found`);
+  fileCache.set(file, units);
+  return units;
+}
+
+// Stand-in when no file is given: a 640x480 Baseline SPS/PPS + one IDR and P-slice stubs
+function syntheticUnits() {
+  const sps = Buffer.from('6742c01ed900a03da1000003000100000300320f162e48', 'hex');
+  const pps = Buffer.from('68ce3c80', 'hex');
+  const idr = Buffer.concat([START_CODE, sps, START_CODE, pps, START_CODE, Buffer.from([0x65, 0x88, 0x84, 0, 0])]);
+  const p = Buffer.concat([START_CODE, Buffer.from([0x41, 0x9a, 0, 0])]);
+  return [idr, ...Array(24).fill(p)];
+}
+
+// --- One simulated unit ---
+class SimulatedMdvr extends EventEmitter {
+  constructor({ dsno, carnum = dsno, units, ...opts }) {
+    super();
+    this.dsno = dsno;
+    this.carnum = carnum;
+    this.units = units;
+    this.opts = { ...DEFAULTS, ...opts };
+    this.session = null;
+    this.socket = null;
+    this.online = false;
+    this.stopped = false;
+    this.timers = [];
+    this.streams = new Map(); // streamname -> { socket, channels, audio, timer, index }
+    this.position = { lat: this.opts.lat, lon: this.opts.lon, course: Math.random() * 360 };
+    this.cmdno = 1;
+    this.stats = { connects: 0, alarms: 0, frames: 0, bytes: 0, dropped: 0 };
+    // CONFIGMODEL tree, laid out as device_config.js expects
+    const enc = (RES, BR, FR) => Array.from({ length: this.opts.channels }, () => ({ RES, BR, FR }));
+    this.config = {
+      CMS: [{ EN: 1, IP: this.opts.host, PORT: this.opts.port }],
+      ENC: { MAIN: enc(6, 1024, 25), SUB: enc(0, 256, 10) },
+      ALARM: { 1: { EN: 1 }, 3: { EN: 1 } },
+      TIME: { TZ: 0 },
+    };
+  }
+
+  // --- signaling ---
+  start() {
+    this.stopped = false;
+    this.session = crypto.randomBytes(16).toString('hex').toUpperCase();
+    const socket = net.connect(this.opts.port, this.opts.host);
+    const decoder = new N9MDecoder({ layout: this.opts.layout });
+    this.socket = socket;
+
+    socket.on('connect', () => {
+      this.stats.connects++;
+      this.send({
+        MODULE: 'CERTIFICATE',
+        OPERATION: 'CONNECT',
+        PARAMETER: {
+          AUTOCAR: '',
+          CARNUM: this.carnum,
+          CHANNEL: this.opts.channels,
+          CNAME: 'CUSTOM_STREAMAX',
+          DEVCLASS: 4,
+          DEVNAME: 'MDVR',
+          DEVTYPE: 1,
+          DSNO: this.dsno,
+          EV: 'V2.0',
+          MTYPE: 184,
+          NET: 0,
+          PRO: '1.0.6',
+        },
+      });
+    });
+    socket.on('data', (chunk) => {
+      let frames;
+      let framingError = null;
+      try {
+        frames = decoder.push(chunk);
+      } catch (err) {
+        framingError = err;
+        frames = err.frames || [];
+      }
+      for (const frame of frames) {
+        if (frame.payloadType === PT.SIGNAL) this.handleSignal(normalize(decodeSignal(frame.payload)));
+      }
+      if (framingError) socket.destroy(framingError);
+    });
+    socket.on('error', () => { /* reported on close */ });
+    socket.on('close', () => this.dropped('signaling closed'));
+  }
+
+  send(json, socket = this.socket) {
+    if (!socket || socket.destroyed) return false;
+    return socket.write(encodeSignal(render({ ...json, SESSION: this.session }, this.opts.dialect), { layout: this.opts.layout }));
+  }
+
+  handleSignal(msg) {
+    if (!msg || typeof msg !== 'object') return;
+    const p = msg.PARAMETER || {};
+    const r = msg.RESPONSE || {};
+    switch (`${msg.MODULE}.${msg.OPERATION}`) {
+      case 'CERTIFICATE.CONNECT':
+        if (Number(r.ERRORCODE) !== 0) return this.stop(`CONNECT refused: ${r.ERRORCODE} ${r.ERRORCAUSE || ''}`.trim());
+        if (this.opts.password) {
+          this.send({ MODULE: 'CERTIFICATE', OPERATION: 'VERIFY', PARAMETER: { VERIFYCODE: md5(String(r.SO) + this.opts.password) } });
+        } else {
+          this.goOnline();
+        }
+        break;
+      case 'CERTIFICATE.VERIFY':
+        if (r.RETURN === false || Number(r.ERRORCODE) !== 0) return this.stop(`VERIFY refused: ${r.ERRORCAUSE || r.ERRORCODE}`);
+        this.goOnline();
+        break;
+      case 'MEDIASTREAMMODEL.REQUESTALIVEVIDEO':
+      case 'MEDIASTREAMMODEL.REQUESTREMOTEPLAYBACK':
+        if (msg.RESPONSE) break;
+        this.send({ MODULE: msg.MODULE, OPERATION: msg.OPERATION, RESPONSE: { ERRORCODE: 0, ERRORCAUSE: '', STREAMNAME: p.STREAMNAME, SSRC: 0 } });
+        this.startStream(p);
+        break;
+      case 'MEDIASTREAMMODEL.CONTROLSTREAM':
+        if (msg.RESPONSE) break;
+        this.send({ MODULE: msg.MODULE, OPERATION: msg.OPERATION, RESPONSE: { ERRORCODE: 0, ERRORCAUSE: '', STREAMNAME: p.STREAMNAME } });
+        if (Number(p.CMD) === 3) this.stopStream(p.STREAMNAME, 'CONTROLSTREAM stop');
+        break;
+      case 'MEDIASTREAMMODEL.CONTROLREMOTEPLAYBACK':
+        if (msg.RESPONSE) break;
+        this.send({ MODULE: msg.MODULE, OPERATION: msg.OPERATION, RESPONSE: { ERRORCODE: 0, ERRORCAUSE: '', STREAMNAME: p.STREAMNAME } });
+        if (Number(p.CMD) === 4) this.stopStream(p.STREAMNAME, 'playback stop');
+        else if (Number(p.CMD) === 1) this.setPaused(p.STREAMNAME, true);
+        else if (Number(p.CMD) === 0) this.setPaused(p.STREAMNAME, false);
+        break;
+      case 'STORM.QUERYFILELIST':
+        if (!msg.RESPONSE) this.answerFileList(p);
+        break;
+      case 'CONFIGMODEL.GET':
+      case 'CONFIGMODEL.SET':
+        if (!msg.RESPONSE) this.answerConfig(msg.OPERATION, p.MDVR || {});
+        break;
+      default:
+        break;
+    }
+  }
+
+  goOnline() {
+    if (this.online) return;
+    this.online = true;
+    this.emit('online');
+    this.timers.push(setInterval(() => this.send({ MODULE: 'CERTIFICATE', OPERATION: 'KEEPALIVE' }), this.opts.keepaliveMs));
+    if (this.opts.alarmMs > 0) {
+      // spread the fleet's alarms out instead of firing them all at once
+      const first = setTimeout(() => {
+        this.sendAlarm();
+        this.timers.push(setInterval(() => this.sendAlarm(), this.opts.alarmMs));
+      }, Math.random() * this.opts.alarmMs);
+      this.timers.push(first);
+    }
+  }
+
+  // --- EVEM ---
+  drive() {
+    const pos = this.position;
+    pos.course = (pos.course + (Math.random() - 0.5) * 30 + 360) % 360;
+    const speed = 30 + Math.random() * 50; // km/h
+    const km = (speed * this.opts.alarmMs) / 3_600_000;
+    const rad = (pos.course * Math.PI) / 180;
+    pos.lat += (km / 111.32) * Math.cos(rad);
+    pos.lon += (km / (111.32 * Math.cos((pos.lat * Math.PI) / 180))) * Math.sin(rad);
+    return { V: 0, J: pos.lon.toFixed(6), W: pos.lat.toFixed(6), S: Math.round(speed * 100), C: Math.round(pos.course * 100), T: formatDeviceTime(new Date()) };
+  }
+
+  sendAlarm() {
+    const alarm = ALARMS[Math.floor(Math.random() * ALARMS.length)];
+    const ch = 1 + Math.floor(Math.random() * this.opts.channels);
+    const parameter = {
+      ALARMAS: 1,
+      ALARMCOUNT: 1,
+      ...alarm,
+      ALARMUID: this.cmdno,
+      CHANNELMASK: 1 << (ch - 1),
+      CMDNO: this.cmdno++,
+      CMDTYPE: 0,
+      CURRENTTIME: Math.floor(Date.now() / 1000),
+      EVTUUID: crypto.randomUUID(),
+      P: this.drive(),
+      TRIGGERTYPE: 1,
+    };
+    if (this.send({ MODULE: 'EVEM', OPERATION: 'SENDALARMINFO', PARAMETER: parameter, TYPE: 'NOTIFY' })) {
+      this.stats.alarms++;
+      this.emit('alarm', parameter);
+    }
+  }
+
+  // --- STORM ---
+  answerFileList(p) {
+    const from = Date.parse(parseDeviceTime(p.STARTTIME)) || Date.now() - 3600_000;
+    const to = Date.parse(parseDeviceTime(p.ENDTIME)) || Date.now();
+    const files = [];
+    for (const ch of maskToChannels(Number(p.CHANNEL) || 1)) {
+      for (let t = from - (from % 3600_000); t < to; t += 3600_000) {
+        files.push({ CHANNEL: ch, STARTTIME: formatDeviceTime(t), ENDTIME: formatDeviceTime(t + 3600_000 - 1000), FILESIZE: 200 * 1024 * 1024, FILETYPE: 0 });
+      }
+    }
+    this.send({ MODULE: 'STORM', OPERATION: 'QUERYFILELIST', RESPONSE: { ERRORCODE: 0, ERRORCAUSE: '', FILELIST: files } });
+  }
+
+  // --- CONFIGMODEL ---
+  answerConfig(operation, mdvr) {
+    const response = { ERRORCODE: 0, ERRORCAUSE: '' };
+    if (operation === 'SET') {
+      for (const [section, value] of Object.entries(mdvr)) {
+        this.config[section] = Array.isArray(value) ? value : { ...this.config[section], ...value };
+      }
+    } else {
+      response.MDVR = {};
+      for (const section of Object.keys(mdvr)) {
+        if (section in this.config) response.MDVR[section] = this.config[section];
+      }
+    }
+    this.send({ MODULE: 'CONFIGMODEL', OPERATION: operation, RESPONSE: response });
+  }
+
+  // --- media ---
+  startStream(p) {
+    const streamname = String(p.STREAMNAME ?? '');
+    this.stopStream(streamname, 'restarted');
+    const [ipHost, ipPort] = String(p.IPANDPORT || '').split(':');
+    const host = this.opts.mediaHost || (this.opts.followIpAndPort && ipHost) || this.opts.host;
+    const port = Number(ipPort) || this.opts.port;
+    const channels = maskToChannels(Number(p.CHANNEL) || 1);
+    const audio = new Set(maskToChannels(Number(p.AUDIOVALID) || 0));
+    const socket = net.connect(port, host);
+    const stream = { streamname, socket, channels, audio, timer: null, index: 0, audioMs: 0, paused: false, writable: true };
+    this.streams.set(streamname, stream);
+
+    socket.on('connect', () => {
+      this.send({ MODULE: 'CERTIFICATE', OPERATION: 'CREATESTREAM', PARAMETER: { DEVTYPE: '', DSNO: this.dsno, STREAMNAME: streamname, VISION: '1.0.4' } }, socket);
+      this.send({ MODULE: 'MEDIASTREAMMODEL', OPERATION: 'MEDIATASKSTART', PARAMETER: { CSRC: '', IPANDPORT: `${host}:${port}`, PT: 2, SSRC: 0, STREAMNAME: streamname } }, socket);
+      stream.timer = setInterval(() => this.pump(stream), 1000 / this.opts.fps);
+      this.emit('stream', stream);
+    });
+    socket.on('data', () => { /* server does not talk on the media socket */ });
+    socket.on('drain', () => { stream.writable = true; });
+    socket.on('error', () => { /* reported on close */ });
+    socket.on('close', () => {
+      clearInterval(stream.timer);
+      if (this.streams.get(streamname) === stream) this.streams.delete(streamname);
+    });
+  }
+
+  // One access unit per channel per tick; a congested socket drops frames like a real unit
+  pump(stream) {
+    if (stream.paused) return;
+    const unit = this.units[stream.index % this.units.length];
+    stream.index++;
+    stream.audioMs += 1000 / this.opts.fps;
+    const audioFrames = Math.floor(stream.audioMs / AUDIO_FRAME_MS);
+    stream.audioMs -= audioFrames * AUDIO_FRAME_MS;
+    if (!stream.writable) {
+      this.stats.dropped += stream.channels.length;
+      return;
+    }
+    for (const ch of stream.channels) {
+      const frame = encodeFrame({ payloadType: PT.H264, ssrc: ch - 1, payload: unit }, this.opts.layout);
+      stream.writable = stream.socket.write(frame) && stream.writable;
+      this.stats.frames++;
+      this.stats.bytes += frame.length;
+      if (!stream.audio.has(ch)) continue;
+      for (let i = 0; i < audioFrames; i++) {
+        stream.socket.write(encodeFrame({ payloadType: PT.AUDIO, ssrc: ch - 1, payload: AUDIO_FRAME }, this.opts.layout));
+      }
+    }
+  }
+
+  setPaused(streamname, paused) {
+    const stream = this.streams.get(String(streamname ?? ''));
+    if (stream) stream.paused = paused;
+  }
+
+  stopStream(streamname, reason) {
+    const stream = this.streams.get(String(streamname ?? ''));
+    if (!stream) return;
+    this.streams.delete(stream.streamname);
+    clearInterval(stream.timer);
+    this.send({ MODULE: 'MEDIASTREAMMODEL', OPERATION: 'MEDIATASKSTOP', PARAMETER: { STREAMNAME: stream.streamname, REASON: reason } }, stream.socket);
+    stream.socket.end();
+  }
+
+  // --- lifecycle ---
+  dropped(reason) {
+    for (const t of this.timers) clearInterval(t);
+    this.timers = [];
+    for (const name of [...this.streams.keys()]) this.stopStream(name, reason);
+    if (this.online) this.emit('offline', reason);
+    this.online = false;
+    if (!this.stopped) setTimeout(() => !this.stopped && this.start(), this.opts.reconnectMs).unref();
+  }
+
+  stop(reason = 'stopped') {
+    this.stopped = true;
+    if (this.online) this.emit('offline', reason);
+    this.online = false;
+    this.socket?.destroy();
+  }
+}
+
+function md5(s) {
+  return crypto.createHash('md5').update(s).digest('hex');
+}
+
+// --- CLI ---
+function main() {
+  const { values } = parseArgs({
+    options: {
+      host: { type: 'string', default: DEFAULTS.host },
+      port: { type: 'string', default: String(DEFAULTS.port) },
+      'media-host': { type: 'string' },
+      'follow-ipandport': { type: 'boolean', default: false },
+      count: { type: 'string', default: '1' },
+      dsno: { type: 'string', default: 'SIM' },
+      carnum: { type: 'string' },
+      channels: { type: 'string', default: String(DEFAULTS.channels) },
+      file: { type: 'string' },
+      fps: { type: 'string', default: String(DEFAULTS.fps) },
+      keepalive: { type: 'string', default: '30' },
+      alarm: { type: 'string', default: '60' },
+      layout: { type: 'string', default: DEFAULTS.layout },
+      dialect: { type: 'string', default: DEFAULTS.dialect },
+      password: { type: 'string' },
+      ramp: { type: 'string', default: '200' },
+      lat: { type: 'string', default: String(DEFAULTS.lat) },
+      lon: { type: 'string', default: String(DEFAULTS.lon) },
+    },
+  });
+
+  const count = Math.max(1, Number(values.count) || 1);
+  const units = values.file ? loadH264File(values.file) : syntheticUnits();
+  console.log(`[SIM] ${count} device(s) -> ${values.host}:${values.port}, ${units.length} access units from ${values.file || 'built-in stub'}`);
+
+  const fleet = [];
+  for (let i = 0; i < count; i++) {
+    const suffix = count > 1 ? String(i + 1).padStart(4, '0') : '';
+    const device = new SimulatedMdvr({
+      dsno: `${values.dsno}${suffix}`,
+      carnum: `${values.carnum || values.dsno}${suffix}`,
+      units,
+      host: values.host,
+      port: Number(values.port),
+      mediaHost: values['media-host'] || null,
+      followIpAndPort: values['follow-ipandport'],
+      channels: Number(values.channels),
+      fps: Number(values.fps),
+      keepaliveMs: Number(values.keepalive) * 1000,
+      alarmMs: Number(values.alarm) * 1000,
+      layout: values.layout,
+      dialect: values.dialect,
+      password: values.password || null,
+      // fan the fleet out around the start point
+      lat: Number(values.lat) + (Math.random() - 0.5) * 0.1,
+      lon: Number(values.lon) + (Math.random() - 0.5) * 0.1,
+    });
+    device.on('online', () => console.log(`🟢 [SIM ${device.dsno}] online`));
+    device.on('offline', reason => console.log(`🔴 [SIM ${device.dsno}] offline: ${reason}`));
+    device.on('stream', s => console.log(`▶️ [SIM ${device.dsno}] streaming ${s.streamname} ch=${s.channels.join(',')}`));
+    fleet.push(device);
+    setTimeout(() => device.start(), i * Number(values.ramp));
+  }
+
+  let last = { frames: 0, bytes: 0 };
+  setInterval(() => {
+    const total = fleet.reduce((t, d) => {
+      for (const k of Object.keys(t)) t[k] += d.stats[k] || 0;
+      return t;
+    }, { connects: 0, alarms: 0, frames: 0, bytes: 0, dropped: 0 });
+    const online = fleet.filter(d => d.online).length;
+    const streams = fleet.reduce((n, d) => n + d.streams.size, 0);
+    const mbps = ((total.bytes - last.bytes) * 8) / 10 / 1e6;
+    console.log(`[SIM] online ${online}/${count} streams ${streams} frames ${total.frames} (+${total.frames - last.frames}) ${mbps.toFixed(2)} Mbit/s dropped ${total.dropped} alarms ${total.alarms} connects ${total.connects}`);
+    last = total;
+  }, 10_000);
+
+  process.on('SIGINT', () => {
+    fleet.forEach(d => d.stop('SIGINT'));
+    setTimeout(() => process.exit(0), 200);
+  });
+}
+
+if (require.main === module) main();
+
+module.exports = {
+  SimulatedMdvr,
+  loadH264File,
+  syntheticUnits,
+};
@@ -0,0 +1,105 @@
+// Prometheus metrics: counters and gauges, text exposition format 0.0.4
+// CommonJS (node >=16)
+//
+//   const metrics = new Metrics({ prefix: 'n9m_' });
+//   const frames = metrics.counter('media_frames_total', 'Frames received', ['dsno', 'channel']);
+//   frames.inc({ dsno, channel });
+//   metrics.gauge('ws_viewers', 'Viewers per room', ['room'], () => hub.list().map(r => [{ room: r.room }, r.viewers]));
+//   res.end(metrics.render());
+//
+// Counters are incremented where things happen. A gauge (or counter) given
+// a collect function is read at scrape time instead; it returns
+// [labels, value] pairs, or a plain number when it has no labels.
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+function escapeLabel(v) {
+  return String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(names, labels) {
+  if (!names.length) return '';
+  return `{${names.map(n => `${n}="${escapeLabel(labels[n] ?? '')}"`).join(',')}}`;
+}
+
+class Metric {
+  constructor(type, name, help, labelNames = [], collect = null) {
+    Object.assign(this, { type, name, help, labelNames, collect });
+    this.values = new Map(); // label string -> value
+  }
+
+  key(labels) {
+    return formatLabels(this.labelNames, labels);
+  }
+
+  samples() {
+    if (!this.collect) return [...this.values];
+    const out = this.collect();
+    if (typeof out === 'number') return [['', out]];
+    return out.map(([labels, value]) => [this.key(labels), value]);
+  }
+
+  render() {
+    const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+    for (const [labels, value] of this.samples()) lines.push(`${this.name}${labels} ${Number.isFinite(value) ? value : 0}`);
+    return lines.join('\n');
+  }
+}
+
+class Counter extends Metric {
+  constructor(...args) {
+    super('counter', ...args);
+  }
+
+  inc(labels = {}, by = 1) {
+    const key = this.key(labels);
+    this.values.set(key, (this.values.get(key) || 0) + by);
+  }
+}
+
+class Gauge extends Metric {
+  constructor(...args) {
+    super('gauge', ...args);
+  }
+
+  set(labels, value) {
+    this.values.set(this.key(labels), value);
+  }
+}
+
+class Metrics {
+  constructor({ prefix = '' } = {}) {
+    this.prefix = prefix;
+    this.metrics = new Map();
+  }
+
+  add(metric) {
+    if (this.metrics.has(metric.name)) throw new Error(`Metric ${metric.name} registered twice`);
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames = [], collect = null) {
+    return this.add(new Counter(this.prefix + name, help, labelNames, collect));
+  }
+
+  gauge(name, help, labelNames = [], collect = null) {
+    return this.add(new Gauge(this.prefix + name, help, labelNames, collect));
+  }
+
+  render() {
+    return [...this.metrics.values()].map((m) => {
+      try {
+        return m.render();
+      } catch (err) {
+        console.error(`[METRICS] ${m.name} collect failed:`, err.message);
+        return `# HELP ${m.name} ${m.help}\n# TYPE ${m.name} ${m.type}`;
+      }
+    }).join('\n') + '\n';
+  }
+}
+
+module.exports = {
+  Metrics,
+  CONTENT_TYPE,
+};
@@ -0,0 +1,73 @@
+// Launcher: one entry point for the capture tool and the two servers
+// CommonJS (node >=16)
+//
+// Loads and validates the configuration (config.js) before anything starts,
+// so a bad file stops here with every problem listed instead of half a server
+// coming up.
+//
+// Commands:
+//   signaling  signaling + live/playback/HLS/WS/HTTP API server (streamax_server.js)
+//   media      standalone media receiver with HLS output (streamax_n9m_media.js)
+//   capture    raw TCP/UDP hex collector (_streamax.js)
+//   config     print the effective configuration (--device DSNO: one device's settings)
+//
+// Usage:
+//   node n9m.js signaling
+//   node n9m.js media --config /etc/n9m/n9m.config.json
+//   N9M_PUBLIC_HOST=203.0.113.10 N9M_HLS_DIR=/var/n9m/hls node n9m.js signaling
+//   node n9m.js config --device 007100607E
+
+const { parseArgs } = require('node:util');
+const { loadConfig, setConfig, deviceConfig } = require('./config');
+
+const SCRIPTS = {
+  signaling: './streamax_server.js',
+  media: './streamax_n9m_media.js',
+  capture: './_streamax.js',
+};
+const COMMANDS = [...Object.keys(SCRIPTS), 'config'];
+
+function usage(problem) {
+  if (problem) console.error(problem);
+  console.error(`usage: node n9m.js <${COMMANDS.join('|')}> [--config file] [--device DSNO]`);
+  process.exit(2);
+}
+
+function main() {
+  let args;
+  try {
+    args = parseArgs({
+      allowPositionals: true,
+      options: {
+        config: { type: 'string', short: 'c' },
+        device: { type: 'string' },
+      },
+    });
+  } catch (err) {
+    usage(err.message);
+  }
+  const { values, positionals } = args;
+  const [command] = positionals;
+  if (!COMMANDS.includes(command)) usage();
+
+  let config;
+  try {
+    config = loadConfig({ file: values.config });
+  } catch (err) {
+    if (err.code !== 'N9M_CONFIG') throw err;
+    console.error(`❌ [CONFIG] ${err.message}`);
+    process.exit(2);
+  }
+
+  if (command === 'config') {
+    const out = values.device ? { dsno: values.device, ...deviceConfig(config, values.device) } : config;
+    console.log(JSON.stringify(out, null, 2));
+    return;
+  }
+
+  console.log(`[CONFIG] ${config.file || 'defaults (no n9m.config.json)'}; starting ${command}`);
+  setConfig(config);
+  require(SCRIPTS[command]);
+}
+
+if (require.main === module) main();
@@ -3,17 +3,23 @@
  * ---------------------------------------
  * - Listens on TCP 5556 (Register/Signal + Media)
  * - Negotiates live stream (CreateStream + ControlStream)
- * - Saves raw H.264 frames to ./recordings/<dsno>-ch<ssrc>.h264
+ * - Records H.264 in 10-minute segments under ./recordings/<dsno>/<ch>/ (manifest + retention)
+ * - Decodes PT=12 audio (G.711 / G.726) into the recordings and the fMP4 output
  * - Broadcasts frames over WebSocket (ws://<host>:8080)
  *
  * Requirements: Node 18+
  */
 
-import fs from 'node:fs';
-import http from 'node:http';
 import net from 'node:net';
 import path from 'node:path';
-import { WebSocketServer } from 'ws';
+import { N9MDecoder, encodeSignal } from './n9m_codec.js';
+import { WsHub, roomKey } from './ws_hub.js';
+import { H264Stream } from './h264_analyzer.js';
+import { AudioDecoder } from './audio_codec.js';
+import { Fmp4Rooms } from './fmp4_muxer.js';
+import { createApi } from './http_api.js';
+import { Recorder, mountRecordingApi } from './recording_manager.js';
+import { getDialect, selectDialect, render, normalize } from './n9m_dialect.js';
 
 /* ============================ CONFIG ============================ */
 const CONFIG = {
@@ -25,82 +31,48 @@ const CONFIG = {
     },
     defaultControl: {
         streamtype: 1,            // 0=sub, 1=main, 2=mobile
-        audiovalid: 0,            // 0=no audio; set bitmask if enabling audio
+        audiovalid: 0,            // 0=no audio; channel bitmask (bit0 = ch1) to enable audio
         cmd: 1                    // 1=start/resume, 2=pause, 3=stop (varies by build)
     },
     heartbeat: {
         intervalMs: 30_000,       // server->device keepalive push (Transmit mode ~45s typical)
         timeoutMs: 120_000        // disconnect if no bytes seen for this long
     },
-    storageDir: path.resolve(process.cwd(), 'recordings') // where .h264 files go
+    audio: {
+        codec: 'g711a'            // PT=12 encoding: g711a, g711u, g726-16/24/32/40
+    },
+    dialect: 'camel',             // SIGNAL dialect until the device's Connect picks one (n9m_dialect.js)
+    storageDir: path.resolve(process.cwd(), 'recordings'), // <dsno>/<ch>/<start>.h264 + manifest.json
+    recording: {
+        format: 'h264',           // 'mp4' = fragmented MP4 segments
+        segmentMs: 10 * 60_000,   // cut at the first keyframe after this
+        maxAgeMs: 7 * 24 * 3600_000,
+        maxBytes: 50 * 1024 ** 3
+    }
 };
 /* =============================================================== */
 
-if (!fs.existsSync(CONFIG.storageDir)) fs.mkdirSync(CONFIG.storageDir, { recursive: true });
+const recorder = new Recorder({ root: CONFIG.storageDir, ...CONFIG.recording });
 
 /* ============================ WS HUB ============================ */
-const httpServer = http.createServer();
-const wss = new WebSocketServer({ server: httpServer });
+// Same port also serves GET /api/recordings[/<dsno>[/<ch>/<file>]]
+const api = createApi();
+mountRecordingApi(api, recorder);
+const httpServer = api.server;
+const hub = new WsHub({ server: httpServer });
+const fmp4 = new Fmp4Rooms(hub); // &format=fmp4 clients get init segment + GOP fragments
 httpServer.listen(CONFIG.wsPort, () =>
     console.log(`[WS] Listening on ws://0.0.0.0:${CONFIG.wsPort}`)
 );
-
-// Simple hub keyed by device streamname/channel
-const wsRooms = new Map(); // key -> Set(ws)
-
-function wsBroadcast(key, data) {
-    const set = wsRooms.get(key);
-    if (!set) return;
-    for (const ws of set) {
-        if (ws.readyState === ws.OPEN) ws.send(data);
-    }
-}
-
-wss.on('connection', (ws, req) => {
-    // Client can choose room via query ?room=<key>
-    const url = new URL(req.url, `http://${req.headers.host}`);
-    const room = url.searchParams.get('room') || 'default';
-    if (!wsRooms.has(room)) wsRooms.set(room, new Set());
-    wsRooms.get(room).add(ws);
-    ws.on('close', () => wsRooms.get(room)?.delete(ws));
-    ws.send(Buffer.from(`CONNECTED to room=${room}`));
-    console.log(`[WS] Client joined room="${room}"`);
-});
 /* =============================================================== */
 
 /* ========================= N9M Helpers ========================== */
-// Packet builder: RTP-like header (TCP: PAYLOAD_LEN = byte length)
-function buildN9MPacket({ pt, ssrc = 0, csrcs = [], payload }) {
-    const V = 2, P = 0, M = 0, CC = csrcs.length & 0x0F;
-    const first = ((V & 0x03) << 6) | ((P & 0x01) << 5) | ((M & 0x01) << 4) | (CC & 0x0F);
-    const header = Buffer.allocUnsafe(8);
-    header[0] = first;
-    header[1] = pt & 0xFF;                 // PAYLOAD TYPE
-    header.writeUInt16BE(ssrc & 0xFFFF, 2);// SSRC (channel index fits)
-    header.writeUInt32BE(payload.length, 4);// TCP: payload byte length
-    const csrcBuf = Buffer.alloc(4 * CC);
-    csrcs.forEach((id, i) => csrcBuf.writeUInt32BE(id >>> 0, i * 4));
-    return Buffer.concat([header, csrcBuf, payload]);
-}
-
-// JSON SIGNAL (PT=0)
-function packSignal(json) {
-    return buildN9MPacket({ pt: 0, payload: Buffer.from(JSON.stringify(json), 'utf8') });
-}
+// This server speaks the 8-byte "compact" header variant
+const LAYOUT = 'compact';
 
-// Parser with sticky buffer support
-function parseN9M(buffer) {
-    if (buffer.length < 8) return null;
-    const vpmcc = buffer[0];
-    const cc = vpmcc & 0x0F;
-    const pt = buffer[1];
-    const ssrc = buffer.readUInt16BE(2);
-    const payloadLen = buffer.readUInt32BE(4);
-    const headerLen = 8 + cc * 4;
-    if (buffer.length < headerLen + payloadLen) return null;
-    const payload = buffer.slice(headerLen, headerLen + payloadLen);
-    const rest = buffer.slice(headerLen + payloadLen);
-    return { pt, ssrc, payload, rest };
+// JSON SIGNAL (PT=0); json is canonical (MODULE/OPERATION/PARAMETER), rendered per dialect
+function packSignal(json, dialect) {
+    return encodeSignal(render(json, dialect), { layout: LAYOUT });
 }
 /* =============================================================== */
 
@@ -108,13 +80,15 @@ function parseN9M(buffer) {
 class N9MConnection {
     constructor(socket) {
         this.socket = socket;
-        this.recvBuf = Buffer.alloc(0);
+        this.decoder = new N9MDecoder({ layout: LAYOUT });
         this.lastActivity = Date.now();
 
         // Discovered/negotiated attributes
         this.dsno = null;                // device serial (when known)
         this.streamname = null;          // chosen stream name
-        this.files = new Map();          // ssrc -> write stream
+        this.dialect = getDialect(CONFIG.dialect); // how this device spells SIGNAL JSON
+        this.video = new Map();          // ssrc -> H264Stream
+        this.audio = new Map();          // ssrc -> AudioDecoder
         this.wsRoomKey = null;           // room for WS broadcast (derived)
 
         // timers
@@ -130,13 +104,12 @@ class N9MConnection {
     installHandlers() {
         this.socket.on('data', chunk => {
             this.lastActivity = Date.now();
-            this.recvBuf = Buffer.concat([this.recvBuf, chunk]);
-            while (true) {
-                const pkt = parseN9M(this.recvBuf);
-                if (!pkt) break;
-                this.recvBuf = pkt.rest;
-                this.handlePacket(pkt);
-            }
+            let frames;
+            let framingError = null;
+            try { frames = this.decoder.push(chunk); }
+            catch (e) { framingError = e; frames = e.frames || []; }
+            for (const frame of frames) this.handlePacket(frame);
+            if (framingError) this.cleanup(`framing error: ${framingError.message}`);
         });
 
         this.socket.on('close', () => this.cleanup('socket closed'));
@@ -147,8 +120,8 @@ class N9MConnection {
         // Server-originated keepalive (Transmit mode devices tolerate this)
         this.keepAliveTimer = setInterval(() => {
             try {
-                const msg = { module: 'certificate', operation: { name: 'KeepAlive', Type: 'Request-response' } };
-                this.socket.write(packSignal(msg));
+                const msg = { MODULE: 'CERTIFICATE', OPERATION: 'KEEPALIVE' };
+                this.socket.write(packSignal(msg, this.dialect));
             } catch { /* noop */ }
         }, CONFIG.heartbeat.intervalMs);
 
@@ -163,10 +136,7 @@ class N9MConnection {
     cleanup(reason) {
         if (this.keepAliveTimer) clearInterval(this.keepAliveTimer);
         if (this.idleTimer) clearInterval(this.idleTimer);
-        for (const [ssrc, ws] of this.files.entries()) {
-            try { ws.end(); } catch { }
-            this.files.delete(ssrc);
-        }
+        if (this.dsno) recorder.stopDevice(this.dsno, reason);
         try { this.socket.destroy(); } catch { }
         this.log(`closed: ${reason}`);
     }
@@ -175,83 +145,84 @@ class N9MConnection {
     sendCreateStream() {
         if (!this.streamname) this.streamname = `live-${Date.now()}`;
         const payload = {
-            module: 'certificate',
-            operation: { name: 'CreateStream', Type: 'Request-response' },
-            parameter: {
-                vision: CONFIG.createStream.vision,
-                devtype: CONFIG.createStream.devtype,
-                streamname: this.streamname,
-                ipandport: '',                // same socket
-                dsno: this.dsno || ''         // fill if known
+            MODULE: 'CERTIFICATE',
+            OPERATION: 'CREATESTREAM',
+            PARAMETER: {
+                VISION: CONFIG.createStream.vision,
+                DEVTYPE: CONFIG.createStream.devtype,
+                STREAMNAME: this.streamname,
+                IPANDPORT: '',                // same socket
+                DSNO: this.dsno || ''         // fill if known
             }
         };
-        this.socket.write(packSignal(payload));
+        this.socket.write(packSignal(payload, this.dialect));
         this.log(`CreateStream sent (streamname="${this.streamname}", dsno="${this.dsno || ''}")`);
     }
 
     sendControlStart(ssrc = 1) {
         const p = {
-            module: 'mediaStreamModel',
-            operation: { name: 'ControlStream', Type: 'Request-response' },
-            parameter: {
-                csrc: '',
-                pt: 2, // expect H.264 upstream
-                ssrc,
-                streamname: this.streamname,
-                streamtype: CONFIG.defaultControl.streamtype,
-                audiovalid: CONFIG.defaultControl.audiovalid,
-                cmd: CONFIG.defaultControl.cmd
+            MODULE: 'MEDIASTREAMMODEL',
+            OPERATION: 'CONTROLSTREAM',
+            PARAMETER: {
+                CSRC: '',
+                PT: 2, // expect H.264 upstream
+                SSRC: ssrc,
+                STREAMNAME: this.streamname,
+                STREAMTYPE: CONFIG.defaultControl.streamtype,
+                AUDIOVALID: CONFIG.defaultControl.audiovalid,
+                CMD: CONFIG.defaultControl.cmd
             }
         };
-        this.socket.write(packSignal(p));
+        this.socket.write(packSignal(p, this.dialect));
         this.log(`ControlStream(start) sent for channel=${ssrc}`);
     }
 
     // Optional pause/stop helpers
     sendControlStop(ssrc = 1) {
         const p = {
-            module: 'mediaStreamModel',
-            operation: { name: 'ControlStream', Type: 'Request-response' },
-            parameter: {
-                csrc: '',
-                pt: 2,
-                ssrc,
-                streamname: this.streamname,
-                streamtype: CONFIG.defaultControl.streamtype,
-                audiovalid: CONFIG.defaultControl.audiovalid,
-                cmd: 3 // stop (typical)
+            MODULE: 'MEDIASTREAMMODEL',
+            OPERATION: 'CONTROLSTREAM',
+            PARAMETER: {
+                CSRC: '',
+                PT: 2,
+                SSRC: ssrc,
+                STREAMNAME: this.streamname,
+                STREAMTYPE: CONFIG.defaultControl.streamtype,
+                AUDIOVALID: CONFIG.defaultControl.audiovalid,
+                CMD: 3 // stop (typical)
             }
         };
-        this.socket.write(packSignal(p));
+        this.socket.write(packSignal(p, this.dialect));
         this.log(`ControlStream(stop) sent for channel=${ssrc}`);
     }
 
     /* ------------------ Packet Demultiplexing -------------------- */
-    handlePacket({ pt, ssrc, payload }) {
+    handlePacket({ payloadType: pt, ssrc, payload }) {
         switch (pt) {
             case 0: this.handleSignal(payload); break;       // SIGNAL (JSON)
             case 1: this.handleMeta(ssrc, payload); break;   // METADATA (JSON)
             case 2: this.handleH264(ssrc, payload); break;   // H.264
-            case 12: /* AUDIO */ break;                      // you can add audio handling
+            case 12: this.handleAudio(ssrc, payload); break; // AUDIO
             default:
                 this.log(`Unknown PT=${pt} len=${payload.length}`);
         }
     }
 
     handleSignal(buf) {
-        let msg = null;
-        try { msg = JSON.parse(buf.toString('utf8')); }
+        let raw = null;
+        try { raw = JSON.parse(buf.toString('utf8')); }
         catch (e) { this.log('Bad SIGNAL JSON'); return; }
 
-        const op = msg?.operation?.name || 'Unknown';
-        const param = msg?.parameter || {};
-        const resp = msg?.response || {};
+        const msg = normalize(raw); // any dialect -> MODULE/OPERATION/PARAMETER
+        const op = msg?.OPERATION || 'Unknown';
+        const param = msg?.PARAMETER || {};
+        const resp = msg?.RESPONSE || {};
 
         // Heuristics: try to capture dsno/serial/imei from early messages
-        const discoveredDsno = param.dsno || resp.dsno || param.deviceid || resp.deviceid || param.imei || resp.imei;
+        const discoveredDsno = param.DSNO || resp.DSNO || param.DEVICEID || resp.DEVICEID || param.IMEI || resp.IMEI;
         if (discoveredDsno && !this.dsno) {
             this.dsno = String(discoveredDsno);
-            this.wsRoomKey = this.wsRoomKey || `n9m:${this.dsno}:ch1`;
+            this.wsRoomKey = this.wsRoomKey || roomKey(this.dsno, 1);
             this.log(`Identified DSNO=${this.dsno}`);
         }
 
@@ -260,6 +231,9 @@ class N9MConnection {
         // Common ops you may see:
         // - Connect / Register / KeepAlive / MediaTaskStart / MediaTaskStop ...
         if (/connect|register/i.test(op)) {
+            // Answer in the device's own dialect from here on
+            this.dialect = selectDialect(raw);
+            this.log(`SIGNAL dialect -> ${this.dialect.name}`);
             // After initial register/connect from device, request a stream
             if (!this.streamname) this.streamname = `live-${this.dsno || Date.now()}`;
             this.sendCreateStream();
@@ -288,24 +262,41 @@ class N9MConnection {
     }
 
     handleH264(ssrc, frame) {
-        // File writer per channel
-        const key = `${this.dsno || 'unknown'}-ch${ssrc}`;
-        if (!this.files.has(ssrc)) {
-            const filePath = path.join(CONFIG.storageDir, `${key}.h264`);
-            const ws = fs.createWriteStream(filePath, { flags: 'a' });
-            this.files.set(ssrc, ws);
-            this.log(`Recording -> ${filePath}`);
+        if (!this.video.has(ssrc)) {
+            this.video.set(ssrc, new H264Stream());
             // Default WS room for this conn if not set:
-            if (!this.wsRoomKey) this.wsRoomKey = `n9m:${this.dsno || 'unknown'}:ch${ssrc}`;
+            if (!this.wsRoomKey) this.wsRoomKey = roomKey(this.dsno, ssrc);
             this.log(`WS room key -> "${this.wsRoomKey}"`);
         }
-        try {
-            this.files.get(ssrc).write(frame);
-        } catch (e) {
-            this.log(`File write error: ${e.message}`);
+        const stream = this.video.get(ssrc);
+        const info = stream.push(frame);
+        if (info.spsChanged) {
+            const { profile, width, height, fps } = stream.sps;
+            this.log(`ch${ssrc} H.264 ${profile} ${width}x${height}${fps ? ` ${fps}fps` : ''}`);
+        }
+
+        // Segmented recording (<storageDir>/<dsno>/<ch>/...), split on keyframes
+        recorder.feed(this.dsno || 'unknown', ssrc, frame, { stream, info });
+        // WS broadcast to viewers (room key chosen above); late joiners start at a keyframe
+        const keyframe = !info.nals.length || info.keyframe;
+        if (this.wsRoomKey) {
+            hub.broadcast(this.wsRoomKey, info.keyframe ? stream.withParameterSets(frame, info) : frame, { keyframe });
+            fmp4.push(this.wsRoomKey, { stream, info });
         }
-        // WS broadcast to viewers (room key chosen above)
-        if (this.wsRoomKey) wsBroadcast(this.wsRoomKey, frame);
+    }
+
+    handleAudio(ssrc, payload) {
+        if (!this.audio.has(ssrc)) {
+            this.audio.set(ssrc, new AudioDecoder(CONFIG.audio.codec));
+            this.log(`ch${ssrc} audio (${CONFIG.audio.codec})`);
+        }
+        let pcm;
+        try { pcm = this.audio.get(ssrc).decode(payload); }
+        catch (e) { this.log(`Audio decode failed: ${e.message}`); return; }
+
+        // Next to the channel's video: .wav beside .h264 segments, FLAC track in fMP4
+        recorder.feedAudio(this.dsno || 'unknown', ssrc, pcm);
+        if (this.wsRoomKey) fmp4.pushAudio(this.wsRoomKey, pcm);
     }
 }
 /* =============================================================== */
@@ -332,8 +323,12 @@ server.listen(CONFIG.tcpPort, () => {
  *   as shown in your screenshot.
  *
  * - WebSocket preview:
- *   Connect a browser WS client to ws://<server>:8080?room=n9m:<DSNO>:ch1
- *   and feed the binary frames into an MSE player that expects Annex-B H.264.
+ *   Connect a browser WS client to ws://<server>:8080?room=n9m:<DSNO>:ch1&format=fmp4
+ *   and append the binary messages to an MSE SourceBuffer
+ *   (the MIME type comes in the text {"type":"init","mime":...} message before each
+ *   init segment), then one fragment per GOP. Audio, when the device sends it,
+ *   is a FLAC track in the same fragments. Without &format=fmp4 the room
+ *   carries raw Annex-B H.264 (starting at a keyframe).
  *
  * - To start multiple channels, call sendControlStart(2), sendControlStart(3), etc.
  *
@@ -0,0 +1,121 @@
+// EVEM alarm ingestion: SENDALARMINFO -> normalized alarm records + device ack
+// CommonJS (node >=16)
+//
+// Emits:
+//   'alarm'     (record)  every new alarm
+//   'duplicate' (record)  device re-sent an alarm we already acknowledged
+
+const { EventEmitter } = require('node:events');
+const { maskToChannels } = require('./n9m_codec');
+const { decodePosition } = require('./n9m_gps');
+
+// Names for alarm types that arrive without ALARMNAME (seen on X3/X5 firmware)
+const ALARM_TYPES = {
+  1: 'Video Shield',
+  3: 'Storage Abnormal',
+};
+
+const RECENT_LIMIT = 1000;   // records kept in memory for lookups
+const SEEN_LIMIT = 5000;     // EVTUUIDs remembered for de-duplication
+
+function toNumber(v) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+// CURRENTTIME is epoch seconds; anything unparseable or out of Date range -> null
+function toIsoTime(seconds) {
+  const t = toNumber(seconds);
+  if (!t) return null;
+  const date = new Date(t * 1000);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function parseAlarm(msg, device = {}) {
+  const p = msg.PARAMETER || {};
+  const type = toNumber(p.ALARMTYPE);
+  const mask = toNumber(p.CHANNELMASK) || 0;
+  const receivedAt = new Date().toISOString();
+
+  return {
+    uuid: p.EVTUUID || null,
+    cmdno: toNumber(p.CMDNO),
+    cmdType: toNumber(p.CMDTYPE),
+    uid: toNumber(p.ALARMUID),
+    type,
+    name: p.ALARMNAME || ALARM_TYPES[type] || `ALARM_${type}`,
+    triggerType: toNumber(p.TRIGGERTYPE),
+    channelMask: mask,
+    channels: maskToChannels(mask),
+    errorCode: toNumber(p.ERRORCODE),
+    storageType: toNumber(p.STORAGETYPE),
+    storageIndex: toNumber(p.STORAGEINDEX),
+    deviceTime: toIsoTime(p.CURRENTTIME),
+    receivedAt,
+    position: decodePosition(p.P, receivedAt),
+    session: msg.SESSION || device.session || '',
+    dsno: device.dsno || '',
+    carnum: device.carnum || '',
+  };
+}
+
+// Reply the device waits for before it drops the alarm from its resend queue
+function buildAck(msg, session) {
+  const p = msg.PARAMETER || {};
+  return {
+    MODULE: 'EVEM',
+    OPERATION: msg.OPERATION,
+    RESPONSE: {
+      ALARMTYPE: p.ALARMTYPE,
+      CMDNO: p.CMDNO,
+      EVTUUID: p.EVTUUID,
+      ERRORCODE: 0,
+      ERRORCAUSE: 'SUCCESS',
+    },
+    SESSION: session,
+  };
+}
+
+class AlarmCenter extends EventEmitter {
+  constructor() {
+    super();
+    this.recent = [];
+    this.seen = new Set();
+  }
+
+  // Returns { record, ack }; ack is always sent so a resend stops the retries
+  ingest(msg, device = {}) {
+    const record = parseAlarm(msg, device);
+    const ack = buildAck(msg, record.session);
+    const key = record.uuid || `${record.session}:${record.cmdno}`;
+
+    if (this.seen.has(key)) {
+      this.emit('duplicate', record);
+      return { record, ack, duplicate: true };
+    }
+    this.seen.add(key);
+    if (this.seen.size > SEEN_LIMIT) this.seen.delete(this.seen.values().next().value);
+
+    this.recent.push(record);
+    if (this.recent.length > RECENT_LIMIT) this.recent.shift();
+
+    this.emit('alarm', record);
+    return { record, ack, duplicate: false };
+  }
+
+  list({ dsno, type, since } = {}) {
+    return this.recent.filter(r =>
+      (!dsno || r.dsno === dsno) &&
+      (type == null || r.type === Number(type)) &&
+      (!since || r.receivedAt >= since)
+    );
+  }
+}
+
+module.exports = {
+  ALARM_TYPES,
+  AlarmCenter,
+  parseAlarm,
+  buildAck,
+  maskToChannels,
+};
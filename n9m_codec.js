@@ -0,0 +1,252 @@
+// N9M framing shared by every server entry point
+// CommonJS (node >=16)
+//
+// Frame on the wire (TCP):
+//   byte 0        V(2) P(1) M(1) CC(4)
+//   byte 1        PT    payload type (0=SIGNAL, 1=META, 2=H.264, 12=AUDIO ...)
+//   SSRC          channel / stream index
+//   PAYLOAD LEN   byte length of payload (+ padding), CSRC list NOT included
+//   RESERVE       opaque, echoed by the device
+//   CSRC list     CC x 32-bit
+//   payload       [padding: last byte = number of pad bytes, when P=1]
+//
+// The devices pack byte 0 as a little-endian C bitfield, i.e. V sits in the
+// two LOW bits and CC in the high nibble. Read MSB-first (RTP style) the 0x08
+// every unit sends looks like "CC=8" with a garbage reserve; read LSB-first
+// it is V=0 M=1 CC=0, which matches the payload starting right at byte 12.
+
+const LAYOUTS = {
+  // Streamax N9M as sent by X3/X5 units (streamax_server.js, video_server.js)
+  n9m: { headerLen: 12, ssrcBytes: 2, reserveBytes: 4, bitOrder: 'lsb', version: 0 },
+  // 8-byte header without reserve (n9m_V2.js)
+  compact: { headerLen: 8, ssrcBytes: 2, reserveBytes: 0, bitOrder: 'msb', version: 2 },
+  // 12-byte header with 32-bit SSRC and 16-bit reserve (streamax_n9m_media.js)
+  ssrc32: { headerLen: 12, ssrcBytes: 4, reserveBytes: 2, bitOrder: 'msb', version: 2 },
+};
+
+const PT = {
+  SIGNAL: 0,
+  META: 1,
+  H264: 2,
+  AUDIO: 12,
+};
+
+const MAX_PAYLOAD = 8 * 1024 * 1024; // anything bigger means we lost sync
+
+function getLayout(layout) {
+  const spec = LAYOUTS[layout || 'n9m'];
+  if (!spec) throw new Error(`Unknown N9M header layout "${layout}"`);
+  return spec;
+}
+
+function packFirstByte(spec, { version, padding, marker, csrcCount }) {
+  if (spec.bitOrder === 'lsb') {
+    return (version & 0x03) | ((padding & 0x01) << 2) | ((marker & 0x01) << 3) | ((csrcCount & 0x0F) << 4);
+  }
+  return ((version & 0x03) << 6) | ((padding & 0x01) << 5) | ((marker & 0x01) << 4) | (csrcCount & 0x0F);
+}
+
+function unpackFirstByte(spec, b0) {
+  if (spec.bitOrder === 'lsb') {
+    return { version: b0 & 0x03, padding: (b0 >> 2) & 0x01, marker: (b0 >> 3) & 0x01, csrcCount: (b0 >> 4) & 0x0F };
+  }
+  return { version: (b0 >> 6) & 0x03, padding: (b0 >> 5) & 0x01, marker: (b0 >> 4) & 0x01, csrcCount: b0 & 0x0F };
+}
+
+// --- Encoder ---
+function encodeFrame({ payloadType = 0, ssrc = 0, payload = Buffer.alloc(0), marker = 0, padTo = 0, csrcList = [], reserve = 0, version }, layout = 'n9m') {
+  const spec = getLayout(layout);
+  let body = Buffer.isBuffer(payload) ? payload : Buffer.from(typeof payload === 'string' ? payload : JSON.stringify(payload), 'utf8');
+
+  // Optional padding to a block size (last pad byte carries the pad count)
+  let padding = 0;
+  if (padTo > 1 && body.length % padTo) {
+    const padLen = padTo - (body.length % padTo);
+    const pad = Buffer.alloc(padLen);
+    pad[padLen - 1] = padLen;
+    body = Buffer.concat([body, pad]);
+    padding = 1;
+  }
+
+  const csrcCount = Math.min(csrcList.length, 15);
+  const header = Buffer.alloc(spec.headerLen + csrcCount * 4);
+  let off = 0;
+  header.writeUInt8(packFirstByte(spec, { version: version ?? spec.version, padding, marker, csrcCount }), off++);
+  header.writeUInt8(payloadType & 0xFF, off++);
+  if (spec.ssrcBytes === 4) {
+    header.writeUInt32BE(ssrc >>> 0, off); off += 4;
+  } else {
+    header.writeUInt16BE(ssrc & 0xFFFF, off); off += 2;
+  }
+  header.writeUInt32BE(body.length, off); off += 4;
+  if (spec.reserveBytes === 4) {
+    header.writeUInt32LE(reserve >>> 0, off); off += 4;
+  } else if (spec.reserveBytes === 2) {
+    header.writeUInt16BE(reserve & 0xFFFF, off); off += 2;
+  }
+  for (let i = 0; i < csrcCount; i++) {
+    header.writeUInt32BE(csrcList[i] >>> 0, off); off += 4;
+  }
+
+  return Buffer.concat([header, body]);
+}
+
+// JSON SIGNAL (PT=0)
+function encodeSignal(json, { ssrc = 0, layout = 'n9m' } = {}) {
+  return encodeFrame({ payloadType: PT.SIGNAL, ssrc, payload: json }, layout);
+}
+
+// --- Decoder ---
+// Returns null until a whole frame is buffered.
+function decodeFrame(buffer, layout = 'n9m') {
+  const spec = getLayout(layout);
+  if (buffer.length < spec.headerLen) return null;
+
+  let off = 0;
+  const { version, padding, marker, csrcCount } = unpackFirstByte(spec, buffer.readUInt8(off++));
+  const payloadType = buffer.readUInt8(off++);
+  let ssrc;
+  if (spec.ssrcBytes === 4) {
+    ssrc = buffer.readUInt32BE(off); off += 4;
+  } else {
+    ssrc = buffer.readUInt16BE(off); off += 2;
+  }
+  const payloadLen = buffer.readUInt32BE(off); off += 4;
+  let reserve = 0;
+  if (spec.reserveBytes === 4) {
+    reserve = buffer.readUInt32LE(off); off += 4;
+  } else if (spec.reserveBytes === 2) {
+    reserve = buffer.readUInt16BE(off); off += 2;
+  }
+
+  if (payloadLen > MAX_PAYLOAD) {
+    const err = new Error(`N9M payload length ${payloadLen} exceeds ${MAX_PAYLOAD} (PT=${payloadType})`);
+    err.code = 'N9M_BAD_LENGTH';
+    throw err;
+  }
+
+  const totalLength = off + csrcCount * 4 + payloadLen;
+  if (buffer.length < totalLength) return null; // wait for more data
+
+  const csrcList = [];
+  for (let i = 0; i < csrcCount; i++) {
+    csrcList.push(buffer.readUInt32BE(off)); off += 4;
+  }
+
+  let payload = buffer.subarray(off, totalLength);
+  if (padding && payload.length) {
+    const padLen = payload[payload.length - 1];
+    payload = payload.subarray(0, Math.max(0, payload.length - padLen));
+  }
+
+  return {
+    version,
+    padding,
+    marker,
+    csrcCount,
+    payloadType,
+    ssrc,
+    payloadLen,
+    reserve,
+    csrcList,
+    payload,
+    totalLength,
+    layout: layout || 'n9m'
+  };
+}
+
+// --- Dialect detection ---
+// Every device opens with a JSON SIGNAL (CONNECT / CREATESTREAM), so the right
+// layout is the one whose payload offset lands on '{' with a sane length.
+// Returns null while more bytes are needed to decide.
+const DETECT_ORDER = ['n9m', 'compact', 'ssrc32'];
+
+function detectLayout(buffer) {
+  let pending = false;
+  for (const name of DETECT_ORDER) {
+    const spec = LAYOUTS[name];
+    if (buffer.length < spec.headerLen) { pending = true; continue; }
+    const { csrcCount } = unpackFirstByte(spec, buffer[0]);
+    const payloadLen = buffer.readUInt32BE(2 + spec.ssrcBytes);
+    const payloadAt = spec.headerLen + csrcCount * 4;
+    if (payloadLen === 0 || payloadLen > MAX_PAYLOAD) continue;
+    if (buffer.length <= payloadAt) { pending = true; continue; }
+    if (buffer[payloadAt] === 0x7B /* '{' */) return name;
+  }
+  return pending ? null : 'n9m';
+}
+
+// SIGNAL/META bodies are JSON, usually NUL-terminated
+function decodeSignal(payload) {
+  const text = payload.toString('utf8').replace(/\0+$/, '').trim();
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+// Channel bitmasks (REQUESTALIVEVIDEO CHANNEL, EVEM CHANNELMASK): bit 0 = channel 1
+function channelsToMask(channels) {
+  let mask = 0;
+  for (const ch of channels) {
+    const n = Number(ch);
+    if (Number.isInteger(n) && n >= 1 && n <= 32) mask |= 1 << (n - 1);
+  }
+  return mask >>> 0;
+}
+
+function maskToChannels(mask) {
+  const channels = [];
+  for (let bit = 0; bit < 32; bit++) {
+    if ((mask >>> bit) & 1) channels.push(bit + 1);
+  }
+  return channels;
+}
+
+// Sticky-buffer decoder: push socket chunks, get whole frames back.
+// layout 'auto' sniffs the first frame and locks the dialect for the
+// connection; `layout` stays null until then. A framing error carries the
+// frames decoded from the same chunk before it as `err.frames`.
+class N9MDecoder {
+  constructor({ layout = 'n9m' } = {}) {
+    this.layout = layout === 'auto' ? null : layout;
+    this.buffer = Buffer.alloc(0);
+  }
+
+  push(chunk) {
+    this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+    const frames = [];
+    if (!this.layout) {
+      this.layout = detectLayout(this.buffer);
+      if (!this.layout) return frames;
+    }
+    while (this.buffer.length > 0) {
+      let frame;
+      try {
+        frame = decodeFrame(this.buffer, this.layout);
+      } catch (e) {
+        this.buffer = Buffer.alloc(0); // stream is out of sync, drop what we have
+        e.frames = frames;
+        throw e;
+      }
+      if (!frame) break;
+      this.buffer = this.buffer.subarray(frame.totalLength);
+      frames.push(frame);
+    }
+    return frames;
+  }
+}
+
+module.exports = {
+  LAYOUTS,
+  PT,
+  encodeFrame,
+  encodeSignal,
+  decodeFrame,
+  decodeSignal,
+  detectLayout,
+  channelsToMask,
+  maskToChannels,
+  N9MDecoder,
+};
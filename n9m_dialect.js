@@ -0,0 +1,189 @@
+// Per-firmware SIGNAL dialects
+// CommonJS (node >=16)
+//
+// Handlers build every message in one canonical form:
+//   { MODULE: 'CERTIFICATE', OPERATION: 'CONNECT', RESPONSE: { ERRORCODE: 0, ... }, SESSION }
+// and render() turns it into what the device's firmware expects:
+//
+//   plain   as above; CONNECT answer carries MASKCMD          (X3/X5, PRO 1.0.5/1.0.6)
+//   typed   upper-case keys, every value as { type, value }   (firmware that writes its own that way)
+//   camel   { module: 'certificate', operation: { name: 'KeepAlive', Type: 'Request-response' },
+//             parameter: { dsno, ... } }                     (N9M v2 stacks, n9m_V2.js)
+//
+// The dialect is picked once per session from its CONNECT: a device that
+// itself writes lower-case keys or typed values is answered the same way,
+// otherwise the rules below are matched against PRO / EV / MTYPE. The style
+// of the CONNECT itself beats any firmware string: X5 units report EV "V1.1"
+// yet write and expect plain values. normalize() does the reverse for incoming
+// messages, so handlers only see the canonical form.
+
+const DIALECTS = {
+  plain: { name: 'plain', casing: 'upper', typed: false, operation: 'flat', connect: { MASKCMD: 1 } },
+  typed: { name: 'typed', casing: 'upper', typed: true, operation: 'flat', connect: {} },
+  camel: { name: 'camel', casing: 'lower', typed: false, operation: 'object', connect: {} },
+};
+
+const DEFAULT_DIALECT = 'plain';
+
+// First match wins. A value ending in '*' matches as a prefix; numbers compare as strings.
+const DEFAULT_RULES = [
+  { PRO: '1.0.5', dialect: 'plain' },
+  { PRO: '1.0.6', dialect: 'plain' },
+];
+
+// Spelling of modules and operations in the camel dialect
+const CAMEL_NAMES = {
+  CERTIFICATE: 'certificate',
+  MEDIASTREAMMODEL: 'mediaStreamModel',
+  STORM: 'storm',
+  EVEM: 'evem',
+  CONFIGMODEL: 'configModel',
+  DEVEMM: 'devemm',
+  CONNECT: 'Connect',
+  VERIFY: 'Verify',
+  LOGIN: 'Login',
+  KEEPALIVE: 'KeepAlive',
+  CREATESTREAM: 'CreateStream',
+  CONTROLSTREAM: 'ControlStream',
+  MEDIATASKSTART: 'MediaTaskStart',
+  MEDIATASKSTOP: 'MediaTaskStop',
+  REQUESTALIVEVIDEO: 'RequestAliveVideo',
+  REQUESTREMOTEPLAYBACK: 'RequestRemotePlayback',
+  CONTROLREMOTEPLAYBACK: 'ControlRemotePlayback',
+  QUERYFILELIST: 'QueryFileList',
+  SENDALARMINFO: 'SendAlarmInfo',
+  GET: 'Get',
+  SET: 'Set',
+};
+
+const BODY_KEYS = ['PARAMETER', 'RESPONSE'];
+
+function getDialect(name) {
+  const dialect = DIALECTS[name || DEFAULT_DIALECT];
+  if (!dialect) throw new Error(`Unknown SIGNAL dialect "${name}"`);
+  return dialect;
+}
+
+function isTypedValue(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v)
+    && Object.keys(v).length === 2 && 'type' in v && 'value' in v;
+}
+
+function typeOf(v) {
+  if (typeof v === 'boolean') return 'boolean';
+  if (typeof v === 'number') return Number.isInteger(v) ? 'integer' : 'double';
+  return 'string';
+}
+
+function wrapValues(v) {
+  if (Array.isArray(v)) return v.map(wrapValues);
+  if (v !== null && typeof v === 'object') {
+    return Object.fromEntries(Object.entries(v).map(([k, x]) => [k, wrapValues(x)]));
+  }
+  return { type: typeOf(v), value: v };
+}
+
+function unwrapValues(v) {
+  if (isTypedValue(v)) return v.value;
+  if (Array.isArray(v)) return v.map(unwrapValues);
+  if (v !== null && typeof v === 'object') {
+    return Object.fromEntries(Object.entries(v).map(([k, x]) => [k, unwrapValues(x)]));
+  }
+  return v;
+}
+
+function mapKeys(v, fn) {
+  if (Array.isArray(v)) return v.map(x => mapKeys(x, fn));
+  if (v !== null && typeof v === 'object' && !isTypedValue(v)) {
+    return Object.fromEntries(Object.entries(v).map(([k, x]) => [fn(k), mapKeys(x, fn)]));
+  }
+  return v;
+}
+
+function camelName(name) {
+  const s = String(name);
+  return CAMEL_NAMES[s] || s.charAt(0) + s.slice(1).toLowerCase();
+}
+
+function camelModule(name) {
+  const s = camelName(name);
+  return s.charAt(0).toLowerCase() + s.slice(1);
+}
+
+// How a device writes its own messages: { casing: 'upper'|'lower', typed }
+function sniff(msg) {
+  if (!msg || typeof msg !== 'object') return { casing: 'upper', typed: false };
+  const casing = 'module' in msg && !('MODULE' in msg) ? 'lower' : 'upper';
+  const body = msg.PARAMETER || msg.parameter || msg.RESPONSE || msg.response || {};
+  const typed = Object.values(body).some(isTypedValue);
+  return { casing, typed };
+}
+
+function matches(rule, params) {
+  return ['PRO', 'EV', 'MTYPE'].every((key) => {
+    if (rule[key] === undefined) return true;
+    const want = String(rule[key]);
+    const have = params[key] === undefined ? null : String(params[key]);
+    if (have === null) return false;
+    return want.endsWith('*') ? have.startsWith(want.slice(0, -1)) : have === want;
+  });
+}
+
+// Dialect for a session from its CONNECT (raw, as received)
+function selectDialect(msg, rules = DEFAULT_RULES) {
+  const { casing, typed } = sniff(msg);
+  if (casing === 'lower') return DIALECTS.camel;
+  if (typed) return DIALECTS.typed;
+  const params = unwrapValues(msg?.PARAMETER || {});
+  const rule = rules.find(r => matches(r, params));
+  return getDialect(rule?.dialect);
+}
+
+// Canonical -> wire
+function render(msg, dialect = DEFAULT_DIALECT) {
+  const d = typeof dialect === 'string' ? getDialect(dialect) : dialect;
+  const out = {};
+  for (const [key, value] of Object.entries(msg)) {
+    let v = value;
+    if (BODY_KEYS.includes(key)) {
+      if (d.typed) v = wrapValues(v);
+      if (d.casing === 'lower') v = mapKeys(v, k => k.toLowerCase());
+    }
+    if (d.casing === 'lower') {
+      if (key === 'MODULE') v = camelModule(v);
+      if (key === 'OPERATION') v = d.operation === 'object' ? { name: camelName(v), Type: 'Request-response' } : camelName(v);
+      out[key.toLowerCase()] = v;
+    } else {
+      out[key] = v;
+    }
+  }
+  return out;
+}
+
+// Wire -> canonical (upper-case keys, plain values, OPERATION as a string)
+function normalize(msg) {
+  if (!msg || typeof msg !== 'object') return msg;
+  const { casing, typed } = sniff(msg);
+  if (casing === 'upper' && !typed) return msg;
+  const out = {};
+  for (const [key, value] of Object.entries(msg)) {
+    const k = key.toUpperCase();
+    let v = value;
+    if (k === 'MODULE') v = String(v).toUpperCase();
+    else if (k === 'OPERATION') v = String(v?.name ?? v).toUpperCase();
+    else if (BODY_KEYS.includes(k)) v = mapKeys(unwrapValues(v), x => x.toUpperCase());
+    out[k] = v;
+  }
+  return out;
+}
+
+module.exports = {
+  DIALECTS,
+  DEFAULT_DIALECT,
+  DEFAULT_RULES,
+  getDialect,
+  selectDialect,
+  render,
+  normalize,
+  sniff,
+};
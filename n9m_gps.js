@@ -0,0 +1,174 @@
+// Position decoding for the N9M "P" block + per-DSNO track history
+// CommonJS (node >=16)
+//
+// P = { V: fix status (0 = valid), J: longitude, W: latitude,
+//       S: speed (0.01 km/h), C: course (0.01 deg), T: "YYYYMMDDhhmmss" }
+
+const fs = require('node:fs');
+const path = require('node:path');
+
+const MEMORY_POINTS = 10_000;  // per device, older points stay on disk only
+
+function toNumber(v) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+// "20251029153402" -> ISO string, null for the all-zero placeholder
+function parseDeviceTime(t) {
+  const m = /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})$/.exec(String(t || ''));
+  if (!m) return null;
+  const [, Y, M, D, h, mi, s] = m.map(Number);
+  if (M < 1 || M > 12 || D < 1 || D > 31) return null;
+  return new Date(Date.UTC(Y, M - 1, D, h, mi, s)).toISOString();
+}
+
+// Date/ISO string -> "YYYYMMDDhhmmss" (device clocks are treated as UTC, see above)
+function formatDeviceTime(value) {
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) return null;
+  return d.toISOString().replace(/\.\d+Z$/, '').replace(/\D/g, '');
+}
+
+function decodePosition(p, receivedAt = new Date().toISOString()) {
+  if (!p || typeof p !== 'object') return null;
+  const lat = toNumber(p.W);
+  const lon = toNumber(p.J);
+  const speed = toNumber(p.S);
+  const course = toNumber(p.C);
+  const deviceTime = parseDeviceTime(p.T);
+  const hasCoords = lat != null && lon != null && !(lat === 0 && lon === 0);
+
+  return {
+    valid: p.V === 0 && hasCoords,
+    lat,
+    lon,
+    speed: speed == null ? null : speed / 100,
+    course: course == null ? null : course / 100,
+    time: deviceTime || receivedAt,
+    deviceTime,
+  };
+}
+
+function dayOf(iso) {
+  return iso.slice(0, 10);
+}
+
+class TrackStore {
+  constructor({ dir } = {}) {
+    this.dir = dir || null;
+    this.tracks = new Map(); // dsno -> [point]
+    if (this.dir) fs.mkdirSync(this.dir, { recursive: true });
+  }
+
+  // Only valid fixes are kept; repeated samples with the same time are dropped
+  add(dsno, pos) {
+    if (!dsno || !pos || !pos.valid) return false;
+    const point = { time: pos.time, lat: pos.lat, lon: pos.lon, speed: pos.speed, course: pos.course };
+    if (!this.tracks.has(dsno)) this.tracks.set(dsno, []);
+    const track = this.tracks.get(dsno);
+    if (track.length && track[track.length - 1].time === point.time) return false;
+
+    track.push(point);
+    if (track.length > MEMORY_POINTS) track.shift();
+
+    if (this.dir) {
+      const file = path.join(this.dir, `${dsno}_${dayOf(point.time)}.ndjson`);
+      fs.appendFile(file, JSON.stringify(point) + '\n', (err) => {
+        if (err) console.error(`[GPS] write ${file} failed:`, err.message);
+      });
+    }
+    return true;
+  }
+
+  last(dsno) {
+    const track = this.tracks.get(dsno);
+    return track?.length ? track[track.length - 1] : null;
+  }
+
+  // Points for [from, to] (ISO strings); reads day files when memory doesn't reach back
+  async query(dsno, from, to) {
+    const inRange = (p) => (!from || p.time >= from) && (!to || p.time <= to);
+    const memory = this.tracks.get(dsno) || [];
+    if (!this.dir || (memory.length && from && memory[0].time <= from)) {
+      return memory.filter(inRange);
+    }
+
+    const prefix = `${dsno}_`;
+    const files = (await fs.promises.readdir(this.dir))
+      .filter(f => f.startsWith(prefix) && f.endsWith('.ndjson'))
+      .filter(f => {
+        const day = f.slice(prefix.length, -'.ndjson'.length);
+        return (!from || day >= dayOf(from)) && (!to || day <= dayOf(to));
+      })
+      .sort();
+
+    const points = [];
+    for (const f of files) {
+      const text = await fs.promises.readFile(path.join(this.dir, f), 'utf8');
+      for (const line of text.split('\n')) {
+        if (!line) continue;
+        try {
+          const p = JSON.parse(line);
+          if (inRange(p)) points.push(p);
+        } catch { /* partial line */ }
+      }
+    }
+    return points.sort((a, b) => (a.time < b.time ? -1 : a.time > b.time ? 1 : 0));
+  }
+}
+
+// --- Exporters ---
+function toGeoJSON(dsno, points) {
+  return {
+    type: 'FeatureCollection',
+    features: [
+      {
+        type: 'Feature',
+        properties: {
+          dsno,
+          start: points[0]?.time || null,
+          end: points[points.length - 1]?.time || null,
+          times: points.map(p => p.time),
+          speeds: points.map(p => p.speed),
+        },
+        geometry: {
+          type: 'LineString',
+          coordinates: points.map(p => [p.lon, p.lat]),
+        },
+      },
+    ],
+  };
+}
+
+function escapeXml(s) {
+  return String(s).replace(/[<>&'"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', "'": '&apos;', '"': '&quot;' }[c]));
+}
+
+function toGPX(dsno, points) {
+  const pts = points.map(p =>
+    `      <trkpt lat="${p.lat}" lon="${p.lon}"><time>${p.time}</time></trkpt>`
+  ).join('\n');
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="streamax-server" xmlns="http://www.topografix.com/GPX/1/1">',
+    '  <trk>',
+    `    <name>${escapeXml(dsno)}</name>`,
+    '    <trkseg>',
+    pts,
+    '    </trkseg>',
+    '  </trk>',
+    '</gpx>',
+    '',
+  ].join('\n');
+}
+
+module.exports = {
+  TrackStore,
+  decodePosition,
+  parseDeviceTime,
+  formatDeviceTime,
+  toGeoJSON,
+  toGPX,
+};
@@ -0,0 +1,384 @@
+// Query and summarize device logs
+// CommonJS (node >=16)
+//
+// Reads both log generations under paths.logs of the config (or the files/dirs given):
+//   <CARNUM>_<date>.log               older logPacket() lines: [<ts>] <decoded frame as JSON>
+//   signaling-<day>[.<n>].ndjson[.gz] packet log (packet_log.js)
+// and turns every SIGNAL message into one record:
+//   { ts, carnum, dsno, session, dir, module, operation, msg }
+//
+// Commands:
+//   list       matching messages, oldest first
+//   connects   CONNECTs per car and day
+//   keepalive  KEEPALIVE interval per car, and gaps longer than --gap seconds
+//   alarms     alarms by car and type (EVTUUID de-duplicated, like AlarmCenter)
+//   media      media tasks: MEDIATASKSTART -> MEDIATASKSTOP and how long they ran
+//   summary    one line per car: days, connects, keepalives, alarms, media time
+//
+// Filters: --car, --dsno, --from / --to (YYYY-MM-DD or ISO), --date (one day),
+//          --module, --operation, --type (alarm type number or name), --dir in|out
+// Output is a table; --json prints the rows instead.
+//
+// Usage:
+//   node n9m_logs.js alarms --car X5-Tahaluf --date 2025-10-29
+//   node n9m_logs.js list --type "Video Shield" --json
+//   node n9m_logs.js media --from 2025-10-28 --to 2025-10-30
+//   node n9m_logs.js keepalive logs/X3-Cashbox_2025-10-29.log --gap 120
+
+const fs = require('node:fs');
+const path = require('node:path');
+const zlib = require('node:zlib');
+const { parseArgs } = require('node:util');
+const { PT } = require('./n9m_codec');
+const { normalize } = require('./n9m_dialect');
+const { parseAlarm } = require('./n9m_alarms');
+const { parseStamp } = require('./n9m_replay');
+const { loadConfig } = require('./config');
+
+const DAY_MS = 86_400_000;
+
+// --- loading ---
+function parseDay(value, endOfDay = false) {
+  if (!value) return null;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return Date.parse(`${value}T00:00:00Z`) + (endOfDay ? DAY_MS - 1 : 0);
+  const t = Date.parse(value);
+  if (Number.isNaN(t)) throw new Error(`Invalid date "${value}"`);
+  return t;
+}
+
+function listFiles(inputs) {
+  const files = [];
+  for (const input of inputs) {
+    const st = fs.statSync(input);
+    if (st.isDirectory()) files.push(...fs.readdirSync(input).sort().map(f => path.join(input, f)));
+    else files.push(input);
+  }
+  return files.filter(f => f.endsWith('.log') || /^signaling-.*\.ndjson(\.gz)?$/.test(path.basename(f)));
+}
+
+// Day and car a file can contain, from its name; lets filters skip whole files
+function fileScope(file) {
+  const base = path.basename(file);
+  let m = /^(.*)_(\d{4}-\d{2}-\d{2})\.log$/.exec(base);
+  if (m) return { carnum: m[1], day: m[2] };
+  m = /^signaling-(\d{4}-\d{2}-\d{2})/.exec(base);
+  return { carnum: null, day: m ? m[1] : null };
+}
+
+function readLegacyLog(file, carnum) {
+  const records = [];
+  for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+    const m = /^\[([^\]]+)\] (.*)$/.exec(line);
+    if (!m) continue;
+    let packet;
+    try {
+      packet = JSON.parse(m[2]);
+    } catch {
+      continue;
+    }
+    const at = parseStamp(m[1]);
+    if (at === null || (packet.payloadType !== PT.SIGNAL && packet.payloadType !== PT.META)) continue;
+    if (!packet.payload || typeof packet.payload !== 'object') continue;
+    const msg = normalize(packet.payload);
+    records.push({ at, carnum, dsno: '', session: msg.SESSION || '', dir: 'in', msg });
+  }
+  // one file per car: the DSNO of its CONNECTs applies to every line
+  const dsno = records.find(r => r.msg.PARAMETER?.DSNO)?.msg.PARAMETER.DSNO || '';
+  for (const r of records) r.dsno = String(dsno);
+  return records;
+}
+
+function readNdjson(file) {
+  let text = fs.readFileSync(file);
+  if (file.endsWith('.gz')) text = zlib.gunzipSync(text);
+  const records = [];
+  for (const line of text.toString('utf8').split('\n')) {
+    let rec;
+    try {
+      rec = JSON.parse(line);
+    } catch {
+      continue;
+    }
+    if (rec.stream !== 'signaling' || !rec.payload || typeof rec.payload !== 'object') continue;
+    const at = Date.parse(rec.ts);
+    if (Number.isNaN(at)) continue;
+    records.push({ at, carnum: rec.carnum || '', dsno: rec.dsno || '', session: rec.session || '', dir: rec.dir || 'in', msg: normalize(rec.payload) });
+  }
+  return records;
+}
+
+function matchAlarmType(msg, type) {
+  if (msg.MODULE !== 'EVEM' || msg.OPERATION !== 'SENDALARMINFO' || msg.RESPONSE) return false;
+  const alarm = parseAlarm(msg);
+  return String(alarm.type) === String(type) || alarm.name.toLowerCase() === String(type).toLowerCase();
+}
+
+// Records of every input that pass the filters, oldest first
+function loadRecords(inputs, filters = {}) {
+  const from = parseDay(filters.from || filters.date);
+  const to = parseDay(filters.to || filters.date, true);
+  const upper = s => (s ? String(s).toUpperCase() : null);
+  const module = upper(filters.module);
+  const operation = upper(filters.operation);
+
+  const out = [];
+  for (const file of listFiles(inputs)) {
+    const scope = fileScope(file);
+    if (filters.car && scope.carnum && scope.carnum !== filters.car) continue;
+    if (scope.day) {
+      const start = Date.parse(`${scope.day}T00:00:00Z`);
+      if ((from !== null && start + DAY_MS <= from) || (to !== null && start > to)) continue;
+    }
+    const records = file.endsWith('.log') ? readLegacyLog(file, scope.carnum) : readNdjson(file);
+    for (const r of records) {
+      if (from !== null && r.at < from) continue;
+      if (to !== null && r.at > to) continue;
+      if (filters.car && r.carnum !== filters.car) continue;
+      if (filters.dsno && r.dsno !== filters.dsno) continue;
+      if (filters.dir && r.dir !== filters.dir) continue;
+      if (module && r.msg.MODULE !== module) continue;
+      if (operation && r.msg.OPERATION !== operation) continue;
+      if (filters.type && !matchAlarmType(r.msg, filters.type)) continue;
+      out.push(r);
+    }
+  }
+  return out.sort((a, b) => a.at - b.at);
+}
+
+// --- reports ---
+const iso = t => (t === null || t === undefined ? '' : new Date(t).toISOString());
+const carOf = r => r.carnum || r.dsno || '?';
+const incoming = (r, module, operation) => r.dir === 'in' && r.msg.MODULE === module && r.msg.OPERATION === operation && !r.msg.RESPONSE;
+
+function groupBy(items, key) {
+  const groups = new Map();
+  for (const item of items) {
+    const k = key(item);
+    if (!groups.has(k)) groups.set(k, []);
+    groups.get(k).push(item);
+  }
+  return groups;
+}
+
+function listRows(records) {
+  return records.map(r => ({
+    ts: iso(r.at),
+    car: carOf(r),
+    dsno: r.dsno,
+    dir: r.dir,
+    module: r.msg.MODULE,
+    operation: r.msg.OPERATION,
+    detail: JSON.stringify(r.msg.PARAMETER || r.msg.RESPONSE || {}),
+  }));
+}
+
+function connectRows(records) {
+  const connects = records.filter(r => incoming(r, 'CERTIFICATE', 'CONNECT'));
+  return [...groupBy(connects, r => `${carOf(r)}|${iso(r.at).slice(0, 10)}`)].map(([key, list]) => {
+    const [car, day] = key.split('|');
+    return { car, day, connects: list.length, first: iso(list[0].at), last: iso(list[list.length - 1].at) };
+  });
+}
+
+// Intervals between KEEPALIVEs of a car; a CONNECT in between starts over (the gap was a reconnect)
+function keepaliveRows(records, gapSec = 90) {
+  const rows = [];
+  const gaps = [];
+  const relevant = records.filter(r => incoming(r, 'CERTIFICATE', 'KEEPALIVE') || incoming(r, 'CERTIFICATE', 'CONNECT'));
+  for (const [car, list] of groupBy(relevant, carOf)) {
+    const intervals = [];
+    let prev = null;
+    for (const r of list) {
+      if (r.msg.OPERATION === 'CONNECT') {
+        prev = null;
+        continue;
+      }
+      if (prev !== null) {
+        const sec = (r.at - prev) / 1000;
+        intervals.push(sec);
+        if (sec > gapSec) gaps.push({ car, from: iso(prev), to: iso(r.at), gapSec: Math.round(sec) });
+      }
+      prev = r.at;
+    }
+    const sorted = [...intervals].sort((a, b) => a - b);
+    rows.push({
+      car,
+      keepalives: list.filter(r => r.msg.OPERATION === 'KEEPALIVE').length,
+      medianSec: sorted.length ? Math.round(sorted[Math.floor(sorted.length / 2)]) : null,
+      maxSec: sorted.length ? Math.round(sorted[sorted.length - 1]) : null,
+      gaps: gaps.filter(g => g.car === car).length,
+    });
+  }
+  return { rows, gaps };
+}
+
+function alarmRows(records) {
+  const seen = new Set();
+  const alarms = [];
+  for (const r of records.filter(x => incoming(x, 'EVEM', 'SENDALARMINFO'))) {
+    const alarm = parseAlarm(r.msg, r);
+    const key = alarm.uuid || `${alarm.session}:${alarm.cmdno}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    alarms.push({ ...alarm, at: r.at });
+  }
+  return [...groupBy(alarms, a => `${carOf(a)}|${a.type}`)].map(([key, list]) => ({
+    car: key.split('|')[0],
+    type: list[0].type,
+    name: list[0].name,
+    count: list.length,
+    first: iso(list[0].at),
+    last: iso(list[list.length - 1].at),
+  })).sort((a, b) => a.car.localeCompare(b.car) || b.count - a.count);
+}
+
+// MEDIATASKSTART -> MEDIATASKSTOP per session and STREAMNAME. A task without a STOP
+// ends at the car's next CONNECT (the device dropped) or its last message.
+function mediaRows(records) {
+  const rows = [];
+  const open = new Map();  // session|streamname -> row
+  const lastAt = new Map(); // car -> last message
+  const close = (row, at, how) => {
+    Object.assign(row, { stop: iso(at), durationSec: Math.round((at - Date.parse(row.start)) / 1000), ended: how });
+  };
+  for (const r of records) {
+    const car = carOf(r);
+    if (incoming(r, 'CERTIFICATE', 'CONNECT')) {
+      for (const [key, row] of open) {
+        if (row.car === car) {
+          close(row, lastAt.get(car) ?? r.at, 'reconnect');
+          open.delete(key);
+        }
+      }
+    } else if (incoming(r, 'MEDIASTREAMMODEL', 'MEDIATASKSTART')) {
+      const streamname = String(r.msg.PARAMETER?.STREAMNAME ?? '');
+      const row = { car, dsno: r.dsno, streamname, start: iso(r.at), stop: null, durationSec: null, ended: null };
+      open.set(`${r.session}|${streamname}`, row);
+      rows.push(row);
+    } else if (incoming(r, 'MEDIASTREAMMODEL', 'MEDIATASKSTOP')) {
+      const key = `${r.session}|${String(r.msg.PARAMETER?.STREAMNAME ?? '')}`;
+      const row = open.get(key);
+      if (row) {
+        close(row, r.at, 'MEDIATASKSTOP');
+        open.delete(key);
+      }
+    }
+    lastAt.set(car, r.at);
+  }
+  for (const row of open.values()) close(row, lastAt.get(row.car), 'end of log');
+  return rows;
+}
+
+function summaryRows(records, gapSec) {
+  const keepalive = keepaliveRows(records, gapSec).rows;
+  const alarms = alarmRows(records);
+  const media = mediaRows(records);
+  return [...groupBy(records, carOf)].map(([car, list]) => ({
+    car,
+    dsno: list.find(r => r.dsno)?.dsno || '',
+    days: new Set(list.map(r => iso(r.at).slice(0, 10))).size,
+    first: iso(list[0].at),
+    last: iso(list[list.length - 1].at),
+    connects: list.filter(r => incoming(r, 'CERTIFICATE', 'CONNECT')).length,
+    keepaliveGaps: keepalive.find(k => k.car === car)?.gaps ?? 0,
+    alarms: alarms.filter(a => a.car === car).reduce((n, a) => n + a.count, 0),
+    mediaTasks: media.filter(m => m.car === car).length,
+    mediaSec: media.filter(m => m.car === car).reduce((n, m) => n + (m.durationSec || 0), 0),
+  }));
+}
+
+// --- output ---
+function printTable(rows, { maxWidth = 80 } = {}) {
+  if (!rows.length) return console.log('(no matching records)');
+  const cols = Object.keys(rows[0]);
+  const cell = v => {
+    const s = v === null || v === undefined ? '' : String(v);
+    return s.length > maxWidth ? `${s.slice(0, maxWidth - 1)}…` : s;
+  };
+  const widths = cols.map(c => Math.max(c.length, ...rows.map(r => cell(r[c]).length)));
+  const line = values => values.map((v, i) => v.padEnd(widths[i])).join('  ').trimEnd();
+  console.log(line(cols));
+  console.log(line(widths.map(w => '-'.repeat(w))));
+  for (const r of rows) console.log(line(cols.map(c => cell(r[c]))));
+}
+
+// --- CLI ---
+const COMMANDS = ['list', 'connects', 'keepalive', 'alarms', 'media', 'summary'];
+
+function usage(problem) {
+  if (problem) console.error(`[LOGS] ${problem}`);
+  console.error(`usage: node n9m_logs.js <${COMMANDS.join('|')}> [logs/ | file ...] [--car X] [--dsno X] [--from D] [--to D] [--date D]`);
+  console.error('       [--module M] [--operation O] [--type T] [--dir in|out] [--gap sec] [--limit n] [--json]');
+  process.exit(2);
+}
+
+function main() {
+  let args;
+  try {
+    args = parseArgs({
+      allowPositionals: true,
+      options: {
+        car: { type: 'string' },
+        dsno: { type: 'string' },
+        from: { type: 'string' },
+        to: { type: 'string' },
+        date: { type: 'string' },
+        module: { type: 'string' },
+        operation: { type: 'string' },
+        type: { type: 'string' },
+        dir: { type: 'string' },
+        gap: { type: 'string', default: '90' },
+        limit: { type: 'string' },
+        json: { type: 'boolean', default: false },
+      },
+    });
+  } catch (err) {
+    usage(err.message);
+  }
+  const { values, positionals } = args;
+  const [command, ...inputs] = positionals;
+  if (!COMMANDS.includes(command)) usage();
+
+  let records;
+  try {
+    records = loadRecords(inputs.length ? inputs : [loadConfig().paths.logs], values);
+  } catch (err) {
+    console.error(`[LOGS] ${err.message}`);
+    process.exit(2);
+  }
+  const gapSec = Number(values.gap);
+
+  let rows;
+  let extra = null;
+  switch (command) {
+    case 'list': rows = listRows(records); break;
+    case 'connects': rows = connectRows(records); break;
+    case 'keepalive': ({ rows, gaps: extra } = keepaliveRows(records, gapSec)); break;
+    case 'alarms': rows = alarmRows(records); break;
+    case 'media': rows = mediaRows(records); break;
+    default: rows = summaryRows(records, gapSec);
+  }
+  if (values.limit) rows = rows.slice(-Number(values.limit));
+
+  if (values.json) {
+    console.log(JSON.stringify(extra ? { rows, gaps: extra } : rows, null, 2));
+    return;
+  }
+  printTable(rows, { maxWidth: command === 'list' ? 100 : 80 });
+  if (extra?.length) {
+    console.log(`\nGaps over ${gapSec}s:`);
+    printTable(extra);
+  }
+}
+
+if (require.main === module) main();
+
+module.exports = {
+  loadRecords,
+  listRows,
+  connectRows,
+  keepaliveRows,
+  alarmRows,
+  mediaRows,
+  summaryRows,
+};
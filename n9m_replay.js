@@ -0,0 +1,515 @@
+// Replay captured device traffic against a running server
+// CommonJS (node >=16)
+//
+// Captures:
+//   logs/signaling-<day>.ndjson[.gz]   packet log (packet_log.js); the device side ('in')
+//                              of each connection, keyed by its remote address, is sent;
+//                              the server side ('out') is what the replay should get back
+//   logs/<CARNUM>_<date>.log   older logPacket() lines: [<ts>] <decoded frame as JSON>
+//                              Re-encoded frame by frame. A CONNECT opens a new signaling
+//                              connection (the device reconnected), CREATESTREAM a media one;
+//                              PT=2/12 and MEDIATASKSTART/STOP go on the session's media socket.
+//   logs/tcp_<ts>_<ip>_<port>.hex   _streamax.js chunks, sent back byte for byte; one
+//                              connection per <ip>_<port>. UDP captures are skipped.
+//
+// Timing is the capture's, divided by --speed; --max-gap caps idle stretches
+// (field logs have hours between trips) and --fast sends everything at once.
+//
+// What the server sends back is decoded and kept per connection. Requests that
+// expect an answer (CONNECT, KEEPALIVE, CREATESTREAM, SENDALARMINFO) and got
+// none are reported. Responses are diffed against the ones recorded in a packet
+// log capture, or with --expect against a transcript that --save wrote earlier
+// (volatile keys like SO are ignored; --ignore adds more). .log and .hex
+// captures hold no server side, so they are only diffed with --expect.
+//
+// The packet log masks PASSWORD and VERIFYCODE. --auth <device_auth.json> puts
+// them back from the server's own policy file: LOGIN gets the device's
+// password, VERIFY a VERIFYCODE computed from the SO the server sends in this
+// run. Without it those handshakes go out masked, and a server that checks
+// passwords refuses them.
+//
+// Usage:
+//   node n9m_replay.js logs/X3-Cashbox_2025-10-29.log --speed 60 --max-gap 5
+//   node n9m_replay.js logs/ --fast --save baseline.json
+//   node n9m_replay.js logs/X3-Cashbox_2025-10-29.log --fast --expect baseline.json
+//   node n9m_replay.js logs/signaling-2025-10-29.1.ndjson.gz --speed 10 --auth device_auth.json
+// Exit code 1 when responses are missing or differ from what was expected.
+
+const net = require('node:net');
+const fs = require('node:fs');
+const path = require('node:path');
+const zlib = require('node:zlib');
+const { parseArgs } = require('node:util');
+const { N9MDecoder, PT, encodeFrame, decodeSignal, detectLayout } = require('./n9m_codec');
+const { normalize } = require('./n9m_dialect');
+const { md5Hex } = require('./device_auth');
+
+const ANSWERED = new Set(['CERTIFICATE.CONNECT', 'CERTIFICATE.KEEPALIVE', 'CERTIFICATE.CREATESTREAM', 'EVEM.SENDALARMINFO']);
+const MEDIA_OPS = new Set(['CREATESTREAM', 'MEDIATASKSTART', 'MEDIATASKSTOP']);
+const VOLATILE = ['SO'];
+const MASKED = '***'; // credentials as packet_log.js writes them
+const ANSWER_WAIT_MS = 2_000; // after the last frame, before closing
+
+// "2025-10-29T15-34-32-396Z" (ts() in the servers) -> epoch ms
+function parseStamp(s) {
+  const iso = String(s).replace(/T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/, 'T$1:$2:$3.$4Z');
+  const t = Date.parse(iso);
+  return Number.isNaN(t) ? null : t;
+}
+
+// --- capture loaders ---
+// All return { events: [{ at, conn, data, label, expects, credential }], conns: Map(id -> { id, kind, layout }),
+//              recorded: Map(id -> [msg]) } (server side; packet logs only)
+
+function frameBytes(packet) {
+  let payload = packet.payload;
+  if (payload && payload.type === 'Buffer' && Array.isArray(payload.data)) payload = Buffer.from(payload.data);
+  // older logs decoded the header MSB-first: byte 0 (0x08) shows up as csrcCount 8 with no CSRCs
+  const legacy = !packet.layout && (packet.csrcList || []).length < (packet.csrcCount || 0);
+  return encodeFrame({
+    payloadType: packet.payloadType,
+    ssrc: packet.ssrc,
+    payload: payload ?? Buffer.alloc(0),
+    marker: legacy ? 1 : packet.marker,
+    csrcList: packet.csrcList || [],
+    reserve: legacy ? 0 : packet.reserve,
+  }, packet.layout || 'n9m');
+}
+
+function loadLogCapture(file) {
+  const events = [];
+  const conns = new Map();
+  const signaling = new Map(); // SESSION -> conn id
+  const media = new Map();     // SESSION -> conn id
+  let lastSession = '';
+  const name = path.basename(file, '.log');
+  const open = (kind, layout) => {
+    const id = `${name}#${conns.size + 1}`;
+    conns.set(id, { id, kind, layout });
+    return id;
+  };
+
+  for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+    const m = /^\[([^\]]+)\] (.*)$/.exec(line);
+    if (!m) continue;
+    let packet;
+    try {
+      packet = JSON.parse(m[2]);
+    } catch {
+      continue;
+    }
+    const at = parseStamp(m[1]);
+    if (at === null) continue;
+    const layout = packet.layout || 'n9m';
+    const isSignal = packet.payloadType === PT.SIGNAL || packet.payloadType === PT.META;
+    const msg = isSignal ? normalize(packet.payload) : null;
+    const session = msg?.SESSION || lastSession;
+    lastSession = session;
+    const op = msg ? `${msg.MODULE}.${msg.OPERATION}` : `PT=${packet.payloadType}`;
+
+    let conn;
+    if (msg?.OPERATION === 'CONNECT' && msg.MODULE === 'CERTIFICATE') {
+      conn = open('signaling', layout);
+      signaling.set(session, conn);
+    } else if (msg?.OPERATION === 'CREATESTREAM') {
+      conn = open('media', layout);
+      media.set(session, conn);
+    } else if (!msg || MEDIA_OPS.has(msg.OPERATION)) {
+      conn = media.get(session) || signaling.get(session);
+    } else {
+      conn = signaling.get(session);
+    }
+    if (!conn) {
+      // capture starts mid-session
+      conn = open('signaling', layout);
+      signaling.set(session, conn);
+    }
+    events.push({ at, conn, data: frameBytes(packet), label: op, expects: !!msg && !msg.RESPONSE && ANSWERED.has(op) });
+  }
+  return { events, conns, recorded: new Map() };
+}
+
+// key names of a masked credential in a raw payload (any dialect casing)
+function maskedKeys(value, found = []) {
+  if (value && typeof value === 'object') {
+    for (const [k, v] of Object.entries(value)) {
+      if (v === MASKED && ['PASSWORD', 'VERIFYCODE'].includes(k.toUpperCase())) found.push(k);
+      else maskedKeys(v, found);
+    }
+  }
+  return found;
+}
+
+// signaling-<day>.ndjson[.gz]: one connection per remote address; 'in' records are
+// sent, 'out' records are the responses the server gave at the time
+function loadNdjsonCapture(file) {
+  const events = [];
+  const conns = new Map();
+  const recorded = new Map();
+  const dsnos = new Map(); // conn id -> DSNO from its CONNECT
+  let text = fs.readFileSync(file);
+  if (file.endsWith('.gz')) text = zlib.gunzipSync(text);
+  for (const line of text.toString('utf8').split('\n')) {
+    let rec;
+    try {
+      rec = JSON.parse(line);
+    } catch {
+      continue;
+    }
+    if (rec.stream !== 'signaling' || !rec.payload || typeof rec.payload !== 'object') continue;
+    const at = Date.parse(rec.ts);
+    if (Number.isNaN(at)) continue;
+    const id = rec.remote || rec.session || 'unknown';
+    if (!conns.has(id)) {
+      conns.set(id, { id, kind: 'signaling', layout: rec.layout });
+      recorded.set(id, []);
+    }
+    const msg = normalize(rec.payload);
+    if (rec.dir === 'out') {
+      recorded.get(id).push(msg);
+      continue;
+    }
+    const op = `${msg.MODULE}.${msg.OPERATION}`;
+    if (op === 'CERTIFICATE.CONNECT' && msg.PARAMETER?.DSNO) dsnos.set(id, String(msg.PARAMETER.DSNO));
+    const data = encodeFrame({ payloadType: rec.pt, ssrc: rec.ssrc, payload: rec.payload }, rec.layout || 'n9m');
+    const keys = maskedKeys(rec.payload);
+    const credential = keys.length
+      ? { keys, operation: msg.OPERATION, dsno: rec.dsno || dsnos.get(id) || msg.PARAMETER?.DSNO || '', record: rec }
+      : null;
+    events.push({ at, conn: id, data, label: op, expects: !msg.RESPONSE && ANSWERED.has(op), credential });
+  }
+  return { events, conns, recorded };
+}
+
+// tcp_<ts>_<ip>_<port>.hex, one file per received chunk
+function loadHexCapture(files) {
+  const events = [];
+  const conns = new Map();
+  for (const file of files) {
+    const m = /^(tcp|udp)_(\d{4}-\d{2}-\d{2}T[\d-]+Z)_(.+)_(\d+)\.hex$/.exec(path.basename(file));
+    if (!m || m[1] !== 'tcp') continue;
+    const at = parseStamp(m[2]);
+    const id = `${m[3]}_${m[4]}`;
+    if (!conns.has(id)) conns.set(id, { id, kind: 'raw', layout: null });
+    const hex = fs.readFileSync(file, 'utf8').replace(/\s+/g, '');
+    events.push({ at, conn: id, data: Buffer.from(hex, 'hex'), label: 'chunk', expects: false });
+  }
+  events.sort((a, b) => a.at - b.at);
+
+  // label the chunks with the requests they carry, so missing answers can be reported
+  const decoders = new Map();
+  for (const ev of events) {
+    const c = conns.get(ev.conn);
+    if (!c.layout) c.layout = detectLayout(ev.data);
+    if (!decoders.has(ev.conn)) decoders.set(ev.conn, new N9MDecoder({ layout: 'auto' }));
+    let frames = [];
+    try {
+      frames = decoders.get(ev.conn).push(ev.data);
+    } catch (err) {
+      frames = err.frames || [];
+      decoders.delete(ev.conn);
+    }
+    const ops = frames.filter(f => f.payloadType === PT.SIGNAL).map(f => normalize(decodeSignal(f.payload)))
+      .filter(msg => msg && typeof msg === 'object');
+    if (ops.length) {
+      ev.label = ops.map(msg => `${msg.MODULE}.${msg.OPERATION}`).join(',');
+      ev.expects = ops.some(msg => !msg.RESPONSE && ANSWERED.has(`${msg.MODULE}.${msg.OPERATION}`));
+    }
+  }
+  return { events, conns, recorded: new Map() };
+}
+
+function loadCapture(inputs) {
+  const logs = [];
+  const ndjson = [];
+  const hex = [];
+  for (const input of inputs) {
+    const st = fs.statSync(input);
+    const files = st.isDirectory() ? fs.readdirSync(input).sort().map(f => path.join(input, f)) : [input];
+    for (const f of files) {
+      if (f.endsWith('.log')) logs.push(f);
+      else if (/\.ndjson(\.gz)?$/.test(f) && !/^(alarms|media)-/.test(path.basename(f))) ndjson.push(f);
+      else if (f.endsWith('.hex')) hex.push(f);
+    }
+  }
+  const parts = [...logs.map(loadLogCapture), ...ndjson.map(loadNdjsonCapture), ...(hex.length ? [loadHexCapture(hex)] : [])];
+  const events = parts.flatMap(p => p.events).sort((a, b) => a.at - b.at);
+  const conns = new Map(parts.flatMap(p => [...p.conns]));
+  const recorded = new Map(parts.flatMap(p => [...p.recorded]));
+  return { events, conns, recorded };
+}
+
+// device_auth.json -> dsno -> { password, user }
+function loadCredentials(file) {
+  const policy = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return new Map(Object.entries(policy.devices || {}).filter(([, d]) => d.password).map(([dsno, d]) => [dsno, d]));
+}
+
+// The recorded VERIFY/LOGIN with the masked values filled in; null when the device
+// has no known password, or VERIFY has no SO to answer yet
+function unmask(credential, credentials, so) {
+  const device = credentials.get(String(credential.dsno));
+  if (!device) return null;
+  let value = device.password;
+  if (credential.operation === 'VERIFY') {
+    if (so === undefined) return null;
+    value = md5Hex(so + device.password);
+  }
+  const fill = v => (Array.isArray(v) ? v.map(fill) : v && typeof v === 'object'
+    ? Object.fromEntries(Object.entries(v).map(([k, x]) => [k, credential.keys.includes(k) && x === MASKED ? value : fill(x)]))
+    : v);
+  const rec = credential.record;
+  return encodeFrame({ payloadType: rec.pt, ssrc: rec.ssrc, payload: fill(rec.payload) }, rec.layout || 'n9m');
+}
+
+// --- replay ---
+function replay({ events, conns }, { host = '127.0.0.1', port = 5556, speed = 1, maxGapMs = null, fast = false, credentials = null } = {}) {
+  const sockets = new Map(); // conn id -> { socket, decoder, responses, pending }
+  const lastEvent = new Map();
+  events.forEach((ev, i) => lastEvent.set(ev.conn, i));
+  const result = { sent: 0, bytes: 0, connections: 0, responses: new Map(), unanswered: [], masked: 0 };
+
+  const openConn = (id) => {
+    const socket = net.connect(port, host);
+    const state = { socket, decoder: new N9MDecoder({ layout: conns.get(id)?.layout || 'auto' }), pending: [] };
+    result.responses.set(id, []);
+    result.connections++;
+    socket.on('data', (chunk) => {
+      let frames = [];
+      try {
+        frames = state.decoder.push(chunk);
+      } catch (err) {
+        frames = err.frames || [];
+      }
+      for (const f of frames) {
+        if (f.payloadType !== PT.SIGNAL) continue;
+        const msg = normalize(decodeSignal(f.payload));
+        if (!msg || typeof msg !== 'object') continue;
+        result.responses.get(id).push(msg);
+        const op = `${msg.MODULE}.${msg.OPERATION}`;
+        if (op === 'CERTIFICATE.CONNECT' && msg.RESPONSE?.SO !== undefined) state.so = String(msg.RESPONSE.SO);
+        const i = state.pending.findIndex(p => p.label.split(',').includes(op));
+        if (i >= 0) state.pending.splice(i, 1);
+      }
+    });
+    socket.on('error', (err) => console.error(`[REPLAY] ${id}: ${err.message}`));
+    sockets.set(id, state);
+    return state;
+  };
+
+  const pendingElsewhere = id => [...sockets].some(([other, s]) => other !== id && s.pending.length);
+
+  return new Promise((resolve) => {
+    let i = 0;
+    let due = 0;           // replay time of events[i], ms since start
+    let heldSince = null;  // --fast: when events[i] started waiting for earlier answers
+    const start = Date.now();
+    const step = () => {
+      if (i >= events.length) return setTimeout(finish, ANSWER_WAIT_MS);
+      const ev = events[i];
+      const wait = start + due - Date.now();
+      if (wait > 0) return setTimeout(step, wait);
+      // --fast: let earlier connections get their answers before the device "reconnects",
+      // or the server closes them as replaced sessions first
+      if (fast && !sockets.has(ev.conn) && pendingElsewhere(ev.conn)) {
+        heldSince ??= Date.now();
+        if (Date.now() - heldSince < ANSWER_WAIT_MS) return setTimeout(step, 10);
+      }
+
+      const state = sockets.get(ev.conn) || openConn(ev.conn);
+      let data = ev.data;
+      if (ev.credential && credentials) {
+        // VERIFY answers the SO of this run's CONNECT: wait for it
+        data = unmask(ev.credential, credentials, state.so);
+        if (!data && ev.credential.operation === 'VERIFY' && state.so === undefined) {
+          heldSince ??= Date.now();
+          if (Date.now() - heldSince < ANSWER_WAIT_MS) return setTimeout(step, 10);
+        }
+        data = data || ev.data;
+      }
+      heldSince = null;
+      if (data === ev.data && ev.credential) result.masked++;
+      state.socket.write(data);
+      if (ev.expects) state.pending.push(ev);
+      result.sent++;
+      result.bytes += data.length;
+      // the capture moved on from this connection (device reconnected): close it once answered
+      if (lastEvent.get(ev.conn) === i) setTimeout(() => state.socket.end(), ANSWER_WAIT_MS);
+      i++;
+      if (i < events.length && !fast) {
+        let gap = (events[i].at - ev.at) / speed;
+        if (maxGapMs !== null) gap = Math.min(gap, maxGapMs);
+        due += Math.max(0, gap);
+      }
+      setImmediate(step);
+    };
+    const finish = () => {
+      for (const [id, state] of sockets) {
+        for (const ev of state.pending) result.unanswered.push({ conn: id, at: new Date(ev.at).toISOString(), request: ev.label });
+        state.socket.destroy();
+      }
+      result.durationMs = Date.now() - start;
+      resolve(result);
+    };
+    step();
+  });
+}
+
+// --- transcripts and diff ---
+function strip(value, ignore) {
+  if (Array.isArray(value)) return value.map(v => strip(v, ignore));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().filter(k => !ignore.includes(k)).map(k => [k, strip(value[k], ignore)]));
+  }
+  return value;
+}
+
+function transcript(result, ignore = VOLATILE) {
+  return Object.fromEntries([...result.responses].map(([id, msgs]) => [id, msgs.map(m => JSON.stringify(strip(m, ignore)))]));
+}
+
+// Line diff of two response lists (LCS); returns ['  same', '- expected', '+ actual', ...]
+function diffLines(expected, actual) {
+  const n = expected.length;
+  const m = actual.length;
+  const lcs = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+  for (let a = n - 1; a >= 0; a--) {
+    for (let b = m - 1; b >= 0; b--) {
+      lcs[a][b] = expected[a] === actual[b] ? lcs[a + 1][b + 1] + 1 : Math.max(lcs[a + 1][b], lcs[a][b + 1]);
+    }
+  }
+  const out = [];
+  let a = 0;
+  let b = 0;
+  while (a < n || b < m) {
+    if (a < n && b < m && expected[a] === actual[b]) {
+      out.push(`  ${expected[a++]}`);
+      b++;
+    } else if (b < m && (a >= n || lcs[a][b + 1] >= lcs[a + 1][b])) {
+      out.push(`+ ${actual[b++]}`);
+    } else {
+      out.push(`- ${expected[a++]}`);
+    }
+  }
+  return out;
+}
+
+function pick(obj, keys) {
+  return Object.fromEntries(keys.filter(k => k in obj).map(k => [k, obj[k]]));
+}
+
+function diffTranscripts(expected, actual) {
+  const diffs = {};
+  for (const id of new Set([...Object.keys(expected), ...Object.keys(actual)])) {
+    const lines = diffLines(expected[id] || [], actual[id] || []);
+    if (lines.some(l => !l.startsWith('  '))) diffs[id] = lines;
+  }
+  return diffs;
+}
+
+// --- CLI ---
+function usage(problem) {
+  if (problem) console.error(`[REPLAY] ${problem}`);
+  console.error('usage: node n9m_replay.js <capture.log | dir | *.hex ...> [--host H] [--port P] [--speed 10 | --fast] [--max-gap 5]');
+  console.error('       [--auth device_auth.json] [--save out.json] [--expect out.json] [--ignore KEY,...]');
+  process.exit(2);
+}
+
+async function main() {
+  let args;
+  try {
+    args = parseArgs({
+      allowPositionals: true,
+      options: {
+        host: { type: 'string', default: '127.0.0.1' },
+        port: { type: 'string', default: '5556' },
+        speed: { type: 'string', default: '1' },
+        'max-gap': { type: 'string' },
+        fast: { type: 'boolean', default: false },
+        save: { type: 'string' },
+        expect: { type: 'string' },
+        ignore: { type: 'string', default: '' },
+        auth: { type: 'string' },
+      },
+    });
+  } catch (err) {
+    usage(err.message);
+  }
+  const { values, positionals } = args;
+  if (!positionals.length) usage();
+
+  const capture = loadCapture(positionals);
+  let credentials = null;
+  if (values.auth) {
+    try {
+      credentials = loadCredentials(values.auth);
+    } catch (err) {
+      usage(`${values.auth}: ${err.message}`);
+    }
+  }
+  if (!capture.events.length) {
+    console.error('[REPLAY] nothing to replay');
+    process.exit(2);
+  }
+  const span = (capture.events[capture.events.length - 1].at - capture.events[0].at) / 1000;
+  console.log(`[REPLAY] ${capture.events.length} frames/chunks on ${capture.conns.size} connection(s), ${Math.round(span)}s of capture -> ${values.host}:${values.port}`);
+
+  const result = await replay(capture, {
+    host: values.host,
+    port: Number(values.port),
+    speed: Number(values.speed) || 1,
+    maxGapMs: values['max-gap'] !== undefined ? Number(values['max-gap']) * 1000 : null,
+    fast: values.fast,
+    credentials,
+  });
+  const ignore = [...VOLATILE, ...values.ignore.split(',').filter(Boolean)];
+  const actual = transcript(result, ignore);
+  const received = Object.values(actual).reduce((n, l) => n + l.length, 0);
+  console.log(`[REPLAY] sent ${result.sent} (${result.bytes} bytes) over ${result.connections} connection(s) in ${(result.durationMs / 1000).toFixed(1)}s, ${received} response(s)`);
+
+  if (result.masked) {
+    console.log(`⚠️ [REPLAY] ${result.masked} VERIFY/LOGIN sent with masked credentials${values.auth ? ' (device not in ' + values.auth + ')' : '; pass --auth'}`);
+  }
+
+  let failed = false;
+  for (const u of result.unanswered) {
+    console.log(`⚠️ [REPLAY] ${u.conn} no answer to ${u.request} (captured ${u.at})`);
+    failed = true;
+  }
+  if (values.save) {
+    fs.writeFileSync(values.save, JSON.stringify(actual, null, 2));
+    console.log(`[REPLAY] transcript -> ${values.save}`);
+  }
+  // --expect, or else what the server answered when the capture was recorded
+  let expected = null;
+  let source = values.expect;
+  if (values.expect) {
+    expected = JSON.parse(fs.readFileSync(values.expect, 'utf8'));
+  } else if (capture.recorded.size) {
+    expected = transcript({ responses: capture.recorded }, ignore);
+    source = 'the recorded responses';
+  }
+  if (expected) {
+    const diffs = diffTranscripts(expected, values.expect ? actual : pick(actual, Object.keys(expected)));
+    for (const [id, lines] of Object.entries(diffs)) {
+      console.log(`--- ${id}`);
+      for (const line of lines) console.log(line);
+      failed = true;
+    }
+    if (!Object.keys(diffs).length) console.log(`[REPLAY] responses match ${source}`);
+  }
+  process.exit(failed ? 1 : 0);
+}
+
+if (require.main === module) main();
+
+module.exports = {
+  loadLogCapture,
+  loadNdjsonCapture,
+  loadHexCapture,
+  loadCapture,
+  replay,
+  transcript,
+  diffTranscripts,
+  parseStamp,
+};
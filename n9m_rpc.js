@@ -0,0 +1,165 @@
+// Request/response correlation for commands the server sends to a device
+// CommonJS (node >=16)
+//
+// N9M has no request id: a device answers a command with the same MODULE and
+// OPERATION, a RESPONSE block and the SESSION it was sent on. call() keys each
+// outstanding command by SESSION/MODULE/OPERATION and resolves with the
+// RESPONSE. Calls sharing a key are answered in order, except that a RESPONSE
+// carrying STREAMNAME goes to the call that asked for that stream.
+//
+//   const rpc = new SignalRpc({ send: (session, json) => ... });  // false = not connected
+//   const response = await rpc.call(session, { MODULE, OPERATION, PARAMETER }, { timeoutMs, retries });
+//   rpc.answer(session, msg)          every incoming message that has a RESPONSE
+//   rpc.sessionClosed(session)        rejects whatever is still waiting on it
+//
+// A command without an answer after timeoutMs is sent again, up to `retries`
+// more times. Failures are errors with err.code:
+//   N9M_OFFLINE   no signaling session, or it closed before the answer
+//   N9M_TIMEOUT   no answer after every attempt
+//   N9M_ERROR     the device answered ERRORCODE != 0; err.errorCode, err.errorCause, err.response
+// STREAMTYPE -1 in a REQUESTALIVEVIDEO answer is not a failure: devices send
+// it together with ERRORCODE 0 and go on to start the media task.
+//
+// Emits:
+//   'settled' (result)  { session, module, operation, attempts, ms, ok, code }
+
+const { EventEmitter } = require('node:events');
+
+const DEFAULTS = {
+  timeoutMs: 10_000,  // per attempt
+  retries: 1,         // extra attempts after a timeout
+};
+
+function rpcError(code, message, fields = {}) {
+  const err = new Error(message);
+  err.code = code;
+  return Object.assign(err, fields);
+}
+
+class SignalRpc extends EventEmitter {
+  // send(session, json) writes to the session's socket; false when it is gone
+  constructor({ send, ...opts } = {}) {
+    super();
+    this.send = send;
+    this.opts = { ...DEFAULTS, ...opts };
+    this.pending = new Map(); // "<session>/<MODULE>/<OPERATION>" -> [call], oldest first
+  }
+
+  key(session, module, operation) {
+    return `${session}/${module}/${operation}`;
+  }
+
+  call(session, json, { timeoutMs = this.opts.timeoutMs, retries = this.opts.retries } = {}) {
+    return new Promise((resolve, reject) => {
+      const c = {
+        key: this.key(session, json.MODULE, json.OPERATION),
+        session,
+        module: json.MODULE,
+        operation: json.OPERATION,
+        streamname: json.PARAMETER?.STREAMNAME,
+        json,
+        attempts: 0,
+        retries,
+        timeoutMs,
+        startedAt: Date.now(),
+        timer: null,
+        resolve,
+        reject,
+      };
+      if (!this.pending.has(c.key)) this.pending.set(c.key, []);
+      this.pending.get(c.key).push(c);
+      this.attempt(c);
+    });
+  }
+
+  attempt(c) {
+    c.attempts++;
+    if (!this.send(c.session, c.json)) {
+      this.settle(c, rpcError('N9M_OFFLINE', `Session ${c.session} is not connected (${c.module}.${c.operation})`));
+      return;
+    }
+    c.timer = setTimeout(() => {
+      if (c.attempts <= c.retries) {
+        console.log(`[RPC] ${c.module}.${c.operation} unanswered after ${c.timeoutMs} ms, sending again (${c.attempts + 1}/${c.retries + 1})`);
+        this.attempt(c);
+      } else {
+        this.settle(c, rpcError('N9M_TIMEOUT', `No answer to ${c.module}.${c.operation} after ${c.attempts} attempt(s)`));
+      }
+    }, c.timeoutMs);
+    c.timer.unref();
+  }
+
+  // Hands a RESPONSE to the call waiting for it; returns that call, or null
+  answer(session, msg) {
+    if (!msg?.RESPONSE) return null;
+    const list = this.pending.get(this.key(session, msg.MODULE, msg.OPERATION));
+    if (!list?.length) return null;
+
+    const r = msg.RESPONSE;
+    const named = list.filter(c => c.streamname !== undefined);
+    const c = r.STREAMNAME !== undefined && named.length
+      ? named.find(p => String(p.streamname) === String(r.STREAMNAME))
+      : list[0];
+    if (!c) return null; // answer to a call that already gave up
+
+    const code = Number(r.ERRORCODE ?? 0);
+    const err = code !== 0
+      ? rpcError('N9M_ERROR', `${c.module}.${c.operation} failed: ${r.ERRORCODE} ${r.ERRORCAUSE || ''}`.trim(), {
+        errorCode: Number.isFinite(code) ? code : r.ERRORCODE,
+        errorCause: r.ERRORCAUSE || '',
+        response: r,
+      })
+      : null;
+    this.settle(c, err, r);
+    return c;
+  }
+
+  settle(c, err, response = null) {
+    clearTimeout(c.timer);
+    const list = this.pending.get(c.key) || [];
+    const i = list.indexOf(c);
+    if (i < 0) return; // already settled
+    list.splice(i, 1);
+    if (!list.length) this.pending.delete(c.key);
+
+    this.emit('settled', {
+      session: c.session,
+      module: c.module,
+      operation: c.operation,
+      attempts: c.attempts,
+      ms: Date.now() - c.startedAt,
+      ok: !err,
+      code: err ? err.code : null,
+    });
+    if (err) c.reject(err);
+    else c.resolve(response);
+  }
+
+  sessionClosed(session, reason = 'connection closed') {
+    for (const list of [...this.pending.values()]) {
+      for (const c of [...list]) {
+        if (c.session === session) this.settle(c, rpcError('N9M_OFFLINE', `${c.module}.${c.operation} not answered: ${reason}`));
+      }
+    }
+  }
+
+  list(now = Date.now()) {
+    return [...this.pending.values()].flat().map(c => ({
+      session: c.session,
+      module: c.module,
+      operation: c.operation,
+      streamname: c.streamname ?? null,
+      attempts: c.attempts,
+      ageMs: now - c.startedAt,
+    }));
+  }
+
+  close() {
+    for (const list of this.pending.values()) list.forEach(c => clearTimeout(c.timer));
+  }
+}
+
+module.exports = {
+  SignalRpc,
+  rpcError,
+};
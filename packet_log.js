@@ -0,0 +1,245 @@
+// Structured packet logging: NDJSON records, async writes, rotation
+// CommonJS (node >=16)
+//
+// Three streams, one file set each under `dir`:
+//   signaling  SIGNAL/META messages in and out       signaling-<day>.ndjson
+//   alarms     parsed EVEM alarms                    alarms-<day>.ndjson
+//   media      per-task stats every few seconds;     media-<day>.ndjson
+//              single frames at debug level
+// A PacketLog owns the files in its `dir` (it rotates and recovers them), so
+// two processes must not share one: video_server.js logs to logs/video_server/.
+//
+// Every record is one JSON line:
+//   { ts, level, stream, module, operation, dir, session, dsno, carnum, remote, ... }
+// Signaling records carry pt/ssrc/layout and the payload as received (so
+// n9m_replay.js can re-send it), except that credentials (PASSWORD,
+// VERIFYCODE, any key case) are masked as '***'. Replayed as is, LOGIN and
+// VERIFY then fail against a server with passwords in its device_auth.json;
+// n9m_replay.js --auth fills them back in from that file. Video and audio
+// payloads are never written, only { size, sha1 }.
+//
+// Levels are debug < info < warn < error. `level` is the default threshold,
+// `modules` overrides it per MODULE or MODULE.OPERATION (most specific wins):
+//   { level: 'info', modules: { 'CERTIFICATE.KEEPALIVE': 'warn', MEDIA: 'debug' } }
+//
+// Lines go through a WriteStream, never a sync write. The active file is
+// rotated when it passes maxBytes or the UTC day changes; the finished part
+// is renamed and gzipped in the background:
+//   signaling-2025-10-29.ndjson -> signaling-2025-10-29.1.ndjson.gz
+// A stream that can't keep up drops lines past maxBufferBytes and counts them.
+
+const fs = require('node:fs');
+const path = require('node:path');
+const crypto = require('node:crypto');
+const zlib = require('node:zlib');
+const { pipeline } = require('node:stream');
+const { PT } = require('./n9m_codec');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const STREAMS = ['signaling', 'alarms', 'media'];
+const SECRETS = new Set(['PASSWORD', 'VERIFYCODE']); // CERTIFICATE LOGIN / VERIFY
+
+const DEFAULTS = {
+  level: 'info',
+  modules: {},
+  maxBytes: 64 * 1024 * 1024,
+  maxBufferBytes: 8 * 1024 * 1024,
+};
+
+function dayOf(t = Date.now()) {
+  return new Date(t).toISOString().slice(0, 10);
+}
+
+function levelValue(name) {
+  const v = LEVELS[name];
+  if (v === undefined) throw new Error(`Unknown log level "${name}"`);
+  return v;
+}
+
+// Copy of a SIGNAL payload with credentials masked
+function redact(value) {
+  if (Array.isArray(value)) return value.map(redact);
+  if (!value || typeof value !== 'object' || Buffer.isBuffer(value)) return value;
+  return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, SECRETS.has(k.toUpperCase()) ? '***' : redact(v)]));
+}
+
+// --- one rotating NDJSON file set ---
+class RotatingFile {
+  constructor({ dir, name, maxBytes, maxBufferBytes }) {
+    Object.assign(this, { dir, name, maxBytes, maxBufferBytes });
+    this.stream = null;
+    this.day = null;
+    this.size = 0;
+    this.dropped = 0;
+    this.lines = 0;
+    this.compressing = new Set();
+    fs.mkdirSync(dir, { recursive: true });
+    this.recover();
+  }
+
+  file(day) {
+    return path.join(this.dir, `${this.name}-${day}.ndjson`);
+  }
+
+  // Active files of earlier days and parts a crash left uncompressed
+  recover() {
+    const today = dayOf();
+    const active = new RegExp(`^${this.name}-(\\d{4}-\\d{2}-\\d{2})\\.ndjson$`);
+    const part = new RegExp(`^${this.name}-\\d{4}-\\d{2}-\\d{2}\\.\\d+\\.ndjson$`);
+    for (const f of fs.readdirSync(this.dir)) {
+      const m = active.exec(f);
+      if (m && m[1] !== today) this.compress(this.retire(m[1]));
+      else if (part.test(f)) this.compress(path.join(this.dir, f));
+    }
+  }
+
+  open() {
+    this.day = dayOf();
+    const file = this.file(this.day);
+    // opened here (not lazily by the stream) so the file exists for the next rotate();
+    // restarted during the day: keep appending
+    const fd = fs.openSync(file, 'a');
+    this.size = fs.fstatSync(fd).size;
+    this.stream = fs.createWriteStream(file, { fd });
+    this.stream.on('error', (err) => console.error(`[LOG] ${file}:`, err.message));
+  }
+
+  // Moves the active file of `day` to its next part number; returns the new path
+  retire(day) {
+    const prefix = `${this.name}-${day}.`;
+    const parts = fs.readdirSync(this.dir)
+      .filter(f => f.startsWith(prefix))
+      .map(f => Number(f.slice(prefix.length).split('.')[0]))
+      .filter(Number.isInteger);
+    const part = path.join(this.dir, `${prefix}${Math.max(0, ...parts) + 1}.ndjson`);
+    fs.renameSync(this.file(day), part);
+    return part;
+  }
+
+  rotate() {
+    const old = this.stream;
+    // renaming under an open descriptor is fine; the old stream finishes into the part
+    const part = this.size > 0 ? this.retire(this.day) : null;
+    this.open();
+    old.end(() => part && this.compress(part));
+  }
+
+  compress(file) {
+    if (this.compressing.has(file)) return;
+    this.compressing.add(file);
+    pipeline(fs.createReadStream(file), zlib.createGzip(), fs.createWriteStream(`${file}.gz`), (err) => {
+      this.compressing.delete(file);
+      if (err) return console.error(`[LOG] compress ${file} failed:`, err.message);
+      fs.unlink(file, () => {});
+    });
+  }
+
+  write(line) {
+    const bytes = Buffer.byteLength(line);
+    if (!this.stream) this.open();
+    else if (this.day !== dayOf() || (this.size > 0 && this.size + bytes > this.maxBytes)) this.rotate();
+    if (this.stream.writableLength > this.maxBufferBytes) {
+      this.dropped++;
+      return false;
+    }
+    this.stream.write(line);
+    this.size += bytes;
+    this.lines++;
+    return true;
+  }
+
+  close() {
+    return new Promise((resolve) => {
+      if (!this.stream) return resolve();
+      this.stream.end(resolve);
+      this.stream = null;
+    });
+  }
+}
+
+// --- the logger ---
+class PacketLog {
+  constructor({ dir, ...opts } = {}) {
+    this.opts = { ...DEFAULTS, ...opts };
+    this.threshold = levelValue(this.opts.level);
+    this.modules = Object.fromEntries(Object.entries(this.opts.modules).map(([k, v]) => [k.toUpperCase(), levelValue(v)]));
+    this.streams = Object.fromEntries(STREAMS.map(name => [name, new RotatingFile({
+      dir,
+      name,
+      maxBytes: this.opts.maxBytes,
+      maxBufferBytes: this.opts.maxBufferBytes,
+    })]));
+  }
+
+  enabled(level, module, operation) {
+    const min = this.modules[`${module}.${operation}`] ?? this.modules[module] ?? this.threshold;
+    return levelValue(level) >= min;
+  }
+
+  write(stream, level, record) {
+    if (!this.enabled(level, record.module, record.operation)) return false;
+    return this.streams[stream].write(JSON.stringify({ ts: new Date().toISOString(), level, stream, ...record }) + '\n');
+  }
+
+  // One decoded frame. `msg` is the canonical form of a SIGNAL payload (see n9m_dialect);
+  // device is the registry entry or { session }.
+  packet({ packet, msg = null, device = {}, remote = null, dir = 'in' }) {
+    const who = { session: device.session || msg?.SESSION || '', dsno: device.dsno || '', carnum: device.carnum || '', remote };
+    const frame = { pt: packet.payloadType, ssrc: packet.ssrc, layout: packet.layout || 'n9m' };
+
+    if (packet.payloadType === PT.SIGNAL || packet.payloadType === PT.META) {
+      const body = msg || packet.payload || {};
+      const code = Number(body.RESPONSE?.ERRORCODE ?? 0);
+      return this.write('signaling', code ? 'warn' : 'info', {
+        module: body.MODULE || null,
+        operation: body.OPERATION || null,
+        dir,
+        ...who,
+        ...frame,
+        payload: redact(packet.payload),
+      });
+    }
+
+    const operation = packet.payloadType === PT.H264 ? 'H264' : packet.payloadType === PT.AUDIO ? 'AUDIO' : `PT${packet.payloadType}`;
+    if (!this.enabled('debug', 'MEDIA', operation)) return false; // skip the hash
+    const payload = packet.payload || Buffer.alloc(0);
+    return this.write('media', 'debug', {
+      module: 'MEDIA',
+      operation,
+      dir,
+      ...who,
+      ...frame,
+      size: payload.length,
+      sha1: crypto.createHash('sha1').update(payload).digest('hex'),
+    });
+  }
+
+  // Record from AlarmCenter
+  alarm(record) {
+    return this.write('alarms', 'warn', { module: 'EVEM', operation: 'SENDALARMINFO', dir: 'in', ...record });
+  }
+
+  // DeviceRegistry.listMediaTasks() snapshot
+  mediaStats(tasks) {
+    for (const task of tasks) this.write('media', 'info', { module: 'MEDIA', operation: 'STATS', ...task });
+  }
+
+  stats() {
+    return Object.fromEntries(Object.entries(this.streams).map(([name, s]) => [name, {
+      file: s.stream ? s.file(s.day) : null,
+      bytes: s.size,
+      lines: s.lines,
+      dropped: s.dropped,
+    }]));
+  }
+
+  close() {
+    return Promise.all(Object.values(this.streams).map(s => s.close()));
+  }
+}
+
+module.exports = {
+  PacketLog,
+  LEVELS,
+  STREAMS,
+};
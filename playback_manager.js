@@ -0,0 +1,289 @@
+// Remote playback of recordings stored on the MDVR
+// CommonJS (node >=16)
+//
+// query()   STORM/QUERYFILELIST: recorded files by channel and time range
+// start()   MEDIASTREAMMODEL/REQUESTREMOTEPLAYBACK; the device then opens a
+//           media socket and announces MEDIATASKSTART with our STREAMNAME,
+//           exactly like live video
+// control() pause / resume / seek / speed via CONTROLREMOTEPLAYBACK
+//
+// Commands go through call(dsno, json, opts), which resolves with the device's
+// RESPONSE (n9m_rpc.js); query(), start() and control() reject with its
+// N9M_OFFLINE / N9M_TIMEOUT / N9M_ERROR errors.
+//
+// A playback session is addressed like a device named "pb-<n>": its media goes
+// to WS room n9m:pb-<n>:ch<c> and /hls/pb-<n>/<c>/index.m3u8. Sessions end on
+// stop(), when the device finishes (MEDIATASKSTOP), or once nobody has watched
+// for graceMs.
+//
+// Emits:
+//   'state' (session)  after every state change
+
+const { EventEmitter } = require('node:events');
+const { channelsToMask } = require('./n9m_codec');
+const { formatDeviceTime, parseDeviceTime } = require('./n9m_gps');
+const { rpcError } = require('./n9m_rpc');
+
+const DEFAULTS = {
+  mediaAddress: '',          // IPANDPORT the device streams to, or dsno => address
+  queryTimeoutMs: 15_000,    // QUERYFILELIST -> RESPONSE, per attempt
+  requestTimeoutMs: 20_000,  // REQUESTREMOTEPLAYBACK -> MEDIATASKSTART
+  graceMs: 30_000,           // stop after this long without viewers
+};
+
+// CONTROLREMOTEPLAYBACK CMD values
+const CONTROL_CMD = {
+  resume: 0,
+  pause: 1,
+  speed: 2,
+  seek: 3,
+  stop: 4,
+};
+
+const SPEEDS = [0.25, 0.5, 1, 2, 4, 8, 16];
+
+function toNumber(v) {
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+
+// Field names differ slightly between firmware builds
+function parseFile(f) {
+  return {
+    channel: toNumber(f.CHANNEL ?? f.CH),
+    start: parseDeviceTime(f.STARTTIME ?? f.ST),
+    end: parseDeviceTime(f.ENDTIME ?? f.ET),
+    size: toNumber(f.FILESIZE ?? f.SIZE),
+    type: toNumber(f.FILETYPE ?? f.RECORDTYPE),
+    name: f.FILENAME ?? f.NAME ?? null,
+  };
+}
+
+class PlaybackSessions extends EventEmitter {
+  // call(dsno, json, opts) sends a command to the device -> Promise<RESPONSE>
+  constructor({ call, ...opts } = {}) {
+    super();
+    this.call = call;
+    this.opts = { ...DEFAULTS, ...opts };
+    this.sessions = new Map(); // "pb-<n>" -> session
+    this.nextId = 1;
+
+    this.sweepTimer = setInterval(() => this.sweep(), 1_000);
+    this.sweepTimer.unref();
+  }
+
+  get(id) {
+    return this.sessions.get(id);
+  }
+
+  byStreamname(dsno, streamname) {
+    const s = this.sessions.get(String(streamname));
+    return s && s.dsno === dsno ? s : null;
+  }
+
+  setState(s, state, error = null) {
+    clearTimeout(s.timer);
+    s.timer = null;
+    s.state = state;
+    s.since = Date.now();
+    if (error) s.lastError = error;
+    this.emit('state', s);
+  }
+
+  // --- file list ---
+  async query(dsno, { channels, from, to }) {
+    const response = await this.call(dsno, {
+      MODULE: 'STORM',
+      OPERATION: 'QUERYFILELIST',
+      PARAMETER: {
+        CHANNEL: channelsToMask(channels),
+        STARTTIME: formatDeviceTime(from),
+        ENDTIME: formatDeviceTime(to),
+        STREAMTYPE: 1,  // main stream
+        FILETYPE: -1,   // all recording types
+      },
+    }, { timeoutMs: this.opts.queryTimeoutMs });
+    const files = response.FILELIST || response.RECORD || [];
+    return files.map(parseFile).sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : 0));
+  }
+
+  // --- sessions ---
+  // Resolves once the device accepted the request; media follows with MEDIATASKSTART
+  async start(dsno, { channels, from, to, speed = 1, audio = false, viewer = null, ttlMs = null }) {
+    if (!SPEEDS.includes(speed)) throw rpcError('N9M_BAD_ARG', `Unsupported speed ${speed} (${SPEEDS.join(', ')})`);
+    const id = `pb-${this.nextId++}`;
+    const s = {
+      id,
+      dsno,
+      channels: [...channels].sort((a, b) => a - b),
+      from,
+      to,
+      speed,
+      audio,
+      position: from,   // last seek target
+      state: 'requested',
+      viewers: new Map(), // id -> expiresAt (null = until released)
+      idleSince: Date.now(),
+      since: Date.now(),
+      lastError: null,
+      timer: null,
+    };
+
+    // registered before the request goes out: MEDIATASKSTART may beat the RESPONSE
+    this.sessions.set(id, s);
+    if (viewer) this.acquire(id, viewer, ttlMs);
+    s.timer = setTimeout(() => {
+      if (s.state === 'requested') this.finish(s, 'failed', 'no MEDIATASKSTART from device');
+    }, this.opts.requestTimeoutMs);
+    s.timer.unref();
+    this.emit('state', s);
+    console.log(`[PLAYBACK] ${id} ${dsno} ch=${s.channels.join(',')} ${from} .. ${to}`);
+
+    const request = this.call(dsno, {
+      MODULE: 'MEDIASTREAMMODEL',
+      OPERATION: 'REQUESTREMOTEPLAYBACK',
+      PARAMETER: {
+        CSRC: '',
+        SSRC: 0,
+        STREAMNAME: id,
+        STREAMTYPE: 1,
+        CHANNEL: channelsToMask(s.channels),
+        STARTTIME: formatDeviceTime(from),
+        ENDTIME: formatDeviceTime(to),
+        SPEED: speed,
+        AUDIOVALID: audio ? channelsToMask(s.channels) : 0,
+        IPANDPORT: typeof this.opts.mediaAddress === 'function' ? this.opts.mediaAddress(dsno) : this.opts.mediaAddress,
+      },
+    });
+    try {
+      await request;
+    } catch (err) {
+      if (this.sessions.get(id) === s) this.finish(s, 'failed', err.message);
+      throw err;
+    }
+    return s;
+  }
+
+  async control(id, action, { speed, time } = {}) {
+    const s = this.sessions.get(id);
+    if (!s) throw rpcError('N9M_NOT_FOUND', `No playback session ${id}`);
+    if (action === 'stop') return this.stop(id);
+    if (!(action in CONTROL_CMD)) throw rpcError('N9M_BAD_ARG', `Unknown playback action "${action}"`);
+    if (s.state !== 'playing' && s.state !== 'paused') throw rpcError('N9M_BAD_STATE', `Playback ${id} is ${s.state}`);
+
+    const parameter = { STREAMNAME: id, CMD: CONTROL_CMD[action] };
+    if (action === 'speed') {
+      if (!SPEEDS.includes(speed)) throw rpcError('N9M_BAD_ARG', `Unsupported speed ${speed} (${SPEEDS.join(', ')})`);
+      parameter.SPEED = speed;
+    }
+    if (action === 'seek') {
+      const t = new Date(time);
+      if (Number.isNaN(t.getTime()) || t < new Date(s.from) || t > new Date(s.to)) {
+        throw rpcError('N9M_BAD_ARG', `Seek time must lie within ${s.from} .. ${s.to}`);
+      }
+      parameter.SEEKTIME = formatDeviceTime(t);
+    }
+
+    await this.call(s.dsno, { MODULE: 'MEDIASTREAMMODEL', OPERATION: 'CONTROLREMOTEPLAYBACK', PARAMETER: parameter });
+    if (this.sessions.get(id) !== s) throw rpcError('N9M_BAD_STATE', `Playback ${id} ended meanwhile`);
+    if (action === 'speed') s.speed = speed;
+    if (action === 'seek') s.position = new Date(time).toISOString();
+    if (action === 'pause') this.setState(s, 'paused');
+    if (action === 'resume') this.setState(s, 'playing');
+    return s;
+  }
+
+  stop(id, reason = 'stopped') {
+    const s = this.sessions.get(id);
+    if (!s) return null;
+    // the session ends here either way; the device's answer is only reported
+    this.call(s.dsno, {
+      MODULE: 'MEDIASTREAMMODEL',
+      OPERATION: 'CONTROLREMOTEPLAYBACK',
+      PARAMETER: { STREAMNAME: id, CMD: CONTROL_CMD.stop },
+    }).catch(err => console.log(`⚠️ [PLAYBACK] ${id} stop not confirmed: ${err.message}`));
+    return this.finish(s, 'stopped', reason);
+  }
+
+  finish(s, state, reason) {
+    this.sessions.delete(s.id);
+    this.setState(s, state, state === 'failed' ? reason : null);
+    console.log(`[PLAYBACK] ${s.id} ${state} (${reason})`);
+    return s;
+  }
+
+  // --- viewers ---
+  acquire(id, viewer, ttlMs = null) {
+    const s = this.sessions.get(id);
+    if (!s) return null;
+    s.viewers.set(viewer, ttlMs ? Date.now() + ttlMs : null);
+    s.idleSince = null;
+    return s;
+  }
+
+  release(id, viewer) {
+    const s = this.sessions.get(id);
+    if (!s || !s.viewers.delete(viewer)) return;
+    if (!s.viewers.size) s.idleSince = Date.now();
+  }
+
+  // --- device feedback ---
+  taskStarted(dsno, streamname) {
+    const s = this.byStreamname(dsno, streamname);
+    if (s && s.state === 'requested') this.setState(s, 'playing');
+    return s;
+  }
+
+  taskStopped(dsno, streamname) {
+    const s = this.byStreamname(dsno, streamname);
+    if (s) this.finish(s, 'stopped', 'device ended playback');
+    return s;
+  }
+
+  deviceOffline(dsno) {
+    for (const s of [...this.sessions.values()]) {
+      if (s.dsno === dsno) this.finish(s, 'failed', 'device disconnected');
+    }
+  }
+
+  sweep() {
+    const now = Date.now();
+    for (const s of [...this.sessions.values()]) {
+      for (const [viewer, expiresAt] of s.viewers) {
+        if (expiresAt && expiresAt < now) this.release(s.id, viewer);
+      }
+      if (s.idleSince && now - s.idleSince > this.opts.graceMs) this.stop(s.id, 'no viewers');
+    }
+  }
+
+  describe(s) {
+    return {
+      id: s.id,
+      dsno: s.dsno,
+      channels: s.channels,
+      from: s.from,
+      to: s.to,
+      speed: s.speed,
+      audio: s.audio,
+      position: s.position,
+      state: s.state,
+      since: new Date(s.since).toISOString(),
+      viewers: s.viewers.size,
+      lastError: s.lastError,
+    };
+  }
+
+  list() {
+    return [...this.sessions.values()].map(s => this.describe(s));
+  }
+
+  close() {
+    clearInterval(this.sweepTimer);
+    for (const s of this.sessions.values()) clearTimeout(s.timer);
+  }
+}
+
+module.exports = {
+  PlaybackSessions,
+  SPEEDS,
+};
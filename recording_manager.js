@@ -0,0 +1,360 @@
+// Segmented recordings per (DSNO, channel) with a manifest and retention
+// CommonJS (node >=16)
+//
+// Layout: <root>/<dsno>/<ch>/<YYYYMMDDhhmmss>.h264 (or .mp4) + manifest.json
+//
+// A segment opens on a keyframe and is cut at the first keyframe after
+// segmentMs, so every file decodes on its own. format 'mp4' writes fragmented
+// MP4 through Fmp4Muxer instead of raw Annex-B. Segments close when their
+// stream stops or goes quiet for idleMs. Retention drops the oldest segments
+// past maxAgeMs and while the total exceeds maxBytes.
+//
+// manifest.json: [{ file, start, end, bytes, frames, format }], end = null while open
+
+const fs = require('node:fs');
+const path = require('node:path');
+const { Fmp4Muxer } = require('./fmp4_muxer');
+const { SAMPLE_RATE, pcmToBuffer, wavHeader } = require('./audio_codec');
+const { formatDeviceTime } = require('./n9m_gps');
+const { httpError, sendFile } = require('./http_api');
+
+const DEFAULTS = {
+  format: 'h264',                     // or 'mp4'
+  segmentMs: 10 * 60_000,
+  idleMs: 15_000,
+  maxAgeMs: 7 * 24 * 3600_000,        // 0 = keep forever
+  maxBytes: 50 * 1024 ** 3,           // 0 = no quota
+  sweepMs: 60_000,
+};
+
+function safeName(s) {
+  return String(s).replace(/[^A-Za-z0-9_-]/g, '_');
+}
+
+class Recorder {
+  constructor({ root, ...opts } = {}) {
+    this.root = root;
+    this.opts = { ...DEFAULTS, ...opts };
+    this.active = new Map();   // "<dsno>/<ch>" -> open segment
+    this.manifests = new Map(); // "<dsno>/<ch>" -> [entry]
+    this.audioSeen = new Map(); // "<dsno>/<ch>" -> last audio arrival
+    fs.mkdirSync(root, { recursive: true });
+    this.load();
+
+    this.timer = setInterval(() => {
+      this.reapIdle();
+      this.enforceRetention();
+    }, Math.min(this.opts.sweepMs, this.opts.idleMs));
+    this.timer.unref();
+  }
+
+  key(dsno, channel) {
+    return `${safeName(dsno)}/${Number(channel)}`;
+  }
+
+  dir(key) {
+    return path.join(this.root, key);
+  }
+
+  // --- manifest ---
+  // Read every manifest; segments left open by a crash get their file's mtime as end
+  load() {
+    for (const dsno of fs.readdirSync(this.root)) {
+      const devDir = path.join(this.root, dsno);
+      if (!fs.statSync(devDir).isDirectory()) continue;
+      for (const ch of fs.readdirSync(devDir)) {
+        const key = `${dsno}/${ch}`;
+        let entries;
+        try {
+          entries = JSON.parse(fs.readFileSync(path.join(this.dir(key), 'manifest.json'), 'utf8'));
+        } catch {
+          continue;
+        }
+        for (const e of entries.filter(e => !e.end)) {
+          try {
+            const st = fs.statSync(path.join(this.dir(key), e.file));
+            e.end = st.mtime.toISOString();
+            e.bytes = st.size;
+            if (e.audio) e.audioBytes = this.finishWav(path.join(this.dir(key), e.audio));
+          } catch {
+            e.missing = true;
+          }
+        }
+        this.manifests.set(key, entries.filter(e => !e.missing));
+        this.saveManifest(key);
+      }
+    }
+  }
+
+  saveManifest(key) {
+    const file = path.join(this.dir(key), 'manifest.json');
+    const entries = this.manifests.get(key) || [];
+    fs.writeFileSync(file + '.tmp', JSON.stringify(entries, null, 1));
+    fs.renameSync(file + '.tmp', file);
+  }
+
+  // --- writing ---
+  // video = { stream, info } from H264Stream.push(); without it every payload counts as a keyframe
+  feed(dsno, channel, payload, video = null) {
+    if (!dsno) return;
+    const key = this.key(dsno, channel);
+    const keyframe = video ? video.info.keyframe || !video.info.nals.length : true;
+    const now = Date.now();
+    let seg = this.active.get(key);
+
+    if (seg && keyframe && (now - seg.startedAt >= this.opts.segmentMs || seg.audioPending)) {
+      this.closeSegment(key, seg.audioPending ? 'audio started' : 'segment length');
+      seg = null;
+    }
+    if (!seg) {
+      if (!keyframe) return; // a segment must start decodable
+      seg = this.open(key, dsno, channel, now, video);
+    }
+
+    seg.lastFrame = now;
+    seg.frames++;
+    if (seg.muxer) {
+      const { fragment, init } = seg.muxer.push(video, now);
+      if (fragment) this.write(seg, fragment);
+      if (init) this.write(seg, init);
+    } else {
+      this.write(seg, keyframe && video ? video.stream.withParameterSets(payload, video.info) : payload);
+    }
+  }
+
+  open(key, dsno, channel, now, video) {
+    const format = this.opts.format === 'mp4' && video ? 'mp4' : 'h264';
+    fs.mkdirSync(this.dir(key), { recursive: true });
+    const taken = new Set((this.manifests.get(key) || []).map(e => e.file));
+    let file = `${formatDeviceTime(now)}.${format}`;
+    for (let n = 1; taken.has(file) || fs.existsSync(path.join(this.dir(key), file)); n++) file = `${formatDeviceTime(now)}_${n}.${format}`;
+    const entry = { file, start: new Date(now).toISOString(), end: null, bytes: 0, frames: 0, format };
+    const seg = {
+      key,
+      dsno,
+      channel,
+      entry,
+      startedAt: now,
+      lastFrame: now,
+      frames: 0,
+      bytes: 0,
+      out: fs.createWriteStream(path.join(this.dir(key), entry.file), { flags: 'a' }),
+      muxer: format === 'mp4' ? new Fmp4Muxer({ audio: this.hasAudio(key, now) ? { sampleRate: SAMPLE_RATE, channels: 1 } : null }) : null,
+      audioOut: null,      // .wav beside a raw .h264 segment
+      audioBytes: 0,
+      audioPending: false, // audio arrived but the open MP4 has no track for it
+    };
+    seg.out.on('error', (err) => console.error(`[REC] ${key}/${entry.file} write failed:`, err.message));
+
+    if (!this.manifests.has(key)) this.manifests.set(key, []);
+    this.manifests.get(key).push(entry);
+    this.saveManifest(key);
+    this.active.set(key, seg);
+    console.log(`[REC] ${key} -> ${entry.file}`);
+    return seg;
+  }
+
+  write(seg, buf) {
+    seg.bytes += buf.length;
+    seg.out.write(buf);
+  }
+
+  hasAudio(key, now = Date.now()) {
+    return now - (this.audioSeen.get(key) || 0) < this.opts.idleMs;
+  }
+
+  // pcm = Int16Array from AudioDecoder.decode(); recorded alongside the open video segment
+  feedAudio(dsno, channel, pcm) {
+    if (!dsno) return;
+    const key = this.key(dsno, channel);
+    const now = Date.now();
+    this.audioSeen.set(key, now);
+    const seg = this.active.get(key);
+    if (!seg) return;
+
+    if (seg.muxer) {
+      if (seg.muxer.audio) seg.muxer.pushAudio(pcm, now);
+      else seg.audioPending = true;
+      return;
+    }
+    if (!seg.audioOut) {
+      seg.entry.audio = seg.entry.file.replace(/\.h264$/, '.wav');
+      seg.entry.audioStart = new Date(now - (pcm.length * 1000) / SAMPLE_RATE).toISOString();
+      seg.audioOut = fs.createWriteStream(path.join(this.dir(key), seg.entry.audio));
+      seg.audioOut.on('error', (err) => console.error(`[REC] ${key}/${seg.entry.audio} write failed:`, err.message));
+      seg.audioOut.write(wavHeader(0));
+      this.saveManifest(key);
+    }
+    const buf = pcmToBuffer(pcm);
+    seg.audioBytes += buf.length;
+    seg.audioOut.write(buf);
+  }
+
+  // Patch the RIFF/data sizes once a .wav is complete; returns the PCM byte count
+  finishWav(file) {
+    const size = fs.statSync(file).size;
+    const fd = fs.openSync(file, 'r+');
+    try {
+      fs.writeSync(fd, wavHeader(Math.max(0, size - 44)), 0, 44, 0);
+    } finally {
+      fs.closeSync(fd);
+    }
+    return Math.max(0, size - 44);
+  }
+
+  closeSegment(key, reason = 'stopped') {
+    const seg = this.active.get(key);
+    if (!seg) return;
+    this.active.delete(key);
+    if (seg.muxer?.pending.length || seg.muxer?.audioRuns.length) this.write(seg, seg.muxer.flush(seg.lastFrame));
+    seg.out.end();
+    if (seg.audioOut) {
+      const file = path.join(this.dir(key), seg.entry.audio);
+      seg.audioOut.end(() => {
+        try {
+          this.finishWav(file);
+        } catch (err) {
+          console.error(`[REC] ${key}/${seg.entry.audio} finish failed:`, err.message);
+        }
+      });
+      seg.entry.audioBytes = seg.audioBytes;
+    }
+    Object.assign(seg.entry, { end: new Date(seg.lastFrame).toISOString(), bytes: seg.bytes, frames: seg.frames });
+    this.saveManifest(key);
+    console.log(`[REC] ${key}/${seg.entry.file} closed (${reason}, ${seg.bytes} bytes)`);
+  }
+
+  stop(dsno, channel, reason) {
+    this.closeSegment(this.key(dsno, channel), reason);
+  }
+
+  stopDevice(dsno, reason) {
+    for (const seg of [...this.active.values()]) {
+      if (seg.dsno === dsno) this.closeSegment(seg.key, reason);
+    }
+  }
+
+  reapIdle() {
+    const now = Date.now();
+    for (const seg of [...this.active.values()]) {
+      if (now - seg.lastFrame > this.opts.idleMs) this.closeSegment(seg.key, 'idle');
+    }
+  }
+
+  // --- retention ---
+  enforceRetention(now = Date.now()) {
+    const closed = [];
+    for (const [key, entries] of this.manifests) {
+      for (const e of entries) if (e.end) closed.push({ key, e });
+    }
+    closed.sort((a, b) => (a.e.start < b.e.start ? -1 : 1));
+
+    const { maxAgeMs, maxBytes } = this.opts;
+    let total = closed.reduce((n, { e }) => n + e.bytes + (e.audioBytes || 0), 0)
+      + [...this.active.values()].reduce((n, s) => n + s.bytes + s.audioBytes, 0);
+    const doomed = [];
+    for (const item of closed) {
+      const expired = maxAgeMs && now - Date.parse(item.e.end) > maxAgeMs;
+      const overQuota = maxBytes && total > maxBytes;
+      if (!expired && !overQuota) break;
+      doomed.push(item);
+      total -= item.e.bytes + (item.e.audioBytes || 0);
+    }
+
+    const touched = new Set();
+    for (const { key, e } of doomed) {
+      for (const file of [e.file, e.audio].filter(Boolean)) {
+        fs.rm(path.join(this.dir(key), file), { force: true }, (err) => {
+          if (err) console.error(`[REC] delete ${key}/${file} failed:`, err.message);
+        });
+      }
+      const entries = this.manifests.get(key);
+      entries.splice(entries.indexOf(e), 1);
+      touched.add(key);
+    }
+    for (const key of touched) this.saveManifest(key);
+    if (doomed.length) console.log(`[REC] retention removed ${doomed.length} segment(s)`);
+  }
+
+  // --- queries ---
+  // Segments overlapping [from, to] (ISO strings), oldest first
+  list(dsno, { channel = null, from = null, to = null } = {}) {
+    const prefix = `${safeName(dsno)}/`;
+    const out = [];
+    for (const [key, entries] of this.manifests) {
+      if (!key.startsWith(prefix)) continue;
+      const ch = Number(key.slice(prefix.length));
+      if (channel != null && ch !== Number(channel)) continue;
+      const open = this.active.get(key);
+      for (const e of entries) {
+        const end = e.end || new Date(open?.lastFrame || Date.now()).toISOString();
+        if ((from && end < from) || (to && e.start > to)) continue;
+        out.push({
+          ...e,
+          bytes: e.end ? e.bytes : open?.bytes ?? e.bytes,
+          frames: e.end ? e.frames : open?.frames ?? e.frames,
+          channel: ch,
+          recording: !e.end,
+          url: `/api/recordings/${safeName(dsno)}/${ch}/${e.file}`,
+          ...(e.audio && { audioUrl: `/api/recordings/${safeName(dsno)}/${ch}/${e.audio}` }),
+        });
+      }
+    }
+    return out.sort((a, b) => (a.start < b.start ? -1 : a.start > b.start ? 1 : a.channel - b.channel));
+  }
+
+  summary() {
+    const devices = new Map();
+    for (const [key, entries] of this.manifests) {
+      const dsno = key.split('/')[0];
+      const open = this.active.get(key);
+      const d = devices.get(dsno) || { dsno, segments: 0, bytes: 0, first: null, last: null };
+      for (const e of entries) {
+        d.segments++;
+        d.bytes += e.end ? e.bytes : open?.bytes ?? e.bytes;
+        if (!d.first || e.start < d.first) d.first = e.start;
+        if (!d.last || (e.end || e.start) > d.last) d.last = e.end || e.start;
+      }
+      devices.set(dsno, d);
+    }
+    return [...devices.values()].filter(d => d.segments);
+  }
+
+  close() {
+    clearInterval(this.timer);
+    for (const key of [...this.active.keys()]) this.closeSegment(key, 'shutdown');
+  }
+}
+
+// GET /api/recordings                               per-device totals
+// GET /api/recordings/<dsno>?channel=&from=&to=     segments overlapping the range
+// GET /api/recordings/<dsno>/<ch>/<file>            download one segment
+function mountRecordingApi(api, recorder) {
+  const time = (value, name) => {
+    if (!value) return null;
+    const t = new Date(value);
+    if (Number.isNaN(t.getTime())) throw httpError(400, `Invalid ${name} "${value}"`);
+    return t.toISOString();
+  };
+
+  api.get('/api/recordings', () => recorder.summary());
+
+  api.get('/api/recordings/:dsno', (req, res, { params, query }) => recorder.list(params.dsno, {
+    channel: query.channel ?? null,
+    from: time(query.from, 'from'),
+    to: time(query.to, 'to'),
+  }));
+
+  api.get('/api/recordings/:dsno/:ch/:file', async (req, res, { params }) => {
+    const rel = path.join(recorder.key(params.dsno, params.ch), params.file);
+    if (params.file === 'manifest.json') throw httpError(404, 'Not found');
+    await sendFile(res, recorder.root, rel, {
+      'Content-Disposition': `attachment; filename="${safeName(params.dsno)}_ch${Number(params.ch)}_${params.file}"`,
+    });
+  });
+}
+
+module.exports = {
+  Recorder,
+  mountRecordingApi,
+};
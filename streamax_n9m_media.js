@@ -1,48 +1,57 @@
-// Streamax N9M media receiver - configured for your NVR ports
+// Streamax N9M media receiver - ports and paths from the "media" section of
+// n9m.config.json (config.js); defaults:
 // Control TCP: 5556
 // Media UDP: 6111
+// HLS: one pipeline per device/channel under paths.hls/<dsno>/<ch>/index.m3u8
 // Optional Register UDP: 6222
+// Start with: node n9m.js media
 // CommonJS (node >=16)
 
 const net = require('node:net');
+const http = require('node:http');
 const fs = require('node:fs');
 const path = require('node:path');
 const crypto = require('node:crypto');
-const { spawn } = require('child_process');
-
-const CONTROL_PORT = 5556;          // TCP control (REGISTER SERVER)
-const MEDIA_UDP_PORT = 6111;        // UDP media (MEDIA SERVER)
-const REGISTER_UDP_PORT = 6222;     // optional heartbeat
-const VPS_IP = '91.238.164.100';    // your VPS public IP
-const HLS_DIR = path.join('/home/ubuntu', 'n9m_hls');
-const PROTO_VERSION = '1.0.6';
+const { N9MDecoder, PT, encodeSignal, decodeSignal } = require('./n9m_codec');
+const { HlsPipelines } = require('./hls_pipeline');
+const { DeviceAuth } = require('./device_auth');
+const { selectDialect, render, normalize } = require('./n9m_dialect');
+const { Metrics, CONTENT_TYPE: METRICS_TYPE } = require('./metrics');
+const { getConfig } = require('./config');
+
+const config = getConfig();
+const CONTROL_PORT = config.media.tcpPort;               // TCP control (REGISTER SERVER)
+const MEDIA_UDP_PORT = config.media.udpPort;             // UDP media (MEDIA SERVER)
+const REGISTER_UDP_PORT = config.media.registerUdpPort;  // optional heartbeat
+const METRICS_PORT = config.media.metricsPort;           // Prometheus scrape: GET /metrics
+const HLS_DIR = config.paths.hls;
+const PROTO_VERSION = config.media.protoVersion;
+const AUTH_FILE = config.paths.auth;                     // allowlist + credentials; missing = open
 
 fs.mkdirSync(HLS_DIR, { recursive: true });
 
-// Start ffmpeg to receive RTP on UDP 6111 and output HLS
-let ffmpegProc = null;
-function startFfmpeg() {
-    if (ffmpegProc) return;
-    const args = [
-        '-fflags', 'nobuffer',
-        '-flags', 'low_delay',
-        '-an',
-        '-i', `udp://0.0.0.0:${MEDIA_UDP_PORT}?fifo_size=500000&overrun_nonfatal=1`,
-        '-c:v', 'copy',
-        '-hls_time', '2',
-        '-hls_list_size', '6',
-        '-hls_flags', 'delete_segments+append_list',
-        '-f', 'hls',
-        path.join(HLS_DIR, 'index.m3u8')
-    ];
-    ffmpegProc = spawn('ffmpeg', args, { stdio: ['ignore', 'pipe', 'pipe'] });
-    ffmpegProc.stderr.on('data', d => process.stdout.write(`[ffmpeg] ${d}`));
-    ffmpegProc.on('exit', c => {
-        console.log(`[ffmpeg] exited ${c}`);
-        ffmpegProc = null;
-    });
-    console.log(`[MEDIA] ffmpeg started — listening UDP ${MEDIA_UDP_PORT} → ${HLS_DIR}/index.m3u8`);
-}
+// One HLS pipeline per (DSNO, channel), fed from the PT=2 frames on TCP
+const hls = new HlsPipelines({ root: HLS_DIR });
+
+// CONNECT allowlist + VERIFY/LOGIN challenge; rejections go to logs/auth_rejections.log
+const auth = new DeviceAuth({ file: AUTH_FILE, logFile: path.join(config.paths.logs, 'auth_rejections.log') });
+
+// Counters bumped by the TCP handler below; same names as streamax_server.js
+const metrics = new Metrics({ prefix: 'n9m_' });
+const counters = {
+    signal: metrics.counter('signal_messages_total', 'SIGNAL messages received, by MODULE and OPERATION', ['module', 'operation']),
+    connects: metrics.counter('connects_total', 'CERTIFICATE CONNECTs, by outcome', ['result']),
+    mediaFrames: metrics.counter('media_frames_total', 'Media frames received, by device channel', ['dsno', 'channel', 'kind']),
+    mediaBytes: metrics.counter('media_bytes_total', 'Media payload bytes received, by device channel', ['dsno', 'channel', 'kind']),
+    parserErrors: metrics.counter('parser_errors_total', 'Frames that could not be parsed or handled', ['kind']),
+};
+let openConnections = 0;
+metrics.gauge('control_connections', 'Open control (TCP) connections', [], () => openConnections);
+metrics.gauge('hls_pipelines', 'HLS ffmpeg pipelines, by whether ffmpeg is running', ['running'], () => {
+    const list = hls.list();
+    return [[{ running: 'true' }, list.filter(p => p.running).length], [{ running: 'false' }, list.filter(p => !p.running).length]];
+});
+metrics.counter('hls_ffmpeg_restarts_total', 'ffmpeg respawns after unexpected exits', [], () => hls.restarts);
 
 // Basic helpers
 function hexdump(buf) {
@@ -56,138 +65,95 @@ function hexdump(buf) {
     return out;
 }
 
-// N9M unified header parsing
-function parseN9M(buf) {
-    if (buf.length < 12) return null;
-    const b0 = buf[0];
-    const version = (b0 >> 6) & 0b11;
-    const payloadType = buf[1];
-    const ssrc = buf.readUInt32BE(2);
-    const payloadLen = buf.readUInt32BE(6);
-    const headerLen = 12;
-    // if (buf.length < headerLen + payloadLen) return null;
-    console.log(`=====================`, ssrc);
-    if (buf.length == 12) return null;
-    return {
-        type: 'N9M',
-        header: { version, payloadType, ssrc, payloadLen, headerLen },
-        payload: buf.slice(headerLen, headerLen + payloadLen),
-        rest: buf.slice(headerLen + payloadLen)
-    };
-}
-function buildSignalFrame(ssrc, obj) {
-    const body = Buffer.from(JSON.stringify(obj), 'utf8');
-  const header = Buffer.alloc(12);
-
-  // --- version & payloadType ---
-  // first byte: version (2 bits = 2) << 6 = 0x80
-  // second byte: 0 for SIGNAL
-  header[0] = (2 << 6);
-  header[1] = 0;
+// N9M framing: this receiver uses the 12-byte header with a 32-bit SSRC
+const LAYOUT = 'ssrc32';
 
-  // --- SSRC (4 bytes) ---
-  header.writeUInt32BE(ssrc >>> 0, 2);
-
-  // --- Payload length (4 bytes) ---
-  header.writeUInt32BE(body.length, 6);
-
-  // --- Reserved (2 bytes) ---
-  header.writeUInt16BE(0, 10);
-
-  const frame = Buffer.concat([header, body]);
-  console.log(`[DEBUG] TX header: ${header.toString('hex')} length=${body.length}`);
-  return frame;
+function buildSignalFrame(ssrc, obj) {
+    const frame = encodeSignal(obj, { ssrc, layout: LAYOUT });
+    console.log(`[DEBUG] TX header: ${frame.subarray(0, 12).toString('hex')} length=${frame.length - 12}`);
+    return frame;
 }
 
 const SESSIONS = new Map();
-function md5Hex(s) { return crypto.createHash('md5').update(s).digest('hex'); }
 
-// Respond to certificate handshake
-function handleCert(socket, ssrc, obj) {
+// Respond to certificate handshake; returns false when the device was turned away.
+// obj is canonical (n9m_dialect.normalize); replies go out in the session's dialect.
+function handleCert(socket, ssrc, obj, dialect) {
     if (!obj || obj.MODULE !== 'CERTIFICATE' || !obj.OPERATION) {
         console.warn('[WARN] Invalid CERTIFICATE frame:', obj);
-        return;
+        return true;
     }
 
-    if (obj.MODULE === 'CERTIFICATE' && obj.OPERATION === 'CONNECT') {
-        const protoVer = obj.PARAMETER?.PRO || '1.0.6';
-        const session = obj.SESSION;
-      
-        const resp = {
-          MODULE: 'CERTIFICATE',
-          OPERATION: 'CONNECT',
-          RESPONSE: {
-            SO: { type: 'string', value: crypto.randomBytes(8).toString('hex') },
-            PRO: { type: 'string', value: protoVer },
-            ERRORCODE: { type: 'integer', value: 0 },
-            ERRORCAUSE: { type: 'string', value: 'OK' }
-          },
-          SESSION: session
-        };
-      
-        const frame = buildSignalFrame(ssrc, resp);
-        socket.write(frame);
-        console.log(`[TX] Sent CERTIFICATE.CONNECT -> ${socket.remoteAddress}:${socket.remotePort}`);
-      }
-
-
     const op = obj.OPERATION;
+    const remote = `${socket.remoteAddress}:${socket.remotePort}`;
     const session = obj.SESSION || obj.session || null;
     const protoVer = obj.PARAMETER?.PRO || PROTO_VERSION;
 
     const reply = (operation, response) => {
-        const msg = {
+        const msg = render({
             MODULE: 'CERTIFICATE',
             OPERATION: operation,
             RESPONSE: response,
             SESSION: session
-        };
+        }, dialect);
         const temp = buildSignalFrame(ssrc, msg);
         console.log("actual JSON string i send back, ", temp.toString());
         socket.write(buildSignalFrame(ssrc, msg));
         console.log(`[TX] Sent CERTIFICATE.${operation} -> ${socket.remoteAddress}:${socket.remotePort}`);
     };
+    const refuse = (operation, verdict) => {
+        reply(operation, {
+            ...(operation !== 'CONNECT' && { RETURN: false }),
+            ERRORCODE: verdict.code,
+            ERRORCAUSE: verdict.cause
+        });
+        socket.end();
+        return false;
+    };
 
     switch (op) {
-        case 'CONNECT':
+        case 'CONNECT': {
+            const so = crypto.randomBytes(8).toString('hex');
+            const verdict = auth.connect(socket, session, obj.PARAMETER, { so, remote });
+            counters.connects.inc({ result: verdict.ok ? 'ok' : 'rejected' });
+            if (!verdict.ok) return refuse('CONNECT', verdict);
             reply('CONNECT', {
-                SO: { type: 'string', value: crypto.randomBytes(8).toString('hex') },
-                PRO: { type: 'string', value: protoVer },
-                ERRORCODE: { type: 'integer', value: 0 },
-                ERRORCAUSE: { type: 'string', value: 'OK' }
+                SO: so,
+                PRO: protoVer,
+                ERRORCODE: 0,
+                ERRORCAUSE: 'OK',
+                ...dialect.connect
             });
-            console.log('[CERT] CONNECT -> replied with SO + OK');
+            console.log(`[CERT] CONNECT -> replied with SO + OK${verdict.challenge ? ' (awaiting VERIFY/LOGIN)' : ''}`);
             break;
+        }
 
         case 'VERIFY':
-            reply('VERIFY', {
-                RETURN: { type: 'boolean', value: true },
-                ERRORCODE: { type: 'integer', value: 0 },
-                ERRORCAUSE: { type: 'string', value: 'OK' }
+        case 'LOGIN': {
+            const verdict = auth.prove(socket, op, obj.PARAMETER, { remote });
+            if (!verdict.ok) return refuse(op, verdict);
+            reply(op, {
+                RETURN: true,
+                ERRORCODE: 0,
+                ERRORCAUSE: 'OK'
             });
-            console.log('[CERT] VERIFY -> OK');
-            break;
-
-        case 'LOGIN':
-            reply('LOGIN', {
-                RETURN: { type: 'boolean', value: true },
-                ERRORCODE: { type: 'integer', value: 0 },
-                ERRORCAUSE: { type: 'string', value: 'OK' }
-            });
-            console.log('[CERT] LOGIN -> OK');
-            setTimeout(() => requestMedia(socket, ssrc, session), 1000);
+            console.log(`[CERT] ${op} -> OK`);
             break;
+        }
 
         case 'KEEPALIVE':
-            reply('KEEPALIVE', { RETURN: { type: 'boolean', value: true } });
+            reply('KEEPALIVE', { RETURN: true });
             console.log('[CERT] KEEPALIVE -> OK');
             break;
 
         default:
             console.warn('[WARN] Unknown CERTIFICATE operation:', op);
     }
+    return true;
 }
 
+const HANDSHAKE = new Set(['CONNECT', 'VERIFY', 'LOGIN']);
+
 
 // TCP server (control)
 net.createServer((socket) => {
@@ -195,38 +161,87 @@ net.createServer((socket) => {
     socket.setKeepAlive(true, 10000);
     const peer = `${socket.remoteAddress}:${socket.remotePort}`;
     console.log(`[TCP] CONNECT ${peer}`);
-    let rx = Buffer.alloc(0);
+    openConnections++;
+    const decoder = new N9MDecoder({ layout: LAYOUT });
     let ssrc;
+    let dsno = null;
+    let session = null;
+    let dialect = null; // SIGNAL dialect, picked again on CONNECT
 
     socket.on('data', (chunk) => {
-        rx = Buffer.concat([rx, chunk]);
         console.log(`\n[RX ${peer}] ${chunk.length} bytes\n`);
-        while (true) {
-            const frame = parseN9M(rx);
-            if (!frame) break;
-            if (frame.header?.ssrc) ssrc = frame.header.ssrc;
-            if (frame.header.payloadType === 0) {
-                try {
-                    const obj = JSON.parse(frame.payload.toString('utf8'));
+        let frames;
+        let framingError = null;
+        try {
+            frames = decoder.push(chunk);
+        } catch (e) {
+            framingError = e;
+            frames = e.frames || []; // frames ahead of the garbage are still good
+        }
+        for (const frame of frames) {
+            if (frame.ssrc) ssrc = frame.ssrc;
+            if (frame.payloadType === PT.SIGNAL) {
+                const raw = decodeSignal(frame.payload);
+                const obj = normalize(raw);
+                if (typeof obj === 'object' && obj) {
+                    if (!dialect || obj.OPERATION === 'CONNECT') dialect = selectDialect(raw);
                     console.log(`[SIGNAL] ${obj.MODULE}.${obj.OPERATION}`);
-                    if (obj.MODULE === 'CERTIFICATE'){
-                        handleCert(socket, ssrc, obj);
+                    counters.signal.inc({ module: obj.MODULE, operation: obj.OPERATION });
+                    if (obj.PARAMETER?.DSNO) dsno = obj.PARAMETER.DSNO;
+                    if (obj.SESSION) session = obj.SESSION;
+                    if (!(obj.MODULE === 'CERTIFICATE' && HANDSHAKE.has(obj.OPERATION)) && !auth.admitted(socket)) {
+                        auth.reject('NOT_VERIFIED', { dsno: dsno || '', session: session || '', remote: peer, operation: `${obj.MODULE}.${obj.OPERATION}` });
+                        socket.destroy();
+                        return;
+                    }
+                    if (obj.MODULE === 'CERTIFICATE') {
+                        if (!handleCert(socket, ssrc, obj, dialect)) return;
                     }
                     else console.log('[JSON]', obj);
-                } catch (e) {
-                    console.log('[WARN] Non-JSON SIGNAL', e);
+                } else {
+                    console.log('[WARN] Non-JSON SIGNAL', obj);
+                    counters.parserErrors.inc({ kind: 'signal_json' });
                 }
+            } else if (frame.payloadType === PT.H264) {
+                if (!auth.admitted(socket)) continue; // media only after the handshake
+                const labels = { dsno: dsno || 'unknown', channel: frame.ssrc + 1, kind: 'video' };
+                counters.mediaFrames.inc(labels);
+                counters.mediaBytes.inc(labels, frame.payload.length);
+                hls.feed(dsno, frame.ssrc + 1, frame.payload, socket);
             } else {
-                console.log(`[N9M] PT=${frame.header.payloadType} payload=${frame.payload.length} bytes`);
+                console.log(`[N9M] PT=${frame.payloadType} payload=${frame.payload.length} bytes`);
+                if (frame.payloadType !== 22) counters.parserErrors.inc({ kind: 'unknown_pt' });
             }
-            rx = frame.rest;
+        }
+        if (framingError) {
+            console.error(`[TCP] ERROR ${peer} ${framingError.message}`);
+            counters.parserErrors.inc({ kind: 'framing' });
+            socket.destroy();
         }
     });
 
-    socket.on('close', () => console.log(`[TCP] CLOSE ${peer}`));
+    socket.on('close', () => {
+        console.log(`[TCP] CLOSE ${peer}`);
+        openConnections--;
+        hls.stopOwner(socket);
+        auth.forget(socket);
+    });
     socket.on('error', (e) => console.error(`[TCP] ERROR ${peer} ${e.message}`));
 }).listen(CONTROL_PORT, '0.0.0.0', () => {
     console.log(`[CTRL] Listening TCP on ${CONTROL_PORT}`);
     console.log(`[MEDIA] UDP expected on ${MEDIA_UDP_PORT}`);
     console.log(`[INFO] HLS directory: ${HLS_DIR}`);
-});
\ No newline at end of file
+});
+// Prometheus scrape endpoint
+http.createServer((req, res) => {
+    // plain string compare: a malformed request-target must not throw out of this listener
+    if (req.method !== 'GET' || req.url.split('?')[0] !== '/metrics') {
+        res.writeHead(404).end();
+        return;
+    }
+    const body = metrics.render();
+    res.writeHead(200, { 'Content-Type': METRICS_TYPE, 'Content-Length': Buffer.byteLength(body) });
+    res.end(body);
+}).listen(METRICS_PORT, '0.0.0.0', () => {
+    console.log(`[METRICS] http://0.0.0.0:${METRICS_PORT}/metrics`);
+});
@@ -3,50 +3,97 @@ const dgram = require('dgram');
 const crypto = require("crypto");
 const fs = require('fs');
 const path = require('path');
-const { spawn } = require('child_process');
-
-const devices = {};
-
-const PORT_TCP = 5556;
-const PORT_UDP = 6111;
-const LOG_DIR = path.join(__dirname, 'logs');
+const { N9MDecoder, PT, encodeFrame, encodeSignal, decodeSignal, channelsToMask } = require('./n9m_codec');
+const { AlarmCenter } = require('./n9m_alarms');
+const { TrackStore, decodePosition, toGeoJSON, toGPX } = require('./n9m_gps');
+const { HlsPipelines } = require('./hls_pipeline');
+const { DeviceRegistry, channelList } = require('./device_registry');
+const { selectDialect, render, normalize } = require('./n9m_dialect');
+const { LiveStreams } = require('./live_manager');
+const { PlaybackSessions } = require('./playback_manager');
+const { SignalRpc, rpcError } = require('./n9m_rpc');
+const { DeviceConfig } = require('./device_config');
+const { WsHub, roomKey, parseRoomKey } = require('./ws_hub');
+const { Fmp4Rooms } = require('./fmp4_muxer');
+const { pcmToBuffer } = require('./audio_codec');
+const { DeviceAuth } = require('./device_auth');
+const { DevicePresence } = require('./device_presence');
+const { PacketLog } = require('./packet_log');
+const { WebhookDispatcher } = require('./webhooks');
+const { Metrics, CONTENT_TYPE: METRICS_TYPE } = require('./metrics');
+const { Recorder, mountRecordingApi } = require('./recording_manager');
+const { createApi, httpError, send, sendFile, readJsonBody } = require('./http_api');
+const { getConfig, deviceConfig, mediaAddress } = require('./config');
+
+// Ports, addresses and paths come from n9m.config.json / N9M_* (see config.js)
+const config = getConfig();
+const PORT_TCP = config.signaling.tcpPort;
+const PORT_UDP = config.signaling.udpPort;
+const PORT_HTTP = config.signaling.httpPort;
+const HOST_HTTP = config.signaling.httpHost;  // loopback unless configured, see config.js
+const HLS_LEASE_MS = 20_000;                   // a playlist fetch keeps a stream alive this long
+const HTTP_LEASE_MS = 60_000;
+const AUDIO_CODEC = config.signaling.audioCodec;   // PT=12 encoding: g711a, g711u, g726-16/24/32/40
+const KEEPALIVE_MS = config.signaling.keepaliveMs; // device KEEPALIVE period; offline after 3 missed
+const LOG_DIR = config.paths.logs;
 fs.mkdirSync(LOG_DIR, { recursive: true });
-
-const HLS_DIR = path.join('/home/ubuntu', 'n9m_hls');
+const MEDIA_STATS_MS = 10_000;                 // media task stats go to the media log this often
+const TRACK_DIR = config.paths.tracks;
+const AUTH_FILE = config.paths.auth;           // allowlist + credentials; missing = open
+const RECORD_DIR = config.paths.recordings;
+const WEBHOOK_FILE = config.paths.webhooks;         // subscriptions + fleets; missing = none
+const WEBHOOK_QUEUE = config.paths.webhookQueue;    // pending deliveries across restarts
+const TEMPLATE_DIR = config.paths.templates;        // device config templates, <name>.json
+
+const HLS_DIR = config.paths.hls;
 fs.mkdirSync(HLS_DIR, { recursive: true });
 
-let ffmpegProc = null;
-function startFfmpeg() {
-  if (ffmpegProc) return;
-  const args = [
-    '-fflags', 'nobuffer',
-    '-flags', 'low_delay',
-    '-an',
-    '-i', `udp://0.0.0.0:${PORT_UDP}?fifo_size=500000&overrun_nonfatal=1`,
-    '-c:v', 'copy',
-    '-hls_time', '2',
-    '-hls_list_size', '6',
-    '-hls_flags', 'delete_segments+append_list',
-    '-f', 'hls',
-    path.join(HLS_DIR, 'index.m3u8')
-  ];
-  ffmpegProc = spawn('ffmpeg', args, { stdio: ['ignore', 'pipe', 'pipe'] });
-  ffmpegProc.stderr.on('data', d => process.stdout.write(`[ffmpeg] ${d}`));
-  ffmpegProc.on('exit', c => {
-    console.log(`[ffmpeg] exited ${c}`);
-    ffmpegProc = null;
-  });
-  console.log(`[MEDIA] ffmpeg started — listening UDP ${PORT_UDP} → ${HLS_DIR}/index.m3u8`);
-}
-
-
-function dt() {
-  return new Date().toISOString().replace(/T.*/g, '');
-}
-
-function ts() {
-  return new Date().toISOString().replace(/[:.]/g, '-');
-}
+const devices = new DeviceRegistry();
+const auth = new DeviceAuth({ file: AUTH_FILE, logFile: path.join(LOG_DIR, 'auth_rejections.log') });
+const presence = new DevicePresence({ keepaliveMs: KEEPALIVE_MS });
+const packetLog = new PacketLog({ dir: LOG_DIR, level: config.log.level, modules: config.log.modules });
+const webhooks = new WebhookDispatcher({ file: WEBHOOK_FILE, queueFile: WEBHOOK_QUEUE, logFile: path.join(LOG_DIR, 'webhook_deliveries.log') });
+const alarms = new AlarmCenter();
+const tracks = new TrackStore({ dir: TRACK_DIR });
+const hls = new HlsPipelines({ root: HLS_DIR });
+const live = new LiveStreams();
+const recorder = new Recorder({ root: RECORD_DIR });
+// commands to devices resolve with the device's RESPONSE (n9m_rpc.js)
+const rpc = new SignalRpc({ send: (session, json) => sendToSession(session, json) });
+const playback = new PlaybackSessions({ mediaAddress: dsno => mediaAddress(config, dsno), call: (dsno, json, opts) => callDevice(dsno, json, opts) });
+const deviceSettings = new DeviceConfig({ templatesDir: TEMPLATE_DIR, call: (dsno, json, opts) => callDevice(dsno, json, opts) });
+
+// --- Metrics (GET /metrics) ---
+// counters are bumped by the TCP handlers below; gauges are read at scrape time
+const metrics = new Metrics({ prefix: 'n9m_' });
+const counters = {
+  signal: metrics.counter('signal_messages_total', 'SIGNAL/META messages received, by MODULE and OPERATION', ['module', 'operation']),
+  connects: metrics.counter('connects_total', 'CERTIFICATE CONNECTs, by outcome', ['result']),
+  alarms: metrics.counter('alarms_total', 'Alarms received (duplicates excluded), by ALARMTYPE', ['type', 'name']),
+  mediaFrames: metrics.counter('media_frames_total', 'Media frames received, by device channel', ['dsno', 'channel', 'kind']),
+  mediaBytes: metrics.counter('media_bytes_total', 'Media payload bytes received, by device channel', ['dsno', 'channel', 'kind']),
+  parserErrors: metrics.counter('parser_errors_total', 'Frames that could not be parsed or handled', ['kind']),
+  rpc: metrics.counter('rpc_calls_total', 'Commands sent to devices, by outcome (ok, N9M_ERROR, N9M_TIMEOUT, N9M_OFFLINE)', ['module', 'operation', 'result']),
+};
+metrics.gauge('devices_connected', 'Signaling sessions, by DEVTYPE and PRO', ['devtype', 'pro'], () => {
+  const counts = new Map();
+  for (const d of devices.list()) {
+    const key = `${d.devtype ?? ''}|${d.pro ?? ''}`;
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  return [...counts].map(([key, n]) => [{ devtype: key.split('|')[0], pro: key.split('|')[1] }, n]);
+});
+metrics.gauge('devices_presence', 'Known devices by presence state', ['state'], () => ['online', 'offline'].map(state => (
+  [{ state }, presence.list({ state }).length]
+)));
+metrics.gauge('ws_viewers', 'WebSocket viewers per room', ['room'], () => hub.list().map(r => [{ room: r.room }, r.viewers]));
+metrics.gauge('hls_pipelines', 'HLS ffmpeg pipelines, by whether ffmpeg is running', ['running'], () => {
+  const list = hls.list();
+  return [[{ running: 'true' }, list.filter(p => p.running).length], [{ running: 'false' }, list.filter(p => !p.running).length]];
+});
+metrics.counter('hls_ffmpeg_restarts_total', 'ffmpeg respawns after unexpected exits', [], () => hls.restarts);
+metrics.gauge('rpc_pending', 'Commands sent to devices and still waiting for their RESPONSE', [], () => rpc.list().length);
+metrics.gauge('webhook_pending', 'Webhook deliveries waiting to be sent or retried', [], () => webhooks.queue.length);
 
 // Convert to readable hex view
 function toHex(buf) {
@@ -64,106 +111,45 @@ function generateSO() {
 }
 
 function getCarNum(sessionId) {
-  return devices[sessionId]?.carnum || "";
-}
-
-function logPacket(sessionId, packet) {
-  if (!sessionId) return;
-
-  const base = `${getCarNum(sessionId)}_${dt()}`;
-  const logFile = path.join(LOG_DIR, `${base}.log`);
-  fs.writeFileSync(logFile, `[${ts()}] ` + JSON.stringify(packet) + '\n', { flag: 'a' });
+  return devices.get(sessionId)?.carnum || "";
 }
 
-// --- Packet construction/parsing (same layout you described) ---
-function buildPacket(payloadObj, payloadType = 0, ssrc = 1) {
-  const payloadBuf = Buffer.from(JSON.stringify(payloadObj), 'utf8');
-
-  const header = Buffer.alloc(12);
-  const version = 0, padding = 0, marker = 0, csrcCount = 0;
-  const firstByte = (version << 6) | (padding << 5) | (marker << 4) | csrcCount;
-  let off = 0;
-  header.writeUInt8(firstByte, off++);          // 1
-  header.writeUInt8(payloadType, off++);        // 2
-  header.writeUInt16BE(ssrc, off); off += 2;    // 3-4
-  header.writeUInt32BE(payloadBuf.length, off); off += 4; // 5-8 payload len (TCP)
-  header.writeUInt32BE(0, off); off += 4;       // 9-12 reserve
-
-  return Buffer.concat([header, payloadBuf]);
+// NDJSON packet log (signaling/alarms/media streams, see packet_log.js); never blocks
+function logPacket(sessionId, packet, { socket = null, msg = null, dir = 'in' } = {}) {
+  const remote = socket ? `${socket.remoteAddress}:${socket.remotePort}` : null;
+  packetLog.packet({ packet, msg, device: devices.get(sessionId) || { session: sessionId }, remote, dir });
 }
 
+// Allowed before the socket has been admitted
+const HANDSHAKE = new Set(['CONNECT', 'VERIFY', 'LOGIN']);
+// A media socket opens with one of these, under the SESSION of its signaling socket
+const MEDIA_OPEN = new Set(['CERTIFICATE.CREATESTREAM', 'MEDIASTREAMMODEL.MEDIATASKSTART']);
 
-// --- Packet parser from your structure ---
-function parsePacket(buffer) {
-  let offset = 0;
-
-  if (buffer.length < 12) return null; // not enough data for header
-
-  const firstByte = buffer.readUInt8(offset++);
-  const version = (firstByte >> 6) & 0x03;
-  const padding = (firstByte >> 5) & 0x01;
-  const marker = (firstByte >> 4) & 0x01;
-  const csrcCount = firstByte & 0x0F;
-
-  const payloadType = buffer.readUInt8(offset++);
-  const ssrc = buffer.readUInt16BE(offset);
-  offset += 2;
-
-  const payloadLen = buffer.readUInt32BE(offset);
-  offset += 4;
-
-  const reserve = buffer.readUInt32BE(offset);
-  offset += 4;
-
-  const csrcList = [];
-  // for (let i = 0; i < csrcCount; i++) {
-  //   if (offset + 4 > buffer.length) return null;
-  //   const csrc = buffer.readUInt32BE(offset);
-  //   csrcList.push(csrc);
-  //   offset += 4;
-  // }
-
-  const totalLen = offset + payloadLen;
-  if (buffer.length < totalLen) {
-    // Wait for more data
-    return null;
-  }
-
-  const payloadBuffer = buffer.subarray(offset, totalLen);
-
-  let payload;
-  if (payloadType === 0 || payloadType === 1) {
-    try {
-      payload = JSON.parse(payloadBuffer.toString("utf8").trim());
-    } catch {
-      payload = payloadBuffer.toString("utf8").trim();
-    }
-  } else if (payloadType === 2) {
-    payload = payloadBuffer; // binary H264
-  } else {
-    payload = payloadBuffer;
+const handleMessagePacket = async (socket, packet, sessionId) => {
+  const msg = normalize(packet.payload); // canonical form; packet.payload stays as received (dialect, logs)
+  const remote = `${socket.remoteAddress}:${socket.remotePort}`;
+  const handshake = msg.MODULE === "CERTIFICATE" && HANDSHAKE.has(msg.OPERATION);
+
+  if (!handshake && !auth.session(socket) && MEDIA_OPEN.has(`${msg.MODULE}.${msg.OPERATION}`)) auth.attach(socket, msg.SESSION);
+  // a CONNECT names its session; after that it is the one this socket was admitted for, whatever msg.SESSION says
+  const session = msg.MODULE === "CERTIFICATE" && msg.OPERATION === "CONNECT"
+    ? msg.SESSION || sessionId || ''
+    : auth.session(socket) || '';
+
+  if (!handshake && !auth.admitted(socket)) {
+    auth.reject('NOT_VERIFIED', { dsno: devices.get(msg.SESSION)?.dsno || '', session: msg.SESSION || '', remote, operation: `${msg.MODULE}.${msg.OPERATION}` });
+    socket.destroy();
+    return session;
   }
 
-  return {
-    version,
-    padding,
-    marker,
-    csrcCount,
-    payloadType,
-    ssrc,
-    payloadLen,
-    reserve,
-    csrcList,
-    payload,
-    totalLength: totalLen
-  };
-}
-
-const handleMessagePacket = async (socket, packet, sessionId) => {
-  const msg = packet.payload;
-  let session = msg.SESSION || sessionId || '';
+  counters.signal.inc({ module: msg.MODULE, operation: msg.OPERATION });
+  // answers to our own commands settle their rpc.call()
+  if (msg.RESPONSE) rpc.answer(session, msg);
 
+  // answer in the session's dialect; before CONNECT, in the one the message came in
+  let dialect = devices.get(session)?.dialect || selectDialect(packet.payload);
   let respJson = null;
+  let rejected = false; // answer, then hang up
   switch (msg.MODULE) {
     case "CERTIFICATE":
       {
@@ -174,26 +160,31 @@ const handleMessagePacket = async (socket, packet, sessionId) => {
           SESSION: session,
         }
         if (msg.OPERATION == "CONNECT") {
-          respJson.RESPONSE = {
-            SO: generateSO(),
-            ERRORCODE: 0,
-            ERRORCAUSE: 'SUCCESS',
-            PRO: msg.PARAMETER?.PRO || "1.0.5",
-            MASKCMD: 1
-          };
-
-          devices[session] = {
-            session: session,
-            dsno: msg.PARAMETER.DSNO,
-            carnum: msg.PARAMETER.CARNUM,
-            channel: msg.PARAMETER.CHANNEL,
-            devname: msg.PARAMETER.DEVNAME,
-            devclass: msg.PARAMETER.DEVCLASS,
-            devtype: msg.PARAMETER.DEVTYPE,
-            net: msg.PARAMETER.NET,
-            pro: msg.PARAMETER.PRO,
-          };
+          const so = generateSO();
+          const verdict = auth.connect(socket, session, msg.PARAMETER, { so, remote });
+          dialect = selectDialect(packet.payload);
+          if (verdict.ok) {
+            respJson.RESPONSE = {
+              SO: so,
+              ERRORCODE: 0,
+              ERRORCAUSE: 'SUCCESS',
+              PRO: msg.PARAMETER?.PRO || "1.0.5",
+              ...dialect.connect,
+            };
+            devices.connect(session, msg.PARAMETER, socket, { layout: packet.layout, dialect });
+          } else {
+            respJson.RESPONSE = { ERRORCODE: verdict.code, ERRORCAUSE: verdict.cause };
+            rejected = true;
+          }
+        } else if (msg.OPERATION == "VERIFY" || msg.OPERATION == "LOGIN") {
+          const verdict = auth.prove(socket, msg.OPERATION, msg.PARAMETER, { remote });
+          respJson.RESPONSE = verdict.ok
+            ? { RETURN: true, ERRORCODE: 0, ERRORCAUSE: 'SUCCESS' }
+            : { RETURN: false, ERRORCODE: verdict.code, ERRORCAUSE: verdict.cause };
+          rejected = !verdict.ok;
         } else if (msg.OPERATION == "KEEPALIVE") {
+          devices.touch(session, true);
+          presence.seen(devices.get(session)?.dsno, session, true);
           respJson.RESPONSE = {};
         } else if (msg.OPERATION == "CREATESTREAM") {
           respJson.RESPONSE = {
@@ -205,7 +196,26 @@ const handleMessagePacket = async (socket, packet, sessionId) => {
       }
     case "MEDIASTREAMMODEL":
       {
+        const dsno = devices.get(session)?.dsno;
         if (msg.OPERATION == "MEDIATASKSTART") {
+          const task = devices.startMediaTask(session, msg.PARAMETER, socket);
+          const pb = dsno && task && playback.taskStarted(dsno, task.streamname);
+          if (pb) {
+            // historical footage is routed like live video, under the session's own name
+            task.target = pb.id;
+            task.channels = pb.channels;
+          } else if (dsno && task) {
+            task.channels = live.taskStarted(dsno, task.streamname).map(s => s.channel);
+          }
+          if (dsno && task) {
+            webhooks.publish('stream.start', {
+              dsno,
+              carnum: getCarNum(session),
+              streamname: task.streamname,
+              kind: pb ? 'playback' : 'live',
+              channels: task.channels || [],
+            });
+          }
           // respJson = {
           //   MODULE: "MEDIASTREAMMODEL",
           //   OPERATION: "REQUESTSTREAM",
@@ -219,6 +229,34 @@ const handleMessagePacket = async (socket, packet, sessionId) => {
           // }
         }
         else if (msg.OPERATION == "MEDIATASKSTOP") {
+          const task = devices.stopMediaTask(session, msg.PARAMETER?.STREAMNAME);
+          if (dsno && task) {
+            webhooks.publish('stream.stop', {
+              dsno,
+              carnum: getCarNum(session),
+              streamname: task.streamname,
+              channels: task.channels || [],
+              frames: task.frames,
+              bytes: task.bytes,
+              durationSec: Math.round((Date.now() - task.startedAt) / 1000),
+            });
+          }
+          const pb = dsno && playback.taskStopped(dsno, msg.PARAMETER?.STREAMNAME);
+          if (pb) break;
+          const streams = dsno ? live.taskStopped(dsno, msg.PARAMETER?.STREAMNAME) : [];
+          for (const stream of streams) {
+            hls.stop(dsno, stream.channel, 'MEDIATASKSTOP');
+            recorder.stop(dsno, stream.channel, 'MEDIATASKSTOP');
+          }
+          if (dsno && !streams.length) hls.stopDevice(dsno, 'MEDIATASKSTOP');
+        }
+        break;
+      }
+    case "EVEM":
+      {
+        if (msg.OPERATION == "SENDALARMINFO") {
+          const { ack } = alarms.ingest(msg, devices.get(session));
+          respJson = ack;
         }
         break;
       }
@@ -226,86 +264,286 @@ const handleMessagePacket = async (socket, packet, sessionId) => {
       break;
   }
 
+  // Most EVEM/status messages carry a P (position) block; a handshake still waiting
+  // for VERIFY/LOGIN (or refused) speaks for nobody yet
+  if (auth.admitted(socket)) {
+    devices.touch(session);
+    presence.seen(devices.get(session)?.dsno, session);
+    if (msg.PARAMETER?.P && devices.get(session)?.dsno) {
+      tracks.add(devices.get(session).dsno, decodePosition(msg.PARAMETER.P));
+    }
+  }
+
+  logPacket(session, packet, { socket, msg });
   if (respJson) {
-    const responsePacket = buildPacket(respJson, packet.payloadType, packet.ssrc);
-    socket.write(responsePacket);
+    const response = { payloadType: packet.payloadType, ssrc: packet.ssrc, payload: render(respJson, dialect), layout: packet.layout };
+    socket.write(encodeFrame(response, packet.layout));
+    logPacket(session, response, { socket, msg: respJson, dir: 'out' });
   }
+  if (rejected) socket.end();
 
   if (msg.MODULE != "EVEM") {
     console.log(`📦 [${getCarNum(session)}] Payload:`, JSON.stringify(msg));
   }
-  logPacket(session, packet);
-
-  if (msg.MODULE == "CERTIFICATE" && msg.OPERATION == "CONNECT") {
-    // if connected new device request stream
-    const requestPacket = buildPacket({
-      MODULE: "MEDIASTREAMMODEL",
-      OPERATION: "REQUESTALIVEVIDEO",
-      PARAMETER: {
-        CSRC: "",
-        SSRC: 0,
-        STREAMNAME: "1",
-        STEAMTYPE: 1,
-        CHANNEL: 1, //80000000,
-        AUDIOVALID: 0,
-        IPANDPORT: "91.238.164.100:5556",
-        FRAMECOUNT: 10,
-        FRAMEMODE: 0,
-      },
-      SESSION: msg.SESSION || '',
-    }, 0, 0);
-
-    // const requestPacket = buildPacket({
-    //   MODULE: "MEDIASTREAMMODEL",
-    //   OPERATION: { TYPE: 'Request-response', NAME: 'REQUESTSTREAM' },
-    //   PARAMETER: {
-    //     CSRC: "",
-    //     SSRC: 0,
-    //     STREAMNAME: "1",
-    //     STEAMTYPE: 1,
-    //     ADDRESS: "91.238.164.100:5556",
-    //   },
-    //   SESSION: msg.SESSION || '',
-    // }, 0, 0);
-
-    setTimeout(() => {
-      console.log('========= sent video stream request =============');
-      socket.write(requestPacket);
-      startFfmpeg();
-    }, 1000);
+
+  if (msg.MODULE == "CERTIFICATE" && msg.OPERATION == "CONNECT") counters.connects.inc({ result: rejected ? 'rejected' : 'ok' });
+
+  // online once admitted (after VERIFY/LOGIN when challenged)
+  if (msg.MODULE == "CERTIFICATE" && msg.OPERATION == "CONNECT" && !rejected && auth.admitted(socket)) {
+    deviceOnline(session);
   }
 
   return session;
 }
 
+// --- Commands to devices ---
+function sendToDevice(entry, json) {
+  const msg = { ...json, SESSION: entry.session };
+  const payload = render(msg, entry.dialect);
+  entry.socket.write(encodeSignal(payload, { layout: entry.layout }));
+  logPacket(entry.session, { payloadType: PT.SIGNAL, ssrc: 0, payload, layout: entry.layout }, { socket: entry.socket, msg, dir: 'out' });
+}
+
+function sendToSession(session, json) {
+  const entry = devices.get(session);
+  if (!entry?.socket || entry.socket.destroyed) return false;
+  sendToDevice(entry, json);
+  return true;
+}
+
+// Sends a command on the device's signaling session -> Promise<RESPONSE>
+function callDevice(dsno, json, opts) {
+  const entry = devices.signaling(dsno);
+  if (!entry) return Promise.reject(rpcError('N9M_OFFLINE', `Device ${dsno} is not connected`));
+  return rpc.call(entry.session, json, opts);
+}
+
+// --- On-demand live video ---
+
+// Channels 1..CHANNEL reported on CONNECT, narrowed by devices.<DSNO>.channels
+// in the config; null when the device is unknown
+function deviceChannels(dsno) {
+  const reported = channelList(devices.signaling(dsno)?.channel);
+  const configured = deviceConfig(config, dsno).channels;
+  if (!configured) return reported.length ? reported : null;
+  return reported.length ? configured.filter(ch => reported.includes(ch)) : configured;
+}
+
+function checkChannel(dsno, channel) {
+  if (!Number.isInteger(channel) || channel < 1 || channel > 32) throw httpError(400, `Invalid channel "${channel}"`);
+  const channels = deviceChannels(dsno);
+  if (channels && !channels.includes(channel)) throw httpError(400, `Device ${dsno} has ${channels.length} channel(s), no channel ${channel}`);
+  return channel;
+}
+
+live.on('start', (group) => {
+  const entry = devices.signaling(group.dsno);
+  if (!entry) return group.streams.forEach(s => live.offline(s));
+
+  // One request for the whole group; the device sends each channel with SSRC = channel - 1
+  const own = deviceConfig(config, group.dsno);
+  rpc.call(entry.session, {
+    MODULE: "MEDIASTREAMMODEL",
+    OPERATION: "REQUESTALIVEVIDEO",
+    PARAMETER: {
+      CSRC: "",
+      SSRC: 0,
+      STREAMNAME: group.streamname,
+      STREAMTYPE: own.streamType, // spelled as in the answer and in REQUESTREMOTEPLAYBACK
+      CHANNEL: channelsToMask(group.channels),
+      AUDIOVALID: channelsToMask(group.audioChannels),
+      IPANDPORT: own.mediaAddress,
+      FRAMECOUNT: config.live.frameCount,
+      FRAMEMODE: 0,
+    },
+  }).catch((err) => {
+    console.log(`⚠️ [${entry.carnum}] Live video ch=${group.channels.join(',')} failed: ${err.message}`);
+    live.requestFailed(group.dsno, group.streamname, err.errorCause || err.message);
+  });
+  const audio = group.audioChannels.length ? ` audio=${group.audioChannels.join(',')}` : '';
+  console.log(`▶️ [${entry.carnum}] Requested live video ch=${group.channels.join(',')}${audio}`);
+});
+
+live.on('stop', (group) => {
+  const entry = devices.signaling(group.dsno);
+  if (!entry) return;
+
+  rpc.call(entry.session, {
+    MODULE: "MEDIASTREAMMODEL",
+    OPERATION: "CONTROLSTREAM",
+    PARAMETER: {
+      CSRC: "",
+      SSRC: 0,
+      STREAMNAME: group.streamname,
+      CMD: 3, // stop
+    },
+  }).catch(err => console.log(`⚠️ [${entry.carnum}] Stop of live video ch=${group.channels.join(',')} not confirmed: ${err.message}`));
+  console.log(`⏹️ [${entry.carnum}] Stopped live video ch=${group.channels.join(',')} (no viewers)`);
+});
+
+auth.on('verified', (session) => deviceOnline(session));
+auth.on('expired', (session, record, socket) => socket.destroy());
+
+// --- Presence ---
+// An admitted session takes over its DSNO; a session still open from before is closed
+function deviceOnline(session) {
+  const entry = devices.get(session);
+  if (!entry?.dsno) return;
+  const replaced = presence.connect(entry.dsno, { session, socket: entry.socket, carnum: entry.carnum });
+  if (replaced?.socket && replaced.socket !== entry.socket) replaced.socket.destroy();
+}
+
+presence.on('connect', (rec, { reconnect, replaced, offlineMs }) => {
+  const after = replaced ? ' (replaced previous session)' : offlineMs !== null ? ` after ${Math.round(offlineMs / 1000)}s offline` : '';
+  console.log(`🟢 [${rec.carnum || rec.dsno}] online${reconnect ? `, reconnect #${rec.reconnects}` : ''}${after}`);
+  webhooks.publish('device.online', { dsno: rec.dsno, carnum: rec.carnum, session: rec.session, remote: rec.remote, reconnect, replaced, offlineMs });
+  // resume live video somebody is already waiting for
+  setTimeout(() => live.deviceOnline(rec.dsno), 1000);
+});
+
+presence.on('disconnect', (rec, { reason, onlineMs }) => {
+  console.log(`🔴 [${rec.carnum || rec.dsno}] offline after ${Math.round(onlineMs / 1000)}s: ${reason}`);
+  webhooks.publish('device.offline', { dsno: rec.dsno, carnum: rec.carnum, session: rec.session, reason, onlineMs });
+  live.deviceOffline(rec.dsno);
+  playback.deviceOffline(rec.dsno);
+  recorder.stopDevice(rec.dsno, 'device disconnected');
+});
+
+presence.on('flap', (rec, { connects, windowMs }) => {
+  console.log(`⚠️ [${rec.carnum || rec.dsno}] flapping: ${connects} connects in ${Math.round(windowMs / 60_000)} min`);
+  webhooks.publish('device.flap', { dsno: rec.dsno, carnum: rec.carnum, connects, windowMs });
+});
+
+playback.on('state', (session) => {
+  if (session.state === 'stopped' || session.state === 'failed') hls.stopDevice(session.id, `playback ${session.state}`);
+});
+
+deviceSettings.on('applied', ({ dsno, changes }) => {
+  console.log(`🛠️ [${dsno}] Configuration written: ${changes.map(c => `${c.path}=${JSON.stringify(c.to)}`).join(', ')}`);
+});
+
+rpc.on('settled', (call) => {
+  counters.rpc.inc({ module: call.module, operation: call.operation, result: call.ok ? 'ok' : call.code });
+});
+
+alarms.on('alarm', (alarm) => {
+  packetLog.alarm(alarm);
+  counters.alarms.inc({ type: alarm.type, name: alarm.name });
+  webhooks.publish('alarm', alarm);
+  console.log(`🚨 [${alarm.carnum}] ${alarm.name} (type ${alarm.type}) ch=${alarm.channels.join(',') || '-'} cmdno=${alarm.cmdno}`);
+});
+
+// frames/bytes/fps per media task, into the media log
+setInterval(() => packetLog.mediaStats(devices.listMediaTasks()), MEDIA_STATS_MS).unref();
+
+function countFrame(sessionId, channel, kind, bytes) {
+  const labels = { dsno: devices.get(sessionId)?.dsno || 'unknown', channel, kind };
+  counters.mediaFrames.inc(labels);
+  counters.mediaBytes.inc(labels, bytes);
+}
+
 const handleStreamPacket = async (socket, packet, sessionId) => {
 
   console.log(`🎥 [${getCarNum(sessionId)}] Received video payload (${packet.payload.length} bytes)`);
 
-  logPacket(sessionId, packet);
+  const task = devices.countMedia(sessionId, socket, packet.payload.length);
+  // live video is published under the DSNO, playback under its session id
+  const target = task?.target || devices.get(sessionId)?.dsno;
+  // SSRC is the zero-based channel index; a single-channel task may always send SSRC 0
+  const channel = task?.channels?.length === 1 ? task.channels[0] : packet.ssrc + 1;
+  countFrame(sessionId, channel, 'video', packet.payload.length);
+
+  let frame = packet.payload;
+  let keyframe = true; // unknown framing is passed through ungated
+  let video = null;
+  if (task) {
+    video = devices.analyzeVideo(task, channel, frame);
+    const { stream, info } = video;
+    if (target) fmp4.push(roomKey(target, channel), video);
+    if (info.spsChanged) {
+      const { width, height, profile, level, fps } = stream.sps;
+      console.log(`🎞️ [${getCarNum(sessionId)}] ch${channel} H.264 ${profile}@${level} ${width}x${height}${fps ? ` ${fps}fps` : ''}`);
+    }
+    if (info.nals.length) keyframe = info.keyframe;
+    if (info.keyframe) frame = stream.withParameterSets(frame, info);
+  }
+
+  if (!task?.target) recorder.feed(target, channel, packet.payload, video); // live only, playback is already on the MDVR
+  hls.feed(target, channel, frame, socket, { keyframe });
+  if (target) hub.broadcast(roomKey(target, channel), frame, { keyframe });
+
+  logPacket(sessionId, packet, { socket });
+}
+
+// PT=12: decoded once, then muxed next to the channel's video (fMP4, HLS, recordings)
+const handleAudioPacket = (socket, packet, sessionId) => {
+  logPacket(sessionId, packet, { socket });
+  const task = devices.countMedia(sessionId, socket, packet.payload.length);
+  if (!task) return;
+  const target = task.target || devices.get(sessionId)?.dsno;
+  const channel = task.channels?.length === 1 ? task.channels[0] : packet.ssrc + 1;
+  countFrame(sessionId, channel, 'audio', packet.payload.length);
+  if (!target) return;
+
+  let pcm;
+  try {
+    pcm = devices.decodeAudio(task, channel, packet.payload, AUDIO_CODEC);
+  } catch (err) {
+    console.error(`[${getCarNum(sessionId)}] Audio decode failed:`, err.message);
+    counters.parserErrors.inc({ kind: 'audio_decode' });
+    return;
+  }
+  fmp4.pushAudio(roomKey(target, channel), pcm);
+  if (!task.target) recorder.feedAudio(target, channel, pcm);
+  hls.feedAudio(target, channel, pcmToBuffer(pcm));
 }
 
 // --- TCP Server ---
 const server = net.createServer((socket) => {
   console.log(`📡 Device connected: ${socket.remoteAddress}:${socket.remotePort}`);
 
-  let buffer = Buffer.alloc(0);
+  // Mixed fleet: sniff the header dialect from the first frame on this socket
+  const decoder = new N9MDecoder({ layout: 'auto' });
+  let dialect = null;
   let sessionId = "";
 
   socket.on("data", (data) => {
-    buffer = Buffer.concat([buffer, data]);
-
-    while (buffer.length > 0) {
-      const packet = parsePacket(buffer);
-      if (!packet) break; // incomplete packet, wait for more data
+    let packets;
+    let framingError = null;
+    try {
+      packets = decoder.push(data);
+    } catch (err) {
+      framingError = err;
+      packets = err.frames || []; // frames ahead of the garbage are still good
+    }
+    if (packets.length && !dialect) {
+      dialect = decoder.layout;
+      console.log(`🔎 ${socket.remoteAddress}:${socket.remotePort} header dialect: ${decoder.layout}`);
+    }
 
-      if (packet.payloadType === 0 || packet.payloadType === 1) {
-        handleMessagePacket(socket, packet, sessionId).then(result => sessionId = result);
-      } else if (packet.payloadType === 2) {
+    for (const packet of packets) {
+      if (packet.payloadType === PT.SIGNAL || packet.payloadType === PT.META) {
+        packet.payload = decodeSignal(packet.payload);
+        if (!packet.payload || typeof packet.payload !== 'object') {
+          console.error(`[${getCarNum(sessionId)}] SIGNAL is not JSON, ignored:`, String(packet.payload).slice(0, 80));
+          counters.parserErrors.inc({ kind: 'signal_json' });
+          continue;
+        }
+        handleMessagePacket(socket, packet, sessionId)
+          .then(result => sessionId = result)
+          .catch(err => console.error(`[${getCarNum(sessionId)}] Failed to handle SIGNAL:`, err));
+        // media frames in the same chunk must already see the session
+        sessionId = auth.session(socket) || sessionId;
+      } else if (packet.payloadType === PT.H264) {
+        if (!auth.admitted(socket)) continue; // media only after the handshake or CREATESTREAM
         handleStreamPacket(socket, packet, sessionId);
+      } else if (packet.payloadType === PT.AUDIO) {
+        if (!auth.admitted(socket)) continue;
+        handleAudioPacket(socket, packet, sessionId);
       } else {
 
         if (packet.payloadType != 22) {
+          counters.parserErrors.inc({ kind: 'unknown_pt' });
           console.log(`✅ [${getCarNum(sessionId)}] Sent:`,
             JSON.stringify({
               version: packet.version,
@@ -319,9 +557,12 @@ const server = net.createServer((socket) => {
         }
 
       }
+    }
 
-      // Remove processed data
-      buffer = buffer.subarray(packet.totalLength);
+    if (framingError) {
+      console.error(`[${getCarNum(sessionId)}] Framing error, dropping connection:`, framingError.message);
+      counters.parserErrors.inc({ kind: 'framing' });
+      socket.destroy();
     }
   });
 
@@ -329,6 +570,15 @@ const server = net.createServer((socket) => {
     console.log(`❌ [${getCarNum(sessionId)}] Device disconnected: ${socket.remoteAddress}:${socket.remotePort}`);
   });
 
+  socket.on("close", () => {
+    hls.stopOwner(socket);
+    auth.forget(socket);
+    for (const entry of devices.dropSocket(socket)) {
+      rpc.sessionClosed(entry.session);
+      presence.disconnect(entry.dsno, entry.session);
+    }
+  });
+
   socket.on("error", (err) => {
     console.error(`[${getCarNum(sessionId)}] Socket error:`, err.message);
   });
@@ -338,6 +588,351 @@ server.listen(PORT_TCP, () => {
   console.log(`[TCP] Listening on 0.0.0.0:${PORT_TCP}`);
 });
 
+// --- HTTP API ---
+const api = createApi();
+
+// WS viewers: ws://<host>:<PORT_HTTP>/?room=n9m:<dsno>:ch<n>[&format=fmp4][&audio=1]
+const hub = new WsHub({ server: api.server });
+const fmp4 = new Fmp4Rooms(hub); // &format=fmp4 clients get init segment + GOP fragments
+hub.on('join', (room, ws) => {
+  const target = parseRoomKey(room);
+  if (!target) return;
+  if (playback.get(target.dsno)) return playback.acquire(target.dsno, ws);
+  try {
+    live.acquire(target.dsno, checkChannel(target.dsno, target.channel), ws, null, { audio: hub.wantsAudio(ws) });
+  } catch (err) {
+    ws.close(1008, err.message);
+  }
+});
+hub.on('leave', (room, ws) => {
+  const target = parseRoomKey(room);
+  if (!target) return;
+  if (playback.get(target.dsno)) playback.release(target.dsno, ws);
+  else live.release(target.dsno, target.channel, ws);
+});
+
+function parseTime(value, name) {
+  if (!value) return null;
+  const t = new Date(value);
+  if (Number.isNaN(t.getTime())) throw httpError(400, `Invalid ${name} "${value}"`);
+  return t.toISOString();
+}
+
+// GET /api/devices/<dsno>/track?from=<iso>&to=<iso>&format=geojson|gpx
+api.get('/api/devices/:dsno/track', async (req, res, { params, query }) => {
+  const from = parseTime(query.from, 'from');
+  const to = parseTime(query.to, 'to');
+  const points = await tracks.query(params.dsno, from, to);
+  const format = (query.format || 'geojson').toLowerCase();
+
+  if (format === 'gpx') {
+    send(res, 200, toGPX(params.dsno, points), 'application/gpx+xml', {
+      'Content-Disposition': `attachment; filename="${params.dsno}.gpx"`,
+    });
+    return;
+  }
+  if (format !== 'geojson') throw httpError(400, `Unknown format "${query.format}"`);
+  send(res, 200, JSON.stringify(toGeoJSON(params.dsno, points)), 'application/geo+json');
+});
+
+// GET /hls/<dsno>/<ch>/index.m3u8[?audio=1] (+ segments)
+// Every playlist fetch counts as a viewer lease and starts the stream on demand.
+api.get('/hls/*', async (req, res, { params, query }) => {
+  const m = /^([^/]+)\/(\d+)\/index\.m3u8$/.exec(params.rest);
+  if (m && playback.get(m[1])) {
+    playback.acquire(m[1], `hls:${req.socket.remoteAddress}`, HLS_LEASE_MS);
+  } else if (m) {
+    const stream = live.acquire(m[1], checkChannel(m[1], Number(m[2])), `hls:${req.socket.remoteAddress}`, HLS_LEASE_MS, { audio: query.audio === '1' });
+    if (stream.state !== 'active' && !fs.existsSync(path.join(HLS_DIR, params.rest))) {
+      throw httpError(404, `Stream ${stream.key} is ${stream.state}, retry shortly`);
+    }
+  }
+  await sendFile(res, HLS_DIR, params.rest, { 'Cache-Control': 'no-cache' });
+});
+
+// --- Live video leases ---
+api.get('/api/live', () => live.list());
+
+function describeLive(stream) {
+  return {
+    ...live.describe(stream),
+    playlist: `/hls/${hls.key(stream.dsno, stream.channel)}/index.m3u8`,
+    room: roomKey(stream.dsno, stream.channel),
+  };
+}
+
+function leaseLive(dsno, channels, viewer, audio = false) {
+  const expiresAt = new Date(Date.now() + HTTP_LEASE_MS).toISOString();
+  return channels.map(ch => ({ ...describeLive(live.acquire(dsno, ch, viewer, HTTP_LEASE_MS, { audio })), viewer, expiresAt }));
+}
+
+// POST /api/live/<dsno>/<ch>[?viewer=<id>][&audio=1]  start watching / renew a lease
+api.post('/api/live/:dsno/:ch', (req, res, { params, query }) => {
+  const channel = checkChannel(params.dsno, Number(params.ch));
+  const viewer = query.viewer || `http:${crypto.randomUUID()}`;
+  return leaseLive(params.dsno, [channel], viewer, query.audio === '1')[0];
+});
+
+// POST /api/live/<dsno>?channels=1,2,4[&viewer=<id>][&audio=1]  several channels in one device request
+// (no channels = every channel the device reported)
+api.post('/api/live/:dsno', (req, res, { params, query }) => {
+  const channels = query.channels
+    ? [...new Set(query.channels.split(',').map(c => checkChannel(params.dsno, Number(c))))]
+    : deviceChannels(params.dsno);
+  if (!channels) throw httpError(404, `Device ${params.dsno} is not connected; name the channels explicitly`);
+  const viewer = query.viewer || `http:${crypto.randomUUID()}`;
+  return leaseLive(params.dsno, channels, viewer, query.audio === '1');
+});
+
+api.delete('/api/live/:dsno/:ch/:viewer', (req, res, { params }) => {
+  live.release(params.dsno, Number(params.ch), params.viewer);
+  const stream = live.get(params.dsno, Number(params.ch));
+  return stream ? live.describe(stream) : { dsno: params.dsno, channel: Number(params.ch), state: 'idle' };
+});
+
+// --- Remote playback ---
+const N9M_HTTP_STATUS = {
+  N9M_BAD_ARG: 400,
+  N9M_NOT_FOUND: 404,
+  N9M_OFFLINE: 404,
+  N9M_BAD_STATE: 409,
+  N9M_ERROR: 502,
+  N9M_TIMEOUT: 504,
+};
+
+function toHttpError(err) {
+  return N9M_HTTP_STATUS[err.code] ? httpError(N9M_HTTP_STATUS[err.code], err.message) : err;
+}
+
+function parseChannels(dsno, value) {
+  if (!value) return deviceChannels(dsno) || [1];
+  return [...new Set(String(value).split(',').map(c => checkChannel(dsno, Number(c))))];
+}
+
+function describePlayback(session) {
+  return {
+    ...playback.describe(session),
+    rooms: session.channels.map(ch => roomKey(session.id, ch)),
+    playlists: session.channels.map(ch => `/hls/${hls.key(session.id, ch)}/index.m3u8`),
+  };
+}
+
+// GET /api/devices/<dsno>/recordings?channels=1,2&from=<iso>&to=<iso>  (default: last 24h)
+api.get('/api/devices/:dsno/recordings', async (req, res, { params, query }) => {
+  const to = parseTime(query.to, 'to') || new Date().toISOString();
+  const from = parseTime(query.from, 'from') || new Date(Date.parse(to) - 24 * 3600_000).toISOString();
+  const channels = parseChannels(params.dsno, query.channels);
+  try {
+    return await playback.query(params.dsno, { channels, from, to });
+  } catch (err) {
+    throw toHttpError(err);
+  }
+});
+
+api.get('/api/playback', () => [...playback.sessions.values()].map(describePlayback));
+
+// POST /api/playback/<dsno>?channels=1,2&from=<iso>[&to=<iso>][&speed=1][&audio=1][&viewer=<id>]
+api.post('/api/playback/:dsno', async (req, res, { params, query }) => {
+  const from = parseTime(query.from, 'from');
+  if (!from) throw httpError(400, 'from is required');
+  const to = parseTime(query.to, 'to') || new Date(Date.parse(from) + 3600_000).toISOString();
+  if (to <= from) throw httpError(400, 'to must be after from');
+  const viewer = query.viewer || `http:${crypto.randomUUID()}`;
+  try {
+    const session = await playback.start(params.dsno, {
+      channels: parseChannels(params.dsno, query.channels),
+      from,
+      to,
+      speed: query.speed ? Number(query.speed) : 1,
+      audio: query.audio === '1',
+      viewer,
+      ttlMs: HTTP_LEASE_MS,
+    });
+    return { ...describePlayback(session), viewer };
+  } catch (err) {
+    throw toHttpError(err);
+  }
+});
+
+// POST /api/playback/<id>/pause | resume | stop | seek?time=<iso> | speed?value=<x>
+api.post('/api/playback/:id/:action', async (req, res, { params, query }) => {
+  try {
+    const session = await playback.control(params.id, params.action, { time: query.time, speed: Number(query.value) });
+    return describePlayback(session);
+  } catch (err) {
+    throw toHttpError(err);
+  }
+});
+
+api.delete('/api/playback/:id', (req, res, { params }) => {
+  const session = playback.stop(params.id);
+  if (!session) throw httpError(404, `No playback session ${params.id}`);
+  return describePlayback(session);
+});
+
+api.get('/api/ws/rooms', () => hub.list());
+
+// --- Server-side recordings ---
+mountRecordingApi(api, recorder);
+
+api.get('/api/streams/hls', () => hls.list());
+
+// --- Fleet management ---
+api.get('/api/devices', () => devices.list());
+
+// Channels the device reported on CONNECT, with their live state
+function describeChannels(dsno) {
+  const known = new Map(live.channels(dsno).map(s => [s.channel, s]));
+  const channels = deviceChannels(dsno) || [...known.keys()];
+  return channels.map(ch => (known.has(ch)
+    ? describeLive(known.get(ch))
+    : { dsno, channel: ch, state: 'idle', viewers: 0, playlist: `/hls/${hls.key(dsno, ch)}/index.m3u8`, room: roomKey(dsno, ch) }));
+}
+
+api.get('/api/devices/:dsno/channels', (req, res, { params }) => {
+  if (!devices.byDsno(params.dsno).length) throw httpError(404, `Device ${params.dsno} is not connected`);
+  return describeChannels(params.dsno);
+});
+
+api.get('/api/devices/:dsno', (req, res, { params }) => {
+  const entries = devices.byDsno(params.dsno);
+  if (!entries.length) throw httpError(404, `Device ${params.dsno} is not connected`);
+  return {
+    ...devices.describe(entries[entries.length - 1]),
+    channels: describeChannels(params.dsno),
+    sessions: entries.map(e => devices.describe(e)),
+    mediaTasks: entries.flatMap(e => [...e.mediaTasks.values()].map(t => devices.describeTask(e, t))),
+    lastPosition: tracks.last(params.dsno),
+  };
+});
+
+api.get('/api/sessions', () => devices.list().map(({ session, dsno, carnum, remote, connectedAt, uptimeSec, lastKeepalive, lastSeen }) => (
+  { session, dsno, carnum, remote, connectedAt, uptimeSec, lastKeepalive, lastSeen }
+)));
+
+api.get('/api/streams', () => devices.listMediaTasks());
+
+api.post('/api/devices/:dsno/disconnect', (req, res, { params }) => {
+  for (const entry of devices.byDsno(params.dsno)) rpc.sessionClosed(entry.session, 'disconnected via API');
+  const closed = devices.disconnect(params.dsno);
+  if (!closed) throw httpError(404, `Device ${params.dsno} is not connected`);
+  hls.stopDevice(params.dsno, 'forced disconnect');
+  console.log(`⛔ [${params.dsno}] Force-disconnected ${closed} session(s) via API`);
+  return { dsno: params.dsno, closed };
+});
+
+// --- Device commands (n9m_rpc.js) ---
+// GET /api/rpc  commands still waiting for the device's RESPONSE
+api.get('/api/rpc', () => rpc.list());
+
+// POST /api/devices/<dsno>/command  body { MODULE, OPERATION, PARAMETER, timeoutMs?, retries? }
+// -> the device's RESPONSE
+api.post('/api/devices/:dsno/command', async (req, res, { params }) => {
+  const { MODULE, OPERATION, PARAMETER = {}, timeoutMs, retries } = await readJsonBody(req);
+  if (typeof MODULE !== 'string' || typeof OPERATION !== 'string') throw httpError(400, 'MODULE and OPERATION are required');
+  const opts = {};
+  if (timeoutMs !== undefined) opts.timeoutMs = Math.min(Math.max(Number(timeoutMs) || 0, 1_000), 120_000);
+  if (retries !== undefined) opts.retries = Math.min(Math.max(Number(retries) || 0, 0), 5);
+  try {
+    return await callDevice(params.dsno, { MODULE, OPERATION, PARAMETER }, opts);
+  } catch (err) {
+    throw toHttpError(err);
+  }
+});
+
+// --- Device configuration (device_config.js) ---
+// GET /api/devices/<dsno>/config  servers, encoding, alarm flags and time zone, read from the device
+api.get('/api/devices/:dsno/config', async (req, res, { params }) => {
+  try {
+    return await deviceSettings.read(params.dsno);
+  } catch (err) {
+    throw toHttpError(err);
+  }
+});
+
+// POST /api/devices/<dsno>/config[?dryRun=1]  body: settings to change -> { dsno, changes, applied }
+api.post('/api/devices/:dsno/config', async (req, res, { params, query }) => {
+  const settings = await readJsonBody(req);
+  try {
+    return await deviceSettings.write(params.dsno, settings, { dryRun: query.dryRun === '1' });
+  } catch (err) {
+    throw toHttpError(err);
+  }
+});
+
+api.get('/api/config/templates', () => deviceSettings.templates());
+
+// POST /api/config/push[?dryRun=1]  body { template: "<name>" | { settings }, dsno: [..], fleet: "<name>" }
+// fleets are the ones in webhooks.json; -> { dryRun, results: [{ dsno, ok, changes, applied, error }] }
+api.post('/api/config/push', async (req, res, { query }) => {
+  const { template, dsno = [], fleet } = await readJsonBody(req);
+  if (!Array.isArray(dsno) || !dsno.every(d => typeof d === 'string')) throw httpError(400, 'dsno must be a list of DSNOs');
+  webhooks.reload();
+  if (fleet && !webhooks.config.fleets[fleet]) throw httpError(404, `No fleet "${fleet}" in ${WEBHOOK_FILE}`);
+  const targets = [...dsno, ...(fleet ? webhooks.config.fleets[fleet] : [])];
+  if (!targets.length) throw httpError(400, 'Name the devices: dsno and/or fleet');
+  const dryRun = query.dryRun === '1';
+  try {
+    const settings = typeof template === 'string' ? deviceSettings.template(template) : template;
+    const results = await deviceSettings.push(targets, settings, { dryRun });
+    return { dryRun, results };
+  } catch (err) {
+    throw toHttpError(err);
+  }
+});
+
+// --- Presence ---
+// GET /api/presence?state=online|offline
+api.get('/api/presence', (req, res, { query }) => presence.list({ state: query.state || null }));
+
+// GET /api/presence/<dsno>  state, reconnect statistics and recent connect/disconnect history
+api.get('/api/presence/:dsno', (req, res, { params }) => {
+  const rec = presence.get(params.dsno);
+  if (!rec) throw httpError(404, `Device ${params.dsno} has never connected`);
+  return { ...presence.describe(rec), history: [...rec.history].reverse() };
+});
+
+// --- Admission control ---
+api.get('/api/auth', () => auth.describe());
+
+// GET /api/auth/rejections?dsno=<dsno>&limit=100  newest first
+api.get('/api/auth/rejections', (req, res, { query }) => auth.rejections({
+  dsno: query.dsno || null,
+  limit: query.limit ? Number(query.limit) : 100,
+}));
+
+// --- Metrics ---
+api.get('/metrics', (req, res) => send(res, 200, metrics.render(), METRICS_TYPE));
+
+// --- Packet log ---
+// GET /api/logs  active file, bytes, lines and dropped lines per stream
+api.get('/api/logs', () => packetLog.stats());
+
+// --- Webhooks ---
+// subscriptions are edited in webhooks.json; these report on them
+api.get('/api/webhooks', () => webhooks.describe());
+
+// GET /api/webhooks/pending?subscription=<id>
+api.get('/api/webhooks/pending', (req, res, { query }) => webhooks.pending({ subscription: query.subscription || null }));
+
+// GET /api/webhooks/deliveries?subscription=<id>&ok=true|false&limit=100  newest first
+api.get('/api/webhooks/deliveries', (req, res, { query }) => webhooks.deliveries({
+  subscription: query.subscription || null,
+  ok: query.ok === undefined ? null : query.ok === 'true',
+  limit: query.limit ? Number(query.limit) : 100,
+}));
+
+// POST /api/webhooks/test?event=device.online&dsno=<dsno>  queue a sample event
+api.post('/api/webhooks/test', (req, res, { query }) => {
+  const queued = webhooks.publish(query.event || 'device.online', { dsno: query.dsno || '', carnum: '', test: true });
+  if (!queued) throw httpError(404, 'No subscription matches');
+  return { queued };
+});
+
+api.listen(PORT_HTTP, HOST_HTTP, () => {
+  console.log(`[HTTP] API listening on ${HOST_HTTP}:${PORT_HTTP}`);
+});
+
 
 
 // // UDP listener (optional)
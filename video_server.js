@@ -3,21 +3,26 @@ const dgram = require('dgram');
 const crypto = require("crypto");
 const fs = require('fs');
 const path = require('node:path');
+const { N9MDecoder, PT, encodeFrame, encodeSignal, decodeSignal, channelsToMask } = require('./n9m_codec');
+const { DeviceAuth } = require('./device_auth');
+const { PacketLog } = require('./packet_log');
+const { getConfig, deviceConfig } = require('./config');
 
 const devices = {};
 
-const PORT_TCP = 5556;
-const PORT_UDP = 5556;
-const LOG_DIR = path.join(__dirname, 'logs');
+const config = getConfig();
+const PORT_TCP = config.signaling.tcpPort;
+const PORT_UDP = PORT_TCP; // UDP on the same port number
+const LOG_DIR = config.paths.logs;
 fs.mkdirSync(LOG_DIR, { recursive: true });
+// own directory: streamax_server.js rotates the packet log files in LOG_DIR
+const packetLog = new PacketLog({ dir: path.join(LOG_DIR, 'video_server'), level: config.log.level, modules: config.log.modules });
 
-function dt() {
-  return new Date().toISOString().replace(/T.*/g, '');
-}
-
-function ts() {
-  return new Date().toISOString().replace(/[:.]/g, '-');
-}
+// DSNO allowlist + VERIFY/LOGIN credentials (device_auth.json; missing = open)
+const auth = new DeviceAuth({ file: config.paths.auth, logFile: path.join(LOG_DIR, 'auth_rejections.log') });
+const HANDSHAKE = new Set(['CONNECT', 'VERIFY', 'LOGIN']);
+// A media socket opens with one of these, under the SESSION of its signaling socket
+const MEDIA_OPEN = new Set(['CERTIFICATE.CREATESTREAM', 'MEDIASTREAMMODEL.MEDIATASKSTART']);
 
 // Convert to readable hex view
 function toHex(buf) {
@@ -38,103 +43,27 @@ function getCarNum(sessionId) {
   return devices[sessionId]?.carnum || "";
 }
 
-function logPacket(sessionId, packet) {
-  if (!sessionId) return;
-
-  const base = `${getCarNum(sessionId)}_${dt()}`;
-  const logFile = path.join(LOG_DIR, `${base}.log`);
-  fs.writeFileSync(logFile, `[${ts()}] ` + JSON.stringify(packet) + '\n', { flag: 'a' });
-}
-
-// --- Packet construction/parsing (same layout you described) ---
-function buildPacket(payloadObj, payloadType = 0, ssrc = 1) {
-  const payloadBuf = Buffer.from(JSON.stringify(payloadObj), 'utf8');
-
-  const header = Buffer.alloc(12);
-  const version = 0, padding = 0, marker = 0, csrcCount = 0;
-  const firstByte = (version << 6) | (padding << 5) | (marker << 4) | csrcCount;
-  let off = 0;
-  header.writeUInt8(firstByte, off++);          // 1
-  header.writeUInt8(payloadType, off++);        // 2
-  header.writeUInt16BE(ssrc, off); off += 2;    // 3-4
-  header.writeUInt32BE(payloadBuf.length, off); off += 4; // 5-8 payload len (TCP)
-  header.writeUInt32BE(0, off); off += 4;       // 9-12 reserve
-
-  return Buffer.concat([header, payloadBuf]);
-}
-
-
-// --- Packet parser from your structure ---
-function parsePacket(buffer) {
-  let offset = 0;
-
-  if (buffer.length < 12) return null; // not enough data for header
-
-  const firstByte = buffer.readUInt8(offset++);
-  const version = (firstByte >> 6) & 0x03;
-  const padding = (firstByte >> 5) & 0x01;
-  const marker = (firstByte >> 4) & 0x01;
-  const csrcCount = firstByte & 0x0F;
-
-  const payloadType = buffer.readUInt8(offset++);
-  const ssrc = buffer.readUInt16BE(offset);
-  offset += 2;
-
-  const payloadLen = buffer.readUInt32BE(offset);
-  offset += 4;
-
-  const reserve = buffer.readUInt32BE(offset);
-  offset += 4;
-
-  const csrcList = [];
-  // for (let i = 0; i < csrcCount; i++) {
-  //   if (offset + 4 > buffer.length) return null;
-  //   const csrc = buffer.readUInt32BE(offset);
-  //   csrcList.push(csrc);
-  //   offset += 4;
-  // }
-
-  const totalLen = offset + payloadLen;
-  if (buffer.length < totalLen) {
-    // Wait for more data
-    return null;
-  }
-
-  const payloadBuffer = buffer.subarray(offset, totalLen);
-
-  let payload;
-  if (payloadType === 0 || payloadType === 1) {
-    try {
-      payload = JSON.parse(payloadBuffer.toString("utf8").trim());
-    } catch {
-      payload = payloadBuffer.toString("utf8").trim();
-    }
-  } else if (payloadType === 2) {
-    payload = payloadBuffer; // binary H264
-  } else {
-    payload = payloadBuffer;
-  }
-
-  return {
-    version,
-    padding,
-    marker,
-    csrcCount,
-    payloadType,
-    ssrc,
-    payloadLen,
-    reserve,
-    csrcList,
-    payload,
-    totalLength: totalLen
-  };
+// NDJSON packet log, see packet_log.js
+function logPacket(sessionId, packet, socket) {
+  packetLog.packet({ packet, device: { session: sessionId, ...devices[sessionId] }, remote: `${socket.remoteAddress}:${socket.remotePort}` });
 }
 
 const handleMessagePacket = async (socket, packet, sessionId) => {
   const msg = packet.payload;
   let session = msg.SESSION || sessionId || '';
+  const remote = `${socket.remoteAddress}:${socket.remotePort}`;
+  const handshake = msg.MODULE == "CERTIFICATE" && HANDSHAKE.has(msg.OPERATION);
+
+  if (!handshake && !auth.session(socket) && MEDIA_OPEN.has(`${msg.MODULE}.${msg.OPERATION}`)) auth.attach(socket, msg.SESSION);
+  if (!handshake && !auth.admitted(socket)) {
+    auth.reject('NOT_VERIFIED', { dsno: devices[session]?.dsno || '', session, remote, operation: `${msg.MODULE}.${msg.OPERATION}` });
+    socket.destroy();
+    return session;
+  }
 
   let respJson = null;
+  let rejected = false;
+  let proven = false; // this message answered the CONNECT challenge
   switch (msg.MODULE) {
     case "CERTIFICATE":
       {
@@ -145,8 +74,15 @@ const handleMessagePacket = async (socket, packet, sessionId) => {
           SESSION: session,
         }
         if (msg.OPERATION == "CONNECT") {
+          const so = generateSO();
+          const verdict = auth.connect(socket, session, msg.PARAMETER, { so, remote });
+          if (!verdict.ok) {
+            respJson.RESPONSE = { ERRORCODE: verdict.code, ERRORCAUSE: verdict.cause };
+            rejected = true;
+            break;
+          }
           respJson.RESPONSE = {
-            SO: generateSO(),
+            SO: so,
             ERRORCODE: 0,
             ERRORCAUSE: 'SUCCESS',
             PRO: msg.PARAMETER?.PRO || "1.0.5",
@@ -164,6 +100,14 @@ const handleMessagePacket = async (socket, packet, sessionId) => {
             net: msg.PARAMETER.NET,
             pro: msg.PARAMETER.PRO,
           };
+        } else if (msg.OPERATION == "VERIFY" || msg.OPERATION == "LOGIN") {
+          const challenged = !auth.admitted(socket);
+          const verdict = auth.prove(socket, msg.OPERATION, msg.PARAMETER, { remote });
+          proven = challenged && verdict.ok;
+          respJson.RESPONSE = verdict.ok
+            ? { RETURN: true, ERRORCODE: 0, ERRORCAUSE: 'SUCCESS' }
+            : { RETURN: false, ERRORCODE: verdict.code, ERRORCAUSE: verdict.cause };
+          rejected = !verdict.ok;
         } else if (msg.OPERATION == "KEEPALIVE") {
           respJson.RESPONSE = {};
         } else if (msg.OPERATION == "CREATESTREAM") {
@@ -196,34 +140,44 @@ const handleMessagePacket = async (socket, packet, sessionId) => {
   }
 
   if (respJson) {
-    const responsePacket = buildPacket(respJson, packet.payloadType, packet.ssrc);
+    const responsePacket = encodeFrame({ payloadType: packet.payloadType, ssrc: packet.ssrc, payload: respJson });
     socket.write(responsePacket);
   }
+  if (rejected) {
+    socket.end();
+    return session;
+  }
 
   if (msg.MODULE != "EVEM") {
     console.log(`📦 [${getCarNum(session)}] Payload:`, JSON.stringify(msg));
   }
-  logPacket(session, packet);
-
-  if (msg.MODULE == "CERTIFICATE" && msg.OPERATION == "CONNECT") {
-    // if connected new device request stream
-    const requestPacket = buildPacket({
+  logPacket(session, packet, socket);
+
+  // once a device is in (CONNECT without a challenge, or a passed VERIFY/LOGIN)
+  const admittedNow = proven || (msg.MODULE == "CERTIFICATE" && msg.OPERATION == "CONNECT" && auth.admitted(socket));
+  if (admittedNow) {
+    // if connected new device request every channel it reported (bitmask, bit 0 = ch1),
+    // or the ones listed for it in the config
+    const dsno = devices[session]?.dsno;
+    const own = deviceConfig(config, dsno);
+    const reported = Array.from({ length: Number(devices[session]?.channel) || 1 }, (_, i) => i + 1);
+    const channels = own.channels || reported;
+    const requestPacket = encodeSignal({
       MODULE: "MEDIASTREAMMODEL",
       OPERATION: "REQUESTALIVEVIDEO",
       PARAMETER: {
         CSRC: "",
         SSRC: 0,
-        STREAMNAME: "1",
-        STEAMTYPE: 0,
-        CHANNEL: 1, //80000000,
+        STREAMNAME: channels.join('-'),
+        STREAMTYPE: own.streamType,
+        CHANNEL: channelsToMask(channels),
         AUDIOVALID: 0,
-        IPANDPORT: "91.238.164.100:5556",
-        // IPANDPORT: "",
-        FRAMECOUNT: 10,
+        IPANDPORT: own.mediaAddress,
+        FRAMECOUNT: config.live.frameCount,
         FRAMEMODE: 0,
       },
       SESSION: msg.SESSION || '',
-    }, 0, 0);
+    });
 
     setTimeout(() => {
       console.log('========= sent video stream request =============');
@@ -238,26 +192,34 @@ const handleStreamPacket = async (socket, packet, sessionId) => {
 
   console.log(`🎥 [${getCarNum(sessionId)}] Received video payload (${packet.payload.length} bytes)`);
 
-  logPacket(sessionId, packet);
+  logPacket(sessionId, packet, socket);
 }
 
 // --- TCP Server ---
 const server = net.createServer((socket) => {
   console.log(`📡 Device connected: ${socket.remoteAddress}:${socket.remotePort}`);
 
-  let buffer = Buffer.alloc(0);
+  const decoder = new N9MDecoder();
   let sessionId = "";
 
   socket.on("data", (data) => {
-    buffer = Buffer.concat([buffer, data]);
-
-    while (buffer.length > 0) {
-      const packet = parsePacket(buffer);
-      if (!packet) break; // incomplete packet, wait for more data
+    let packets;
+    let framingError = null;
+    try {
+      packets = decoder.push(data);
+    } catch (err) {
+      framingError = err;
+      packets = err.frames || []; // frames ahead of the garbage are still good
+    }
 
-      if (packet.payloadType === 0 || packet.payloadType === 1) {
-        handleMessagePacket(socket, packet, sessionId).then(result => sessionId = result);
-      } else if (packet.payloadType === 2) {
+    for (const packet of packets) {
+      if (packet.payloadType === PT.SIGNAL || packet.payloadType === PT.META) {
+        packet.payload = decodeSignal(packet.payload);
+        handleMessagePacket(socket, packet, sessionId)
+          .then(result => sessionId = result)
+          .catch(err => console.error(`[${getCarNum(sessionId)}] Failed to handle SIGNAL:`, err));
+      } else if (packet.payloadType === PT.H264) {
+        if (!auth.admitted(socket)) continue;
         handleStreamPacket(socket, packet, sessionId);
       } else {
 
@@ -275,9 +237,11 @@ const server = net.createServer((socket) => {
         }
 
       }
+    }
 
-      // Remove processed data
-      buffer = buffer.subarray(packet.totalLength);
+    if (framingError) {
+      console.error(`[${getCarNum(sessionId)}] Framing error, dropping connection:`, framingError.message);
+      socket.destroy();
     }
   });
 
@@ -285,6 +249,10 @@ const server = net.createServer((socket) => {
     console.log(`❌ [${getCarNum(sessionId)}] Device disconnected: ${socket.remoteAddress}:${socket.remotePort}`);
   });
 
+  socket.on("close", () => {
+    auth.forget(socket);
+  });
+
   socket.on("error", (err) => {
     console.error(`[${getCarNum(sessionId)}] Socket error:`, err.message);
   });
@@ -0,0 +1,77 @@
+// Local webhook receiver, for trying subscriptions end to end
+// CommonJS (node >=16)
+//
+// Prints every POST it gets and checks X-N9M-Signature against --secret.
+// --fail N answers 500 to the first N deliveries, to watch the retry queue work.
+//
+// Usage:
+//   node webhook_receiver.js --port 9000 --secret s3cret [--fail 2]
+// with a webhooks.json subscription like
+//   { "id": "local", "url": "http://127.0.0.1:9000/hook", "secret": "s3cret" }
+
+const http = require('node:http');
+const crypto = require('node:crypto');
+const { parseArgs } = require('node:util');
+const { sign } = require('./webhooks');
+
+const MAX_SKEW_SEC = 300; // older timestamps are treated as replays
+
+function verify(secret, headers, body) {
+  const timestamp = Number(headers['x-n9m-timestamp']);
+  const given = Buffer.from(String(headers['x-n9m-signature'] || ''));
+  const expected = Buffer.from(sign(secret, timestamp, body));
+  if (!Number.isFinite(timestamp) || Math.abs(Date.now() / 1000 - timestamp) > MAX_SKEW_SEC) return 'stale timestamp';
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return 'bad signature';
+  return null;
+}
+
+function main() {
+  const { values } = parseArgs({
+    options: {
+      port: { type: 'string', default: '9000' },
+      host: { type: 'string', default: '127.0.0.1' },
+      secret: { type: 'string' },
+      fail: { type: 'string', default: '0' },
+    },
+  });
+  let failLeft = Number(values.fail) || 0;
+  let received = 0;
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', c => chunks.push(c));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks).toString('utf8');
+      received++;
+      const problem = values.secret ? verify(values.secret, req.headers, body) : null;
+      let event = {};
+      try {
+        event = JSON.parse(body);
+      } catch {
+        // printed raw below
+      }
+      const mark = problem ? `❌ ${problem}` : values.secret ? '✅' : '·';
+      console.log(`${mark} #${received} ${req.headers['x-n9m-event'] || '?'} delivery=${req.headers['x-n9m-delivery'] || '?'} dsno=${event.dsno || '-'}`);
+      console.log(`   ${event.data ? JSON.stringify(event.data) : body}`);
+
+      if (problem) {
+        res.writeHead(401).end();
+      } else if (failLeft > 0) {
+        failLeft--;
+        console.log('   -> 500 (--fail)');
+        res.writeHead(500).end();
+      } else {
+        res.writeHead(204).end();
+      }
+    });
+  });
+  server.listen(Number(values.port), values.host, () => {
+    console.log(`[RECEIVER] listening on http://${values.host}:${values.port}/${values.secret ? ' (checking signatures)' : ''}`);
+  });
+}
+
+if (require.main === module) main();
+
+module.exports = {
+  verify,
+};
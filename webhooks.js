@@ -0,0 +1,316 @@
+// Webhook dispatcher for device, alarm and stream events
+// CommonJS (node >=16)
+//
+// Subscriptions file (JSON, re-read when it changes on disk; no file = no webhooks):
+//   {
+//     "fleets": { "cash-vans": ["007100607E", "0088016EA1"] },
+//     "subscriptions": [
+//       { "id": "dispatch", "url": "https://dispatch.example/n9m", "secret": "...",
+//         "events": ["alarm", "device.*"],      // default: every event
+//         "dsno": ["007100607E"],               // optional
+//         "fleet": "cash-vans",                 // optional, a name from "fleets"
+//         "enabled": true }
+//     ]
+//   }
+//
+// Events: device.online, device.offline, device.flap, alarm, stream.start, stream.stop
+//
+// Each matching subscription gets a POST with a JSON body
+//   { id, event, at, dsno, carnum, data }
+// and the headers
+//   X-N9M-Event, X-N9M-Delivery, X-N9M-Timestamp (unix seconds),
+//   X-N9M-Signature: sha256=<hex HMAC-SHA256(secret, "<timestamp>.<body>")>
+// A 2xx answer counts as delivered. Anything else is retried with exponential
+// backoff (baseDelayMs * 2^n, capped at maxDelayMs, +-20% jitter) up to
+// maxAttempts. The queue is written to queueFile, so pending deliveries
+// survive a restart; every attempt is appended to logFile (one JSON object
+// per line) and the latest are kept in memory.
+//
+// Emits:
+//   'delivered' (attempt)   { at, delivery, event, subscription, url, attempt, status, ms }
+//   'failed'    (attempt)   retries exhausted (or the subscription is gone)
+
+const { EventEmitter } = require('node:events');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const http = require('node:http');
+const https = require('node:https');
+const path = require('node:path');
+
+const EVENTS = ['device.online', 'device.offline', 'device.flap', 'alarm', 'stream.start', 'stream.stop'];
+
+const DEFAULTS = {
+  maxAttempts: 12,
+  baseDelayMs: 5_000,
+  maxDelayMs: 60 * 60_000,
+  timeoutMs: 10_000,
+  concurrency: 4,
+};
+
+const RECENT_LIMIT = 500;
+
+function sign(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', String(secret || '')).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// 'device.*' matches every device event; '*' (or no list) matches everything
+function eventMatches(patterns, event) {
+  if (!patterns || !patterns.length) return true;
+  return patterns.some(p => p === '*' || p === event || (p.endsWith('.*') && event.startsWith(p.slice(0, -1))));
+}
+
+class WebhookDispatcher extends EventEmitter {
+  constructor({ file = null, queueFile = null, logFile = null, ...opts } = {}) {
+    super();
+    this.opts = { ...DEFAULTS, ...opts };
+    this.file = file;
+    this.queueFile = queueFile;
+    this.logFile = logFile;
+    this.config = { fleets: {}, subscriptions: [] };
+    this.mtime = null;
+    this.queue = [];          // { id, eventId, event, subscription, url, body, attempts, nextAt, createdAt, lastError }
+    this.inFlight = new Set();
+    this.recent = [];         // latest attempts, oldest first
+    this.saveTimer = null;
+    if (logFile) fs.mkdirSync(path.dirname(logFile), { recursive: true });
+    this.reload();
+    this.loadQueue();
+
+    this.timer = setInterval(() => this.tick(), 1_000);
+    this.timer.unref();
+  }
+
+  // --- subscriptions ---
+  reload() {
+    if (!this.file) return;
+    let st;
+    try {
+      st = fs.statSync(this.file);
+    } catch {
+      if (this.mtime !== 0 && this.config.subscriptions.length) console.warn(`[HOOK] ${this.file} removed; webhooks off`);
+      this.mtime = 0;
+      this.config = { fleets: {}, subscriptions: [] };
+      return;
+    }
+    if (st.mtimeMs === this.mtime) return;
+    try {
+      const config = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      const subscriptions = (config.subscriptions || []).filter((s, i) => {
+        const ok = s && typeof s.url === 'string' && /^https?:\/\//.test(s.url);
+        if (!ok) console.error(`[HOOK] subscription #${i} has no http(s) url, ignored`);
+        return ok;
+      }).map((s, i) => ({ ...s, id: String(s.id || `sub${i + 1}`) }));
+      this.config = { fleets: config.fleets || {}, subscriptions };
+      this.mtime = st.mtimeMs;
+      console.log(`[HOOK] ${subscriptions.length} subscription(s) loaded`);
+    } catch (err) {
+      console.error(`[HOOK] ${this.file} unreadable, keeping previous subscriptions:`, err.message);
+    }
+  }
+
+  subscription(id) {
+    return this.config.subscriptions.find(s => s.id === id) || null;
+  }
+
+  matches(sub, event, dsno) {
+    if (sub.enabled === false || !eventMatches(sub.events, event)) return false;
+    if (sub.dsno?.length && !sub.dsno.includes(dsno)) return false;
+    if (sub.fleet && !(this.config.fleets[sub.fleet] || []).includes(dsno)) return false;
+    return true;
+  }
+
+  // --- queue ---
+  // Queues the event for every matching subscription; returns how many
+  publish(event, { dsno = '', carnum = '', ...data } = {}) {
+    this.reload();
+    const subs = this.config.subscriptions.filter(s => this.matches(s, event, dsno));
+    if (!subs.length) return 0;
+    const eventId = crypto.randomUUID();
+    const body = JSON.stringify({ id: eventId, event, at: new Date().toISOString(), dsno, carnum, data });
+    const now = Date.now();
+    for (const sub of subs) {
+      this.queue.push({
+        id: crypto.randomUUID(),
+        eventId,
+        event,
+        subscription: sub.id,
+        url: sub.url,
+        body,
+        attempts: 0,
+        nextAt: now,
+        createdAt: new Date(now).toISOString(),
+        lastError: null,
+      });
+    }
+    this.scheduleSave();
+    setImmediate(() => this.tick());
+    return subs.length;
+  }
+
+  loadQueue() {
+    if (!this.queueFile) return;
+    try {
+      this.queue = JSON.parse(fs.readFileSync(this.queueFile, 'utf8'));
+      if (this.queue.length) console.log(`[HOOK] ${this.queue.length} pending delivery(ies) from ${this.queueFile}`);
+    } catch {
+      this.queue = [];
+    }
+  }
+
+  scheduleSave() {
+    if (!this.queueFile || this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      const tmp = this.queueFile + '.tmp';
+      fs.writeFile(tmp, JSON.stringify(this.queue), (err) => {
+        if (err) return console.error('[HOOK] queue write failed:', err.message);
+        fs.rename(tmp, this.queueFile, (e) => e && console.error('[HOOK] queue write failed:', e.message));
+      });
+    }, 500);
+  }
+
+  backoff(attempts) {
+    const delay = Math.min(this.opts.maxDelayMs, this.opts.baseDelayMs * 2 ** (attempts - 1));
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+  }
+
+  tick(now = Date.now()) {
+    for (const item of this.queue) {
+      if (this.inFlight.size >= this.opts.concurrency) break;
+      if (item.nextAt > now || this.inFlight.has(item.id)) continue;
+      this.deliver(item);
+    }
+  }
+
+  async deliver(item) {
+    this.inFlight.add(item.id);
+    const sub = this.subscription(item.subscription);
+    item.attempts++;
+    const started = Date.now();
+    let status = null;
+    let error = null;
+    if (!sub) {
+      error = 'subscription removed';
+    } else {
+      try {
+        status = await this.post(sub, item);
+        if (status < 200 || status >= 300) error = `HTTP ${status}`;
+      } catch (err) {
+        error = err.message;
+      }
+    }
+    this.inFlight.delete(item.id);
+
+    const record = {
+      at: new Date().toISOString(),
+      delivery: item.id,
+      eventId: item.eventId,
+      event: item.event,
+      subscription: item.subscription,
+      url: item.url,
+      attempt: item.attempts,
+      status,
+      ok: !error,
+      error,
+      ms: Date.now() - started,
+    };
+    const giveUp = !sub || item.attempts >= this.opts.maxAttempts;
+    if (!error || giveUp) {
+      this.queue = this.queue.filter(q => q !== item);
+    } else {
+      item.lastError = error;
+      item.nextAt = Date.now() + this.backoff(item.attempts);
+      record.retryAt = new Date(item.nextAt).toISOString();
+    }
+    this.scheduleSave();
+    this.log(record);
+
+    if (!error) {
+      this.emit('delivered', record);
+    } else if (giveUp) {
+      console.log(`⚠️ [HOOK] ${item.event} to ${item.subscription} dropped after ${item.attempts} attempt(s): ${error}`);
+      this.emit('failed', record);
+    }
+  }
+
+  post(sub, item) {
+    return new Promise((resolve, reject) => {
+      const url = new URL(sub.url);
+      const timestamp = Math.floor(Date.now() / 1000);
+      const client = url.protocol === 'https:' ? https : http;
+      const req = client.request(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(item.body),
+          'User-Agent': 'n9m-webhooks',
+          'X-N9M-Event': item.event,
+          'X-N9M-Delivery': item.id,
+          'X-N9M-Timestamp': String(timestamp),
+          'X-N9M-Signature': sign(sub.secret, timestamp, item.body),
+        },
+        timeout: this.opts.timeoutMs,
+      }, (res) => {
+        res.resume();
+        res.on('end', () => resolve(res.statusCode));
+      });
+      req.on('timeout', () => req.destroy(new Error(`no answer in ${this.opts.timeoutMs} ms`)));
+      req.on('error', reject);
+      req.end(item.body);
+    });
+  }
+
+  // --- delivery log ---
+  log(record) {
+    this.recent.push(record);
+    if (this.recent.length > RECENT_LIMIT) this.recent.shift();
+    if (this.logFile) {
+      fs.appendFile(this.logFile, JSON.stringify(record) + '\n', (err) => {
+        if (err) console.error('[HOOK] delivery log write failed:', err.message);
+      });
+    }
+  }
+
+  deliveries({ subscription = null, ok = null, limit = 100 } = {}) {
+    return this.recent
+      .filter(r => (!subscription || r.subscription === subscription) && (ok === null || r.ok === ok))
+      .slice(-limit)
+      .reverse();
+  }
+
+  describe() {
+    return {
+      file: this.file,
+      events: EVENTS,
+      fleets: this.config.fleets,
+      subscriptions: this.config.subscriptions.map(s => ({
+        id: s.id,
+        url: s.url,
+        events: s.events || ['*'],
+        dsno: s.dsno || [],
+        fleet: s.fleet || null,
+        enabled: s.enabled !== false,
+        signed: !!s.secret,
+        pending: this.queue.filter(q => q.subscription === s.id).length,
+      })),
+      pending: this.queue.length,
+      inFlight: this.inFlight.size,
+    };
+  }
+
+  pending({ subscription = null } = {}) {
+    return this.queue
+      .filter(q => !subscription || q.subscription === subscription)
+      .map(({ body, ...q }) => ({ ...q, nextAt: new Date(q.nextAt).toISOString() }));
+  }
+
+  close() {
+    clearInterval(this.timer);
+  }
+}
+
+module.exports = {
+  WebhookDispatcher,
+  EVENTS,
+  sign,
+};
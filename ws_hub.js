@@ -0,0 +1,111 @@
+// WebSocket room hub (factored out of n9m_V2.js)
+// CommonJS (node >=16)
+//
+// Clients pick a room with ?room=<key>, e.g. ws://<host>:<port>/?room=n9m:<DSNO>:ch1
+// and a media format with &format=h264 (raw Annex-B, default) or &format=fmp4.
+// &audio=1 asks for the channel's audio too (carried in fMP4 only).
+//
+// Emits:
+//   'join'  (room, ws)  first message already sent
+//   'leave' (room, ws)
+//
+// New clients only get media from the next keyframe on; callers mark
+// keyframes in broadcast().
+
+const { EventEmitter } = require('node:events');
+const { WebSocketServer } = require('ws');
+
+// Room keys used for device media: n9m:<dsno>:ch<channel>
+function roomKey(dsno, channel) {
+  return `n9m:${dsno || 'unknown'}:ch${channel}`;
+}
+
+function parseRoomKey(room) {
+  const m = /^n9m:(.+):ch(\d+)$/.exec(room || '');
+  return m ? { dsno: m[1], channel: Number(m[2]) } : null;
+}
+
+class WsHub extends EventEmitter {
+  constructor({ server, path } = {}) {
+    super();
+    this.rooms = new Map(); // key -> Set(ws)
+    this.waiting = new WeakSet(); // clients that haven't received a keyframe yet
+    this.formats = new WeakMap(); // ws -> 'h264' | 'fmp4'
+    this.audio = new WeakSet();   // clients that asked for audio
+    this.wss = new WebSocketServer({ server, path });
+    this.wss.on('connection', (ws, req) => this.onConnection(ws, req));
+  }
+
+  onConnection(ws, req) {
+    // Client can choose room via query ?room=<key>; runs inside the ws
+    // 'connection' event, so a bad request-target must not throw
+    let url;
+    try {
+      url = new URL(req.url, 'http://localhost');
+    } catch {
+      ws.close(1008, 'Bad request URL');
+      return;
+    }
+    const room = url.searchParams.get('room') || 'default';
+    const format = url.searchParams.get('format') === 'fmp4' ? 'fmp4' : 'h264';
+    this.formats.set(ws, format);
+    if (url.searchParams.get('audio') === '1') this.audio.add(ws);
+    if (!this.rooms.has(room)) this.rooms.set(room, new Set());
+    this.rooms.get(room).add(ws);
+    this.waiting.add(ws);
+    ws.on('close', () => {
+      const set = this.rooms.get(room);
+      set?.delete(ws);
+      if (set && !set.size) this.rooms.delete(room);
+      this.emit('leave', room, ws);
+    });
+    // fMP4 clients get a text frame so MSE players can tell it from media
+    const hello = `CONNECTED to room=${room}`;
+    ws.send(format === 'fmp4' ? hello : Buffer.from(hello));
+    console.log(`[WS] Client joined room="${room}" format=${format}`);
+    this.emit('join', room, ws);
+  }
+
+  format(ws) {
+    return this.formats.get(ws) || 'h264';
+  }
+
+  wantsAudio(ws) {
+    return this.audio.has(ws);
+  }
+
+  send(ws, data) {
+    if (ws.readyState === ws.OPEN) ws.send(data);
+  }
+
+  broadcast(key, data, { keyframe = true, format = 'h264' } = {}) {
+    const set = this.rooms.get(key);
+    if (!set) return;
+    for (const ws of set) {
+      if (ws.readyState !== ws.OPEN || this.format(ws) !== format) continue;
+      if (!keyframe && this.waiting.has(ws)) continue;
+      this.waiting.delete(ws);
+      ws.send(data);
+    }
+  }
+
+  viewers(key, format = null) {
+    const set = this.rooms.get(key);
+    if (!set) return 0;
+    return format ? [...set].filter(ws => this.format(ws) === format).length : set.size;
+  }
+
+  list() {
+    return [...this.rooms.entries()].map(([room, set]) => ({
+      room,
+      viewers: set.size,
+      fmp4: [...set].filter(ws => this.format(ws) === 'fmp4').length,
+    }));
+  }
+}
+
+module.exports = {
+  WsHub,
+  roomKey,
+  parseRoomKey,
+};